@@ -19,6 +19,7 @@ module.exports = function(grunt) {
             all: [
                 'Gruntfile.js',
                 'index.js',
+                'bin/spidymq',
                 'lib/**/*.js',
                 'test/**/*.js'
             ],
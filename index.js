@@ -5,8 +5,8 @@ const Connection = require('./lib/connection');
 /**
  * A helper function for creating a connection to a SpidyMQ server
  * @param {string} url - The url to the SpidyMQ server in the format host:port
- * @param {Object} config - The configuration for the SpidyMQ connection, passed directly through
- * @param {string} config.serverUrl - The server url that this connection can be reached at for messages
+ * @param {Object} [config] - The configuration for the SpidyMQ connection, passed directly through
+ * @param {string} [config.serverUrl] - The server url that this connection can be reached at for messages. Without it (or `config.listen`) the connection is producer-only
  * @returns {Connection}
  */
 function createConnection(url, config) {
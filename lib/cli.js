@@ -0,0 +1,499 @@
+"use strict";
+
+const fs = require('fs');
+const Connection = require('./connection');
+
+/**
+ * The codes the `spidymq` command exits with. Failed requests exit with the code for the response, following
+ * `Connection#_handleResponse`.
+ * @enum {number}
+ */
+const EXIT_CODES = {
+    OK: 0,
+    FAILED: 1,
+    USAGE: 2,
+    UNCHANGED: 3,
+    BAD_REQUEST: 4,
+    NOT_FOUND: 5,
+    SERVER_ERROR: 6,
+    UNREACHABLE: 7,
+    UNAUTHORIZED: 8
+};
+
+/**
+ * The flags the command understands, and whether each one takes a value.
+ * @type {Object}
+ * @private
+ */
+const FLAGS = {
+    'url': true,
+    'token': true,
+    'api-key': true,
+    'api-key-header': true,
+    'ca': true,
+    'cert': true,
+    'key': true,
+    'insecure': false,
+    'proxy': true,
+    'type': true,
+    'file': true,
+    'batch': false,
+    'raw': false,
+    'port': true,
+    'host': true,
+    'server-url': true,
+    'signing-key': true,
+    'envelope': false,
+    'count': true,
+    'help': false
+};
+
+/**
+ * @type {string}
+ * @private
+ */
+const USAGE = [
+    'Usage: spidymq <command> [options]',
+    '',
+    'Commands:',
+    '  create-channel <name>         Create a channel (--type round-robin|broadcast)',
+    '  publish <channel> [content]   Publish the content, a --file or stdin as JSON (or as it is with --raw).',
+    '                                With --batch, every line is a message of its own',
+    '  subscribe <channel>           Print the messages on a channel (or pattern) as JSON lines until stopped, or',
+    '                                until --count messages have arrived. --envelope prints their envelopes too',
+    '',
+    'Server options:',
+    '  --url <url>                   The SpidyMQ server (SPIDYMQ_URL)',
+    '  --token <token>               A bearer token (SPIDYMQ_TOKEN)',
+    '  --api-key <key>               An API key (SPIDYMQ_API_KEY), sent in --api-key-header (SPIDYMQ_API_KEY_HEADER)',
+    '  --ca, --cert, --key <file>    A CA bundle to trust, and a client certificate and its key',
+    '  --insecure                    Don\'t verify the server\'s certificate',
+    '  --proxy <url>                 A proxy to send requests through (SPIDYMQ_PROXY)',
+    '',
+    'Subscribe options:',
+    '  --port <port>, --host <host>  Where to listen for messages. Defaults to a free port on every interface',
+    '  --server-url <url>            The url the server reaches the listener at, if not the address it listens on',
+    '  --signing-key <key>           A key deliveries must be signed with (SPIDYMQ_SIGNING_KEY)',
+    '',
+    'Exit codes: 0 done, 1 failed, 2 bad usage, 3 unchanged (304), 4 bad request (400), 5 not found (404),',
+    '6 server error, 7 server unreachable, 8 credentials rejected (401, 403)'
+].join('\n');
+
+/**
+ * Splits the command line into the command, its positional arguments and its flags. Flags take their value from
+ * the next argument or after an '=', as in `--type broadcast` or `--type=broadcast`.
+ * @param {string[]} argv - The arguments, without the node executable and script
+ * @returns {Object} The `command`, `args` and `flags`
+ * @throws {Error} - If a flag is unknown or is missing its value
+ * @private
+ */
+function parseArgs(argv) {
+    let args = [];
+    let flags = {};
+
+    for( let i = 0; i < argv.length; i++ ) {
+        let arg = argv[i];
+
+        if( arg === '-h' ) {
+            arg = '--help';
+        }
+
+        // A lone '-' or anything after '--' is an argument, even if it looks like a flag
+        if( arg === '--' ) {
+            args = args.concat(argv.slice(i + 1));
+            break;
+        }
+
+        if( arg.indexOf('--') !== 0 ) {
+            args.push(arg);
+            continue;
+        }
+
+        let name = arg.slice(2);
+        let value = null;
+        let equals = name.indexOf('=');
+
+        if( equals !== -1 ) {
+            value = name.slice(equals + 1);
+            name = name.slice(0, equals);
+        }
+
+        if( !FLAGS.hasOwnProperty(name) ) {
+            throw new Error('Unknown option: --' + name);
+        }
+
+        if( !FLAGS[name] ) {
+            flags[name] = true;
+            continue;
+        }
+
+        if( value === null ) {
+            if( i + 1 >= argv.length ) {
+                throw new Error('Missing a value for --' + name);
+            }
+
+            value = argv[++i];
+        }
+
+        flags[name] = value;
+    }
+
+    return {
+        command: args[0] || null,
+        args: args.slice(1),
+        flags: flags
+    };
+}
+
+/**
+ * The exit code for a request that failed.
+ * @param {Error} error - The error the request failed with
+ * @returns {number} The exit code
+ * @private
+ */
+function exitCodeFor(error) {
+    if( !error.statusCode ) {
+        return EXIT_CODES.UNREACHABLE;
+    }
+
+    if( error.statusCode === 400 ) {
+        return EXIT_CODES.BAD_REQUEST;
+    }
+
+    if( error.statusCode === 404 ) {
+        return EXIT_CODES.NOT_FOUND;
+    }
+
+    if( error.statusCode === 401 || error.statusCode === 403 ) {
+        return EXIT_CODES.UNAUTHORIZED;
+    }
+
+    return EXIT_CODES.SERVER_ERROR;
+}
+
+/**
+ * Builds the configuration of the connection from the flags, falling back on the environment.
+ * @param {Object} flags - The flags given
+ * @param {Object} env - The environment
+ * @returns {Object} The url of the server and the config for the connection
+ * @throws {Error} - If no server url is given
+ * @private
+ */
+function connectionOptions(flags, env) {
+    let url = flags.url || env.SPIDYMQ_URL;
+    let config = {
+        token: flags.token || env.SPIDYMQ_TOKEN,
+        apiKey: flags['api-key'] || env.SPIDYMQ_API_KEY,
+        apiKeyHeader: flags['api-key-header'] || env.SPIDYMQ_API_KEY_HEADER,
+        proxy: flags.proxy || env.SPIDYMQ_PROXY,
+        heartbeatInterval: 0
+    };
+
+    if( !url ) {
+        throw new Error('No SpidyMQ server given. Use --url or SPIDYMQ_URL');
+    }
+
+    let tls = {};
+    ['ca', 'cert', 'key'].forEach((option) => {
+        if( flags[option] ) {
+            tls[option] = fs.readFileSync(flags[option]);
+        }
+    });
+
+    if( flags.insecure ) {
+        tls.rejectUnauthorized = false;
+    }
+
+    config.tls = tls;
+
+    return {
+        url: url,
+        config: config
+    };
+}
+
+/**
+ * Reads the content to publish: the argument if there is one, otherwise the file or stdin.
+ * @param {Object} parsed - The parsed command line
+ * @param {Object} io - The streams the command uses
+ * @param {Function} done - A node-style callback with the text
+ * @private
+ */
+function readInput(parsed, io, done) {
+    if( parsed.args.length > 1 ) {
+        done(null, parsed.args.slice(1).join(' '));
+        return;
+    }
+
+    if( parsed.flags.file && parsed.flags.file !== '-' ) {
+        fs.readFile(parsed.flags.file, 'utf8', done);
+        return;
+    }
+
+    let chunks = [];
+
+    io.stdin.on('data', (chunk) => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+    io.stdin.on('end', () => done(null, Buffer.concat(chunks).toString('utf8')));
+    io.stdin.on('error', done);
+}
+
+/**
+ * Turns text into the content of a message. Text that isn't JSON is published as a string.
+ * @param {string} text - The text
+ * @param {boolean} raw - Set to publish the text as it is, without parsing it
+ * @returns {*} The content
+ * @private
+ */
+function parseContent(text, raw) {
+    if( raw ) {
+        return text;
+    }
+
+    try {
+        return JSON.parse(text);
+    }
+    catch( e ) {
+        return text.trim();
+    }
+}
+
+/**
+ * Creates a channel.
+ * @param {Connection} connection - The connected connection
+ * @param {Object} parsed - The parsed command line
+ * @param {Object} io - The streams the command uses
+ * @param {Function} done - Called with the exit code
+ * @private
+ */
+function createChannel(connection, parsed, io, done) {
+    let name = parsed.args[0];
+
+    connection.createChannel(name, { type: parsed.flags.type }, (error, created) => {
+        if( error ) {
+            io.stderr.write('Unable to create channel ' + name + ': ' + error.message + '\n');
+            done(exitCodeFor(error));
+            return;
+        }
+
+        io.stdout.write('Channel ' + name + (created ? ' created' : ' already exists') + '\n');
+        done(created ? EXIT_CODES.OK : EXIT_CODES.UNCHANGED);
+    });
+}
+
+/**
+ * Publishes a message, or a message for each line of the input with `--batch`.
+ * @param {Connection} connection - The connected connection
+ * @param {Object} parsed - The parsed command line
+ * @param {Object} io - The streams the command uses
+ * @param {Function} done - Called with the exit code
+ * @private
+ */
+function publish(connection, parsed, io, done) {
+    let name = parsed.args[0];
+
+    readInput(parsed, io, (error, text) => {
+        if( error ) {
+            io.stderr.write('Unable to read the message: ' + error.message + '\n');
+            done(EXIT_CODES.FAILED);
+            return;
+        }
+
+        // The command has returned by now, so whatever the connection refuses is caught here
+        try {
+            if( parsed.flags.batch ) {
+                publishLines(connection, name, text, parsed, io, done);
+                return;
+            }
+
+            connection.publishMessage(name, parseContent(text, parsed.flags.raw), (error, result) => {
+                if( error ) {
+                    io.stderr.write('Unable to publish to ' + name + ': ' + error.message + '\n');
+                    done(exitCodeFor(error));
+                    return;
+                }
+
+                done(result === false ? EXIT_CODES.UNCHANGED : EXIT_CODES.OK);
+            });
+        }
+        catch( error ) {
+            io.stderr.write(error.message + '\n');
+            done(EXIT_CODES.USAGE);
+        }
+    });
+}
+
+/**
+ * Publishes a message for each line of the text that isn't blank.
+ * @param {Connection} connection - The connected connection
+ * @param {string} name - The channel to publish to
+ * @param {string} text - The text
+ * @param {Object} parsed - The parsed command line
+ * @param {Object} io - The streams the command uses
+ * @param {Function} done - Called with the exit code
+ * @private
+ */
+function publishLines(connection, name, text, parsed, io, done) {
+    let contents = text.split(/\r?\n/)
+        .filter((line) => line.trim().length > 0)
+        .map((line) => parseContent(line, parsed.flags.raw));
+
+    connection.publishMessages(name, contents, (error, results) => {
+        let failed = results.filter((outcome) => !!outcome.error);
+
+        // Every message is tried, and the first failure decides the exit code
+        results.forEach((outcome, index) => {
+            if( outcome.error ) {
+                io.stderr.write('Unable to publish line ' + (index + 1) + ' to ' + name + ': ' +
+                    outcome.error.message + '\n');
+            }
+        });
+
+        io.stdout.write('Published ' + (results.length - failed.length) + ' of ' + results.length +
+            ' messages to ' + name + '\n');
+        done(failed.length > 0 ? exitCodeFor(failed[0].error) : EXIT_CODES.OK);
+    });
+}
+
+/**
+ * Prints the messages on a channel as JSON lines until stopped, or until `--count` of them have arrived.
+ * @param {Connection} connection - The connected connection
+ * @param {Object} parsed - The parsed command line
+ * @param {Object} io - The streams the command uses
+ * @param {Function} stop - Disconnects and exits with the code it is given
+ * @private
+ */
+function subscribe(connection, parsed, io, stop) {
+    let name = parsed.args[0];
+    let count = parsed.flags.count ? Number(parsed.flags.count) : 0;
+    let received = 0;
+
+    connection.on('error', (error) => io.stderr.write(error.message + '\n'));
+
+    connection.subscribeChannel(name, (message) => {
+        let line = parsed.flags.envelope ? message : { channel: message.channel, content: message.content };
+
+        io.stdout.write(JSON.stringify(line) + '\n');
+        received++;
+
+        if( received === count ) {
+            setImmediate(() => stop(EXIT_CODES.OK));
+        }
+    }, { envelope: true }, (error) => {
+        if( error ) {
+            io.stderr.write('Unable to subscribe to ' + name + ': ' + error.message + '\n');
+            stop(exitCodeFor(error));
+            return;
+        }
+
+        io.stderr.write('Subscribed to ' + name + '\n');
+    });
+}
+
+/**
+ * The commands, by name.
+ * @type {Object}
+ * @private
+ */
+const COMMANDS = {
+    'create-channel': createChannel,
+    'publish': publish,
+    'subscribe': subscribe
+};
+
+/**
+ * Runs the `spidymq` command.
+ * @param {string[]} argv - The arguments, without the node executable and script
+ * @param {Object} io - What the command works with
+ * @param {stream.Readable} io.stdin - Where messages to publish are read from
+ * @param {stream.Writable} io.stdout - Where results and received messages are written
+ * @param {stream.Writable} io.stderr - Where errors are written
+ * @param {Object} io.env - The environment to take server settings from
+ * @param {Function} done - Called once with the code to exit with
+ * @returns {Function} A function that stops the command, such as on SIGINT, and exits with `EXIT_CODES.OK`
+ */
+function run(argv, io, done) {
+    let connection = null;
+    let finished = false;
+    let finish = (code) => {
+        if( finished ) {
+            return;
+        }
+
+        finished = true;
+
+        if( !connection || !connection.isConnected() ) {
+            done(code);
+            return;
+        }
+
+        connection.disconnect(() => done(code));
+    };
+    let stop = () => finish(EXIT_CODES.OK);
+    let parsed;
+    let options;
+
+    try {
+        parsed = parseArgs(argv);
+
+        if( parsed.flags.help || parsed.command === 'help' ) {
+            io.stdout.write(USAGE + '\n');
+            finish(EXIT_CODES.OK);
+            return stop;
+        }
+
+        if( !COMMANDS.hasOwnProperty(parsed.command) ) {
+            throw new Error(parsed.command ? 'Unknown command: ' + parsed.command : 'No command given');
+        }
+
+        if( !parsed.args[0] ) {
+            throw new Error('No channel given');
+        }
+
+        options = connectionOptions(parsed.flags, io.env);
+
+        if( parsed.command === 'subscribe' ) {
+            options.config.listen = { port: Number(parsed.flags.port) || 0, host: parsed.flags.host };
+            options.config.serverUrl = parsed.flags['server-url'];
+            options.config.signingKeys = parsed.flags['signing-key'] || io.env.SPIDYMQ_SIGNING_KEY;
+        }
+
+        connection = new Connection(options.url, options.config);
+    }
+    catch( error ) {
+        io.stderr.write(error.message + '\n\n' + USAGE + '\n');
+        finish(EXIT_CODES.USAGE);
+        return stop;
+    }
+
+    connection.connect((error) => {
+        if( error ) {
+            io.stderr.write('Unable to connect to ' + options.url + ': ' + error.message + '\n');
+
+            // An unhealthy server counts as unreachable, but rejected credentials are told apart
+            let code = exitCodeFor(error);
+            finish(code === EXIT_CODES.UNAUTHORIZED ? code : EXIT_CODES.UNREACHABLE);
+            return;
+        }
+
+        // Stopped while connecting
+        if( finished ) {
+            connection.disconnect(() => {});
+            return;
+        }
+
+        try {
+            COMMANDS[parsed.command](connection, parsed, io, finish);
+        }
+        catch( error ) {
+            io.stderr.write(error.message + '\n');
+            finish(EXIT_CODES.USAGE);
+        }
+    });
+
+    return stop;
+}
+
+module.exports = {
+    EXIT_CODES: EXIT_CODES,
+    run: run
+};
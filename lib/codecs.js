@@ -0,0 +1,130 @@
+"use strict";
+
+const zlib = require('zlib');
+
+/**
+ * A codec turns message content into the body of a request and back. Every codec has:
+ *   - `name` - How the codec is referred to in configuration
+ *   - `contentType` - The media type of the bodies it produces, which is how received messages find their codec
+ *   - `serialize(content)` - Returns the body (a Buffer or string) for some content, throwing if it can't
+ *   - `deserialize(body)` - Returns the content of a body (a Buffer or string), throwing if it can't
+ * @typedef {Object} Codec
+ */
+
+/**
+ * Reads a body as a string.
+ * @param {Buffer|string} body - The body
+ * @returns {string} The body as a UTF-8 string
+ * @private
+ */
+function toText(body) {
+    return Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+}
+
+/**
+ * Content as JSON. This is the default codec, and messages using it are sent to the server the way they always were.
+ * @type {Codec}
+ */
+const json = {
+    name: 'json',
+    contentType: 'application/json',
+    serialize: (content) => JSON.stringify(content),
+    deserialize: (body) => JSON.parse(toText(body))
+};
+
+/**
+ * Content as plain text. Only strings can be sent.
+ * @type {Codec}
+ */
+const text = {
+    name: 'text',
+    contentType: 'text/plain',
+    serialize: (content) => {
+        if( typeof content !== 'string' ) {
+            throw new Error('The text codec can only serialize strings');
+        }
+
+        return content;
+    },
+    deserialize: (body) => toText(body)
+};
+
+/**
+ * Content as raw bytes. Only Buffers can be sent, and received messages are Buffers.
+ * @type {Codec}
+ */
+const binary = {
+    name: 'binary',
+    contentType: 'application/octet-stream',
+    serialize: (content) => {
+        if( !Buffer.isBuffer(content) ) {
+            throw new Error('The binary codec can only serialize Buffers');
+        }
+
+        return content;
+    },
+    deserialize: (body) => Buffer.isBuffer(body) ? body : Buffer.from(body)
+};
+
+/**
+ * Content as gzip-compressed JSON, for large messages.
+ * @type {Codec}
+ */
+const gzipJson = {
+    name: 'gzip-json',
+    contentType: 'application/x-gzip-json',
+    serialize: (content) => zlib.gzipSync(JSON.stringify(content)),
+    deserialize: (body) => JSON.parse(zlib.gunzipSync(body).toString('utf8'))
+};
+
+/**
+ * The codecs that ship with SpidyMQ, by name.
+ * @type {Object}
+ */
+const BUILT_IN = {
+    'json': json,
+    'text': text,
+    'binary': binary,
+    'gzip-json': gzipJson
+};
+
+/**
+ * Looks up a codec.
+ * @param {string|Codec} codec - The name of a built-in codec, or a codec
+ * @returns {Codec} The codec
+ * @throws {Error} - If there is no built-in codec with that name, or the codec is missing part of its interface
+ */
+function resolve(codec) {
+    if( typeof codec === 'string' ) {
+        if( !BUILT_IN.hasOwnProperty(codec) ) {
+            throw new Error('Unknown codec: ' + codec);
+        }
+
+        return BUILT_IN[codec];
+    }
+
+    if( !codec || !codec.contentType || typeof codec.serialize !== 'function' || typeof codec.deserialize !== 'function' ) {
+        throw new Error('A codec needs a contentType, serialize and deserialize');
+    }
+
+    return codec;
+}
+
+/**
+ * The media type of a Content-Type header, without its parameters.
+ * @param {string} [header] - The header
+ * @returns {string} The media type in lower case, or an empty string if there is no header
+ */
+function mediaType(header) {
+    return (header || '').split(';')[0].trim().toLowerCase();
+}
+
+module.exports = {
+    json: json,
+    text: text,
+    binary: binary,
+    gzipJson: gzipJson,
+    BUILT_IN: BUILT_IN,
+    resolve: resolve,
+    mediaType: mediaType
+};
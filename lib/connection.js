@@ -1,53 +1,552 @@
 "use strict";
 
+const EventEmitter = require('events');
+const http = require('http');
+const os = require('os');
 const request = require('request');
 const bodyParser = require('body-parser');
 const Router = require('router');
+const retry = require('./retry');
+const PublishBuffer = require('./publish-buffer');
+const Limiter = require('./limiter');
+const MemoryStore = require('./memory-store');
+const envelope = require('./envelope');
+const codecs = require('./codecs');
+const schema = require('./schema');
+const pattern = require('./pattern');
+const signature = require('./signature');
 
 /**
- * A SpidyMQ connection that allows for easy communication with a SpidyMQ server
+ * The states a connection moves through. A connection is only usable once connected, but stays usable while it
+ * tries to reach a server that has stopped answering heartbeats.
+ * @enum {string}
  */
-class Connection {
+const STATES = {
+    DISCONNECTED: 'disconnected',
+    CONNECTING: 'connecting',
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting'
+};
+
+/**
+ * The raw body of a delivery, as its signature covers it. Body parsers set up by the connection keep it on
+ * `req.rawBody`. Otherwise a body that was already parsed as JSON is serialized again.
+ * @param req - The delivery
+ * @returns {Buffer|string} The raw body
+ * @private
+ */
+function rawBody(req) {
+    if( req.rawBody !== undefined ) {
+        return req.rawBody;
+    }
+
+    if( Buffer.isBuffer(req.body) || typeof req.body === 'string' ) {
+        return req.body;
+    }
+
+    return JSON.stringify(req.body);
+}
+
+/**
+ * Runs an operation that reports back through a node-style callback. If the caller supplied a callback it is handed
+ * straight to the operation (and validation errors are thrown as they always have been). Otherwise a Promise is
+ * returned which rejects on any error, thrown or reported, and resolves with the operation's result.
+ * @param {Function} [done] - The node-style callback supplied by the caller, if any
+ * @param {Function} operation - The operation to run. It receives the callback it must report through
+ * @returns {Promise|undefined} A promise for the result when no callback was supplied
+ * @private
+ */
+function callbackOrPromise(done, operation) {
+    if( done ) {
+        operation(done);
+        return;
+    }
+
+    return new Promise((resolve, reject) => {
+        operation((error, result) => {
+            if( error ) {
+                reject(error);
+            }
+            else {
+                resolve(result);
+            }
+        });
+    });
+}
+
+/**
+ * The url a listener can be reached at. A listener bound to every interface is reached through the host name.
+ * @param {Object} address - The address the listener is bound to
+ * @param {string} [host] - The host the listener was asked to bind to
+ * @returns {string} The url, without a trailing '/'
+ * @private
+ */
+function listenerUrl(address, host) {
+    if( !host || host === '0.0.0.0' || host === '::' ) {
+        host = os.hostname();
+    }
+
+    // IPv6 addresses need brackets to be told apart from the port
+    if( host.indexOf(':') !== -1 ) {
+        host = '[' + host + ']';
+    }
+
+    return 'http://' + host + ':' + address.port;
+}
+
+/**
+ * Replaces an error from a request that never got a response with one describing what we were trying to do. Errors
+ * for responses from the server are returned untouched.
+ * @param {string} message - The message for the new error
+ * @param {Error} error - The error the request failed with
+ * @returns {Error} The error to report
+ * @private
+ */
+function describeRequestError(message, error) {
+    if( error.statusCode ) {
+        return error;
+    }
+
+    let described = new Error(message);
+    described.code = error.code;
+    described.attempts = error.attempts;
+    described.cause = error;
+
+    return described;
+}
+
+/**
+ * Whether an error means the SpidyMQ server couldn't take a request right now, as opposed to refusing it. That is
+ * the case for requests that got no response at all and for server errors.
+ * @param {Error} error - The error a request failed with
+ * @returns {boolean} Returns TRUE if the server was unreachable
+ * @private
+ */
+function isUnreachable(error) {
+    return !error.statusCode || error.statusCode >= 500;
+}
+
+/**
+ * Channel names are made of segments of letters, digits, '_' and '-', separated by dots (such as 'orders.us.created').
+ * @type {RegExp}
+ */
+const CHANNEL_NAME = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
+
+/**
+ * Channel patterns are channel names where any segment may also be a `*` or `#` wildcard. See `pattern`.
+ * @type {RegExp}
+ */
+const CHANNEL_PATTERN = /^([A-Za-z0-9_-]+|\*|#)(\.([A-Za-z0-9_-]+|\*|#))*$/;
+
+/**
+ * The longest channel name allowed.
+ * @type {number}
+ */
+const MAX_CHANNEL_NAME_LENGTH = 255;
+
+/**
+ * How long (in ms) a handler remembers processing a message that another handler of the same channel failed on.
+ * @type {number}
+ */
+const ACKNOWLEDGED_TTL = 600000;
+
+/**
+ * Checks that a channel name is given and well formed.
+ * @param {string} name - The channel name
+ * @param {string} action - What the name is needed for, to describe a missing name
+ * @param {boolean} [allowPatterns] - Whether the name may be a pattern
+ * @throws {Error} - If no name is given
+ * @throws {Error} - If the name is not a string of dot separated segments, or is too long
+ * @private
+ */
+function checkChannelName(name, action, allowPatterns) {
+    if( !name ) {
+        throw new Error('Cannot ' + action + ' without a name');
+    }
+
+    let format = allowPatterns ? CHANNEL_PATTERN : CHANNEL_NAME;
+    if( typeof name !== 'string' || name.length > MAX_CHANNEL_NAME_LENGTH || !format.test(name) ) {
+        throw new Error('Invalid channel name: ' + name);
+    }
+}
+
+/**
+ * Builds the dead-letter policy of a subscription from its options.
+ * @param {Object} [options] - The `deadLetter` option of the subscription. See `Connection#subscribeChannel`
+ * @returns {Object|null} The policy, or NULL if failed messages are simply refused
+ * @throws {Error} - If both a channel and a handler are given
+ * @throws {Error} - If the channel name is not valid
+ * @throws {Error} - If the handler is not a function
+ * @private
+ */
+function deadLetterPolicy(options) {
+    if( !options ) {
+        return null;
+    }
+
+    if( options.channel && options.handler ) {
+        throw new Error('Dead letters go to a channel or a handler, not both');
+    }
+
+    if( options.channel ) {
+        checkChannelName(options.channel, 'dead-letter messages');
+    }
+
+    if( options.handler !== undefined && typeof options.handler !== 'function' ) {
+        throw new Error('The dead letter handler must be a function');
+    }
+
+    return {
+        retries: options.retries || 0,
+        retryDelay: options.retryDelay !== undefined ? options.retryDelay : 1000,
+        channel: options.channel || null,
+        handler: options.handler || null
+    };
+}
+
+/**
+ * Builds the de-duplication policy of a subscription from its options.
+ * @param {Object|boolean} [options] - The `dedupe` option of the subscription. See `Connection#subscribeChannel`
+ * @returns {Object|null} The policy, or NULL if messages are not de-duplicated
+ * @throws {Error} - If the key is not a function
+ * @throws {Error} - If the store is missing part of its interface
+ * @private
+ */
+function dedupePolicy(options) {
+    if( !options ) {
+        return null;
+    }
+
+    options = options === true ? {} : options;
+
+    if( options.key !== undefined && typeof options.key !== 'function' ) {
+        throw new Error('The dedupe key must be a function');
+    }
+
+    let store = options.store || new MemoryStore();
+    if( typeof store.add !== 'function' || typeof store.remove !== 'function' ) {
+        throw new Error('A dedupe store needs add and remove functions');
+    }
+
+    return {
+        key: options.key || ((message) => message.id),
+        ttl: options.ttl || 600000,
+        store: store
+    };
+}
+
+/**
+ * Runs an asynchronous iterator over a list of items, with at most `limit` of them in flight at once.
+ * @param {Array} items - The items to iterate over
+ * @param {number} limit - The most items to have in flight at once
+ * @param {Function} iterator - Called with each item and a callback to call once the item is finished
+ * @param {Function} done - Called once every item has finished
+ * @private
+ */
+function eachLimit(items, limit, iterator, done) {
+    let started = 0;
+    let running = 0;
+    let finished = 0;
+
+    if( items.length === 0 ) {
+        done();
+        return;
+    }
+
+    let launch;
+    let next = () => {
+        running--;
+
+        if( ++finished === items.length ) {
+            done();
+            return;
+        }
+
+        launch();
+    };
+
+    launch = () => {
+        while( running < limit && started < items.length ) {
+            running++;
+            iterator(items[started++], next);
+        }
+    };
+
+    launch();
+}
+
+/**
+ * Calls a handler that reports its outcome in one of three ways:
+ *   - By returning a promise, which settles with its value or reason
+ *   - By accepting a node-style callback after its other arguments
+ *   - Otherwise by returning a value (or throwing)
+ * @param {Function} handler - The handler to call
+ * @param {Array} args - The arguments to call it with, not counting the callback
+ * @param {Function} done - A node-style callback, called once with the handler's outcome
+ * @private
+ */
+function invoke(handler, args, done) {
+    let settled = false;
+    let settle = (error, result) => {
+        if( settled ) {
+            return;
+        }
+
+        settled = true;
+        done(error || null, result);
+    };
+
+    let result;
+    try {
+        result = handler.apply(undefined, args.concat(settle));
+    }
+    catch( error ) {
+        settle(error);
+        return;
+    }
+
+    if( result && typeof result.then === 'function' ) {
+        result.then((value) => settle(null, value), (error) => settle(error || new Error('Message rejected')));
+    }
+    else if( handler.length <= args.length ) {
+        settle(null, result);
+    }
+}
+
+/**
+ * Passes a message through a chain of middleware, one step at a time. Each step may change the message, stop the
+ * chain by reporting FALSE, or fail it with an error. See `Connection#use`.
+ * @param {Function[]} chain - The middleware, in the order they run
+ * @param {Object} message - The message handed to each step
+ * @param {Function} done - A node-style callback, with FALSE as the result if a step stopped the chain
+ * @private
+ */
+function runChain(chain, message, done) {
+    let index = 0;
+    let next = () => {
+        if( index === chain.length ) {
+            done(null, true);
+            return;
+        }
+
+        invoke(chain[index++], [message], (error, result) => {
+            if( error ) {
+                done(error);
+                return;
+            }
+
+            if( result === false ) {
+                done(null, false);
+                return;
+            }
+
+            next();
+        });
+    };
+
+    next();
+}
+
+/**
+ * A SpidyMQ connection that allows for easy communication with a SpidyMQ server.
+ *
+ * Connections are event emitters. Besides the callbacks and promises of each method, they emit:
+ *   - 'connect' when connected, and again when the server answers heartbeats after reconnecting
+ *   - 'disconnect' when disconnected
+ *   - 'reconnecting' when the server stops answering heartbeats
+ *   - 'subscribed' (channelName, result) and 'unsubscribed' (channelName, result) once the server has confirmed
+ *   - 'resubscribed' (channelName, result) when a subscription has been renewed with the server
+ *   - 'message' (channelName, message) for every message handed to a subscriber
+ *   - 'publish' (channelName, content, result) once the server has accepted a message
+ *   - 'buffered' (channelName, content) when a message is held in the publish buffer until the server is reachable
+ *   - 'dropped' (channelName, content) when a full publish buffer drops a message
+ *   - 'unknownChannel' (channelName, message) for messages on channels we have no subscriber for
+ *   - 'invalidMessage' (channelName, message, error) for messages that don't match the schema of their channel
+ *   - 'duplicate' (channelName, message) for messages a de-duplicating subscriber has seen before
+ *   - 'throttled' (channelName, message) for messages refused because a subscriber already has its fill of them
+ *   - 'deadLetter' (channelName, deadLetter) when the connection gives up on a message a subscriber keeps failing on
+ *   - 'unauthorized' (channelName, reason) for deliveries refused because they aren't signed with a signing key
+ *   - 'request' (channelName, correlationId) when a request is published, and 'reply' (channelName, correlationId)
+ *     when its reply arrives
+ *   - 'error' (error) for failures that have no callback to report to, such as a notify function failing. Unlike
+ *     most emitters, these are not thrown when nobody is listening
+ * @extends EventEmitter
+ */
+class Connection extends EventEmitter {
     /**
      * Constructor for a SpidyMQ Connection.
      * @constructor
      * @param {string} url - The SpidyMQ server to connect to in host:port format
-     * @param {Object} config - Configuration for our connection
-     * @param {string} config.serverUrl - The server url that this connection can be reached at for messages
+     * @param {Object} [config] - Configuration for our connection
+     * @param {string} [config.serverUrl] - The server url that this connection can be reached at for messages. Without it (or `config.listen`) the connection is producer-only
+     * @param {Object} [config.listen] - Set for the connection to serve its router from an HTTP server of its own, started by `connect` and closed by `disconnect`. Without `config.serverUrl`, the url messages are sent to is worked out from the address the server is bound to
+     * @param {number} [config.listen.port] - The port to listen on. Defaults to 0, which picks a free port
+     * @param {string} [config.listen.host] - The host to listen on. Defaults to every interface
+     * @param {boolean} [config.producerOnly] - Set to true to create a connection that only creates channels and publishes messages. It has no router and cannot subscribe
      * @param {string} [config.mountPath] - An optional alternative mount path for the router. Default is '/spidymq'
      * @param {boolean} [config.useBodyParser] - Set to false if you don't want SpidyMQ attaching a json body parser to its route (you may already have it setup). Defaults to true
+     * @param {number} [config.handlerTimeout] - How long (in ms) a notify function has to acknowledge a message before it is treated as failed, including any local retries of it. Keep it below how long the server waits on a delivery. Defaults to 30000, 0 disables the timeout
+     * @param {number} [config.heartbeatInterval] - How often (in ms) to check the SpidyMQ server is still up once connected. Defaults to 10000, 0 disables heartbeats
+     * @param {number} [config.heartbeatTimeout] - How long (in ms) to wait on the SpidyMQ server to answer a health check. Defaults to 5000
+     * @param {number} [config.maxMissedHeartbeats] - How many heartbeats in a row may fail before the connection starts reconnecting. Defaults to 2
+     * @param {number} [config.resubscribeInterval] - How often (in ms) to renew every subscription with the server, as a lease. Defaults to 0 (never)
+     * @param {Object} [config.retry] - The retry policy for requests to the SpidyMQ server. See `retry.createPolicy` for its options. Requests are not retried by default
+     * @param {Object|boolean} [config.buffer] - Set to hold published messages while the server is unreachable and publish them in order once it is back. See `PublishBuffer` for its options (limit, overflow, spoolPath). With heartbeats off, `config.buffer.retryInterval` sets how often (in ms) buffered messages are tried again. Defaults to 5000
+     * @param {boolean} [config.batchEndpoint] - Set to true if the SpidyMQ server accepts batches of messages on its `/messages` endpoint. Otherwise batches are published one message at a time
+     * @param {number} [config.batchSize] - The most messages sent in a single batch. Defaults to 100
+     * @param {number} [config.publishConcurrency] - The most requests in flight at once while publishing a batch. Defaults to 4
+     * @param {number} [config.linger] - How long (in ms) `publishMessage` waits to gather more messages into a batch before sending them. Defaults to 0 (messages are sent straight away)
+     * @param {boolean} [config.envelope] - Set to true to publish messages in an envelope with an id, timestamp, producer id and headers, and to hand subscribers `Message` objects
+     * @param {string} [config.producerId] - The producer id put on published envelopes. Defaults to the host name and process id
+     * @param {number} [config.requestTimeout] - How long (in ms) `request` waits for a reply. Defaults to 30000
+     * @param {string|Object} [config.codec] - The codec messages are published with: 'json' (the default), 'text', 'binary', 'gzip-json' or a codec of your own. See `codecs`
+     * @param {Object} [config.channelCodecs] - Codecs for particular channels, by channel name, overriding `config.codec`
+     * @param {Object} [config.schemas] - JSON-Schema style schemas that the content of messages on a channel must match, by channel name. See `setSchema`
+     * @param {string|string[]} [config.signingKeys] - Secret keys that deliveries must be signed with. The first is handed to the server when subscribing, and the others are still accepted while keys are rotated. See `signature`
+     * @param {number} [config.signatureTolerance] - How far (in ms) the signing time of a delivery may be from now before it is refused as stale. Defaults to 300000
+     * @param {string|Function} [config.token] - A bearer token sent to the server with every request, or a function that provides it before each request by returning it, returning a promise for it or calling a node-style callback
+     * @param {string|Function} [config.apiKey] - An API key sent to the server with every request, or a function that provides it in the same ways as `config.token`
+     * @param {string} [config.apiKeyHeader] - The header the API key is sent in. Defaults to 'X-API-Key'
+     * @param {Object} [config.tls] - TLS options for requests to the server: `ca` (a CA bundle to trust), `cert` and `key` (a client certificate), `passphrase` (for the key) and `rejectUnauthorized`
+     * @param {string} [config.proxy] - The url of a proxy to send requests to the server through
+     * @throws {Error} - If a signing key is not a non-empty string
+     * @throws {Error} - If both a token and an API key are given
      */
     constructor(url, config) {
-        // Verify a configuration was provided since we require a config.serverUrl
-        if( !config ) {
-            throw new Error('Cannot create a connection without the proper configuration');
+        super();
+
+        config = config || {};
+
+        this._baseUrl = url;
+        this._producerOnly = config.producerOnly === true || (!config.serverUrl && !config.listen);
+        this._notifyBaseUrl = null;
+        this._notifyBaseUrlGiven = !!config.serverUrl;
+        this._listenOptions = this._producerOnly ? null : config.listen || null;
+        this._mountPath = config.mountPath || '/spidymq';
+        this._subscribers = {};
+        this._patterns = {};
+        this._patternChannels = {};
+        this._state = STATES.DISCONNECTED;
+        this._connectAttempt = 0;
+        this._handlerTimeout = config.handlerTimeout !== undefined ? config.handlerTimeout : 30000;
+        this._heartbeatInterval = config.heartbeatInterval !== undefined ? config.heartbeatInterval : 10000;
+        this._heartbeatTimeout = config.heartbeatTimeout || 5000;
+        this._maxMissedHeartbeats = config.maxMissedHeartbeats || 2;
+        this._missedHeartbeats = 0;
+        this._heartbeatTimer = null;
+        this._heartbeatPending = false;
+        this._serverInstance = null;
+        this._resubscribeInterval = config.resubscribeInterval || 0;
+        this._resubscribeTimer = null;
+        this._retryPolicy = retry.createPolicy(null, config.retry);
+        this._buffer = config.buffer ? new PublishBuffer(config.buffer === true ? {} : config.buffer) : null;
+        this._flushing = false;
+        this._bufferRetryInterval = (config.buffer && config.buffer.retryInterval) || 5000;
+        this._bufferTimer = null;
+        this._batchEndpoint = config.batchEndpoint === true;
+        this._batchSize = config.batchSize || 100;
+        this._publishConcurrency = config.publishConcurrency || 4;
+        this._linger = config.linger || 0;
+        this._lingering = [];
+        this._lingerTimer = null;
+        this._envelope = config.envelope === true;
+        this._producerId = config.producerId || envelope.defaultProducerId();
+        this._requestTimeout = config.requestTimeout || 30000;
+        this._replyChannel = 'spidymq.reply.' + envelope.generateId();
+        this._replyChannelReady = false;
+        this._replyChannelCreated = false;
+        this._replyWaiters = [];
+        this._pendingRequests = {};
+        this._codec = codecs.resolve(config.codec || codecs.json);
+        this._channelCodecs = {};
+        this._codecsByType = {};
+        this._schemas = {};
+        this._middleware = {
+            inbound: [],
+            outbound: []
+        };
+        this._signingKeys = [].concat(config.signingKeys || []);
+        this._signatureTolerance = config.signatureTolerance || 300000;
+        this._credentials = null;
+        this._transport = {};
+        this.router = null;
+        this.server = null;
+
+        if( config.token && config.apiKey ) {
+            throw new Error('Use either a token or an API key, not both');
         }
 
-        // TODO: Make this optional. Pure producers won't need this
-        // Make sure our local server url is supplied. Can't receive messages otherwise
-        if( !config.serverUrl ) {
-            throw new Error('Cannot create a connection without knowing our local server url');
+        if( config.token ) {
+            this._credentials = { header: 'Authorization', prefix: 'Bearer ', value: config.token };
+        }
+        else if( config.apiKey ) {
+            this._credentials = { header: config.apiKeyHeader || 'X-API-Key', prefix: '', value: config.apiKey };
         }
 
-        // Remove the trailing '/'
-        let serverUrl = config.serverUrl;
-        if( serverUrl[serverUrl.length - 1] === '/' ) {
-            serverUrl = serverUrl.slice(0, -1);
+        // These are handed to `request` as they are, for every call to the server
+        let tls = config.tls || {};
+        ['ca', 'cert', 'key', 'passphrase', 'rejectUnauthorized'].forEach((option) => {
+            if( tls[option] !== undefined ) {
+                this._transport[option] = tls[option];
+            }
+        });
+
+        if( config.proxy ) {
+            this._transport.proxy = config.proxy;
+        }
+
+        if( this._signingKeys.some((key) => typeof key !== 'string' || key.length === 0) ) {
+            throw new Error('Signing keys must be non-empty strings');
+        }
+
+        let schemas = config.schemas || {};
+        Object.keys(schemas).forEach((channelName) => this.setSchema(channelName, schemas[channelName]));
+
+        // Received messages find their codec by content type, so every codec we know of is registered by it
+        let channelCodecs = config.channelCodecs || {};
+        Object.keys(codecs.BUILT_IN).forEach((name) => this._registerCodec(codecs.BUILT_IN[name]));
+        this._registerCodec(this._codec);
+        Object.keys(channelCodecs).forEach((channelName) => {
+            this._channelCodecs[channelName] = this._registerCodec(codecs.resolve(channelCodecs[channelName]));
+        });
+
+        // Pure producers never receive messages, so there is no router to set up
+        if( this._producerOnly ) {
+            return;
         }
 
-        let mountPath = config.mountPath || '/spidymq';
+        let mountPath = this._mountPath;
         let messagePath = mountPath + '/:channel';
         let useBodyParser = config.useBodyParser !== false;
 
-        this._baseUrl = url;
-        this._notifyBaseUrl = serverUrl + mountPath;
-        this._subscribers = {};
-        this._connected = false;
+        // Remove the trailing '/'. Listeners without a server url find out theirs once they are bound
+        let serverUrl = config.serverUrl;
+        if( serverUrl ) {
+            if( serverUrl[serverUrl.length - 1] === '/' ) {
+                serverUrl = serverUrl.slice(0, -1);
+            }
+
+            this._notifyBaseUrl = serverUrl + mountPath;
+        }
+
         this.router = Router();
 
-        // Attach body parser's json middleware unless told not to
+        // Attach body parser's json middleware unless told not to, along with one that reads the body of messages
+        // using other codecs so they can decode it. Both keep the raw body for checking signatures
         if( useBodyParser ) {
-            this.router.use( mountPath, bodyParser.json() );
+            let keepRawBody = (req, res, body) => {
+                req.rawBody = body;
+            };
+
+            // Content may be any JSON value, not just an object or array
+            this.router.use( mountPath, bodyParser.json({ strict: false, verify: keepRawBody }) );
+            this.router.use( mountPath, bodyParser.raw({
+                verify: keepRawBody,
+                type: (req) => {
+                    let codec = this._codecsByType[codecs.mediaType(req.headers['content-type'])];
+                    return !!codec && codec.contentType !== codecs.json.contentType;
+                }
+            }) );
         }
 
         // This is the route all SpidyMQ messages will come in on
@@ -55,234 +554,2259 @@ class Connection {
     }
 
     /**
-     * Whether the connection is currently connected to the SpidyMQ server.
-     * @returns {boolean} Returns TRUE if we are connected
+     * Whether the connection is currently connected to the SpidyMQ server. This is FALSE while the connection is
+     * reconnecting to a server that stopped answering heartbeats.
+     * @returns {boolean} Returns TRUE if we are connected
+     */
+    isConnected() {
+        return this._state === STATES.CONNECTED;
+    }
+
+    /**
+     * The current state of the connection. One of 'disconnected', 'connecting', 'connected' or 'reconnecting'.
+     * @returns {string} The connection state
+     */
+    getState() {
+        return this._state;
+    }
+
+    /**
+     * Add middleware to the inbound or outbound chain. Outbound middleware runs on every message published with
+     * `publishMessage`, `publishMessages`, `publishBatch` or `request` before it is sent, and is handed an object with
+     * the message's `channel`, `content` and `headers`. Inbound middleware runs on every message received for a subscribed channel
+     * before it reaches the subscribers, and is handed its `Message`. Middleware runs in the order it was added and
+     * may change the `content` and `headers` of the message. It reports how it went in the same ways a notify function
+     * does: by returning (or resolving a returned promise), or by calling the `next` callback it receives as its second
+     * argument. It can:
+     *   - Let the message continue by returning nothing (or calling `next()`)
+     *   - Stop the message by returning FALSE (or calling `next(null, false)`). Outbound, the message is not published
+     *     and the publish reports FALSE. Inbound, it is acknowledged without reaching the subscribers
+     *   - Reject the message by throwing or reporting an error. Outbound, the publish fails with the error. Inbound,
+     *     the message is answered with the error's `statusCode`, or a 503 so that SpidyMQ redelivers it
+     * @param {string} chain - Which chain to add the middleware to: 'inbound' or 'outbound'
+     * @param {Function} middleware - The middleware
+     * @returns {Connection} The connection, so calls can be chained
+     * @throws {Error} - If the chain is unknown
+     * @throws {Error} - If the middleware is not a function
+     */
+    use(chain, middleware) {
+        if( !this._middleware.hasOwnProperty(chain) ) {
+            throw new Error('Unknown middleware chain: ' + chain);
+        }
+
+        if( typeof middleware !== 'function' ) {
+            throw new Error('Middleware must be a function');
+        }
+
+        this._middleware[chain].push(middleware);
+        return this;
+    }
+
+    /**
+     * Set the schema that the content of messages on a channel must match. Content published to the channel that
+     * doesn't match is refused with a `ValidationError`, and received messages that don't match are answered with a
+     * 400 and emitted as `invalidMessage` instead of being handed to the subscriber. See `schema.validate` for the
+     * keywords that are understood.
+     * @param {string} channelName - The name of the channel
+     * @param {Object|null} channelSchema - The schema, or null to stop validating the channel
+     * @throws {Error} - If no valid channel name is given
+     * @throws {Error} - If the schema is not an object
+     */
+    setSchema(channelName, channelSchema) {
+        checkChannelName(channelName, 'set a schema for a channel');
+
+        if( channelSchema === null || channelSchema === undefined ) {
+            delete this._schemas[channelName];
+            return;
+        }
+
+        if( typeof channelSchema !== 'object' ) {
+            throw new Error('A schema must be an object');
+        }
+
+        this._schemas[channelName] = channelSchema;
+    }
+
+    /**
+     * Whether the connection is producer-only. Producer-only connections have no router and cannot subscribe to
+     * channels.
+     * @returns {boolean} Returns TRUE if the connection can only create channels and publish messages
+     */
+    isProducerOnly() {
+        return this._producerOnly;
+    }
+
+    /**
+     * Connect to the SpidyMQ server endpoint. Since there is not a persistent connection, this checks the server is
+     * up and then keeps sending heartbeats to it. If the server stops answering, the connection moves to the
+     * reconnecting state until it answers again. A connection with `config.listen` starts its HTTP server first. The
+     * connection is only established once this calls back, so other methods must wait for it.
+     * @param {Function} [done] A callback function that will be called when connected (or an error occurs)
+     * @returns {Promise|undefined} A promise resolving to true when connected, if no callback was given
+     * @throws {Error} If already connected
+     */
+    connect(done) {
+        return callbackOrPromise(done, (done) => {
+            if( this._state !== STATES.DISCONNECTED ) {
+                throw new Error('Connection already established');
+            }
+
+            // Disconnecting, or connecting again after that, makes this attempt stale
+            let attempt = ++this._connectAttempt;
+            let current = () => attempt === this._connectAttempt;
+
+            this._state = STATES.CONNECTING;
+
+            this._listen((error) => {
+                if( !current() ) {
+                    // A newer attempt runs its own listener
+                    if( this._state === STATES.DISCONNECTED ) {
+                        this._stopListening(() => done(new Error('Connection attempt aborted')));
+                        return;
+                    }
+
+                    done(new Error('Connection attempt aborted'));
+                    return;
+                }
+
+                if( error ) {
+                    this._state = STATES.DISCONNECTED;
+                    done(error);
+                    return;
+                }
+
+                this._checkHealth((error, instance) => {
+                    // We may have been told to disconnect while waiting on the server
+                    if( !current() ) {
+                        done(new Error('Connection attempt aborted'));
+                        return;
+                    }
+
+                    if( error ) {
+                        this._state = STATES.DISCONNECTED;
+                        this._stopListening(() => done(error));
+                        return;
+                    }
+
+                    this._state = STATES.CONNECTED;
+                    this._serverInstance = instance;
+                    this._startHeartbeat();
+                    this._startResubscribing();
+                    this.emit('connect');
+                    this._flushBuffer();
+                    done(null, true);
+                });
+            });
+        });
+    }
+
+    /**
+     * Disconnects from the SpidyMQ server endpoint. Also unsubscribes all current subscribers, and deletes the reply
+     * channel that `request` set up. A connection with `config.listen` closes its HTTP server, finishing with the
+     * messages it is handling before calling back.
+     * @param {Function} [done] A callback function that will be called when disconnected (or an error occurs)
+     * @returns {Promise|undefined} A promise resolving to true when disconnected, if no callback was given
+     * @throws {Error} If not connected
+     */
+    disconnect(done) {
+        return callbackOrPromise(done, (done) => {
+            if ( this._state === STATES.DISCONNECTED ) {
+                throw new Error('Connection already disconnected');
+            }
+
+            // The reply channel is ours alone, so rather than leave it behind on the server we delete it, which also
+            // drops our subscription to it
+            if( this._isOpen() && this._replyChannelCreated ) {
+                delete this._subscribers[this._replyChannel];
+                this.deleteChannel(this._replyChannel, (error) => {
+                    if( error ) {
+                        this._emitError(error);
+                    }
+                });
+            }
+
+            // Unsubscribe from all channels. We don't wait on the server, so failures are only reported as events
+            if( this._isOpen() ) {
+                let channelNames = Object.keys(this._subscribers).concat(Object.keys(this._patterns));
+                channelNames.forEach((channelName) => {
+                    this.unsubscribeChannel(channelName, (error) => {
+                        if( error ) {
+                            this._emitError(error);
+                        }
+                    });
+                });
+            }
+
+            // Send off anything still waiting to be batched while we are able to
+            if( this._isOpen() ) {
+                this._flushLingering();
+            }
+
+            // Replies can't reach us anymore, so stop waiting on them
+            let correlationId;
+            for( correlationId in this._pendingRequests ) {
+                this._pendingRequests[correlationId](new Error('Connection closed before a reply was received'));
+            }
+
+            this._replyChannelReady = false;
+            this._replyChannelCreated = false;
+            clearTimeout(this._bufferTimer);
+            this._bufferTimer = null;
+            this._stopHeartbeat();
+            this._stopResubscribing();
+            this._connectAttempt++;
+            this._state = STATES.DISCONNECTED;
+            this.emit('disconnect');
+            this._stopListening(() => done(null, true));
+        });
+    }
+
+    /**
+     * Create a channel on the SpidyMQ server.
+     * @param {string} name - The name of the channel
+     * @param {Object} [options] - Options for the channel
+     * @param {string} [options.type] - The type of channel to create. May be left blank for default.
+     * @param {Object|boolean} [options.retry] - Overrides the connection's retry policy for this request, or FALSE to not retry
+     * @param {Function} [done] - Node-style callback function
+     * @returns {Promise|undefined} A promise for the result, if no callback was given
+     * @throws {Error} If connection is not established
+     * @throws {Error} If no valid channel name is provided
+     */
+    createChannel(name, options, done) {
+        if( typeof options === 'function' ) {
+            done = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        return callbackOrPromise(done, (done) => {
+            if( !this._isOpen() ) {
+                throw new Error('Connection not established');
+            }
+
+            checkChannelName(name, 'create a channel');
+
+            let req = {
+                name: name,
+                type: options.type
+            };
+
+            this._post('/channel', req, options.retry, (error, result) => {
+                // Pattern subscriptions that match the new channel need to know about it
+                if( !error ) {
+                    this._subscribeToMatches([name], (channelName, error) => this._emitError(error), () => {});
+                }
+
+                done(error, result);
+            });
+        });
+    }
+
+    /**
+     * List the channels on the SpidyMQ server.
+     * @param {Object} [options] - Options for the request
+     * @param {Object|boolean} [options.retry] - Overrides the connection's retry policy for this request, or FALSE to not retry
+     * @param {Function} [done] - A node-style callback for the channels, each with its `name`, `type` and number of
+     *                            `subscribers`
+     * @returns {Promise|undefined} A promise for the channels, if no callback was given
+     * @throws {Error} - If a connection is not established
+     */
+    listChannels(options, done) {
+        if( typeof options === 'function' ) {
+            done = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        return callbackOrPromise(done, (done) => {
+            if( !this._isOpen() ) {
+                throw new Error('Connection not established');
+            }
+
+            this._get('/channels', options.retry, (error, channels) => {
+                if( error ) {
+                    done(describeRequestError('Unable to list channels', error));
+                    return;
+                }
+
+                done(null, channels || []);
+            });
+        });
+    }
+
+    /**
+     * Read a channel on the SpidyMQ server.
+     * @param {string} name - The name of the channel
+     * @param {Object} [options] - Options for the request
+     * @param {Object|boolean} [options.retry] - Overrides the connection's retry policy for this request, or FALSE to not retry
+     * @param {Function} [done] - A node-style callback for the channel's `name`, `type` and number of `subscribers`.
+     *                            Channels that don't exist fail with a 404 `statusCode`
+     * @returns {Promise|undefined} A promise for the channel, if no callback was given
+     * @throws {Error} - If a connection is not established
+     * @throws {Error} - If no valid channel name is given
+     */
+    getChannel(name, options, done) {
+        if( typeof options === 'function' ) {
+            done = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        return callbackOrPromise(done, (done) => {
+            if( !this._isOpen() ) {
+                throw new Error('Connection not established');
+            }
+
+            checkChannelName(name, 'get a channel');
+
+            this._get('/channel/' + name, options.retry, (error, channel) => {
+                if( error ) {
+                    done(describeRequestError('Unable to get channel', error));
+                    return;
+                }
+
+                done(null, channel);
+            });
+        });
+    }
+
+    /**
+     * Delete a channel from the SpidyMQ server, along with the messages queued on it and its subscriptions. If this
+     * connection is subscribed to the channel, it forgets the subscription.
+     * @param {string} name - The name of the channel
+     * @param {Object} [options] - Options for the request
+     * @param {Object|boolean} [options.retry] - Overrides the connection's retry policy for this request, or FALSE to not retry
+     * @param {Function} [done] - A node-style callback for when this request finishes. Channels that don't exist fail
+     *                            with a 404 `statusCode`
+     * @returns {Promise|undefined} A promise for the result, if no callback was given
+     * @throws {Error} - If a connection is not established
+     * @throws {Error} - If no valid channel name is given
+     */
+    deleteChannel(name, options, done) {
+        if( typeof options === 'function' ) {
+            done = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        return callbackOrPromise(done, (done) => {
+            if( !this._isOpen() ) {
+                throw new Error('Connection not established');
+            }
+
+            checkChannelName(name, 'delete a channel');
+
+            this._send('del', '/channel/' + name, { json: true }, options.retry, (error, result) => {
+                if( error ) {
+                    done(describeRequestError('Unable to delete channel', error));
+                    return;
+                }
+
+                // The server dropped the subscription along with the channel, so there is nothing left to renew. Should
+                // the channel come back, patterns that match it subscribe to it again
+                delete this._subscribers[name];
+                delete this._patternChannels[name];
+                done(null, result);
+            });
+        });
+    }
+
+    /**
+     * Subscribe to a channel to receive messages from the queue. The name may also be a pattern, such as
+     * `orders.*.created` or `orders.#`, to subscribe to every channel that matches it (see `pattern`). The connection
+     * then subscribes to each matching channel on the server, including channels that appear later on: those it
+     * creates itself, and those it finds whenever it renews its subscriptions. A channel may have several notify
+     * functions, each receiving every message. Only the first subscribes on the server.
+     * @param {string} channelName - The name of the channel, or a pattern
+     * @param {Function} notifyFn - The callback function to execute when a message is received
+     * @param {Object} [options] - Options for the subscription
+     * @param {Object|boolean} [options.retry] - Overrides the connection's retry policy for this request, or FALSE to not retry
+     * @param {boolean} [options.envelope] - Set to hand the notify function `Message` objects (TRUE) or just their
+     *                                       content (FALSE). Defaults to `config.envelope`
+     * @param {Object} [options.deadLetter] - What to do with messages the notify function fails on. Without it they
+     *                                        are refused, so that SpidyMQ redelivers them
+     * @param {number} [options.deadLetter.retries] - How many more times to hand a failed message to the notify
+     *                                                function before giving up on it. Defaults to 0
+     * @param {number} [options.deadLetter.retryDelay] - How long (in ms) to wait before each retry. Defaults to 1000
+     * @param {string} [options.deadLetter.channel] - A channel to publish a dead letter to once the connection gives
+     *                                                up on a message. See `_deadLetter` for what it holds
+     * @param {Function} [options.deadLetter.handler] - A function handed the dead letter instead, which reports how
+     *                                                  it went in the same ways a notify function does
+     * @param {number} [options.maxConcurrent] - The most messages the notify function handles at once. Unlimited by
+     *                                           default
+     * @param {number} [options.maxQueued] - How many more messages may wait for the notify function once it handles
+     *                                       `maxConcurrent` of them. Beyond that, messages are refused with a 429 so
+     *                                       that SpidyMQ backs off and redelivers them. Defaults to 0
+     * @param {number} [options.retryAfter] - How long (in seconds) SpidyMQ is asked to back off for. Defaults to 1
+     * @param {Object|boolean} [options.dedupe] - Set to acknowledge messages seen before without handing them to the
+     *                                            notify function again. TRUE de-duplicates on the envelope id
+     * @param {Function} [options.dedupe.key] - Returns the key identifying a `Message`. Defaults to its id. Messages
+     *                                          without a key are never treated as duplicates
+     * @param {number} [options.dedupe.ttl] - How long (in ms) a key is remembered. Defaults to 600000
+     * @param {Object} [options.dedupe.store] - Where keys are remembered, such as a store shared between processes.
+     *                                          Defaults to a `MemoryStore` of the subscription's own
+     * @param {Function} [done] - A node-style callback function for when this request finishes. For patterns, the
+     *                            result lists the channels that matched
+     * @returns {Promise|undefined} A promise for the result, if no callback was given
+     * @throws {Error} - If the connection is producer-only
+     * @throws {Error} - If connection is not established
+     * @throws {Error} - If no valid channel name is provided
+     * @throws {Error} - If no notify function is provided
+     * @throws {Error} - If the notify function already handles the channel
+     * @throws {Error} - If the dead-letter options are not valid
+     * @throws {Error} - If maxConcurrent or maxQueued is not valid
+     * @throws {Error} - If the dedupe options are not valid
+     */
+    subscribeChannel(channelName, notifyFn, options, done) {
+        return this._subscribe(channelName, notifyFn, notifyFn, options, done);
+    }
+
+    /**
+     * Renew every current subscription with the SpidyMQ server. This happens automatically after reconnecting, when
+     * the server reports it has restarted, and on every `config.resubscribeInterval`, but may also be done by hand.
+     * Subscriptions that fail to renew are kept and will be tried again the next time.
+     * @param {Function} [done] - A node-style callback for when every request finishes. The error lists the
+     *                            `channels` that failed and their `errors`
+     * @returns {Promise|undefined} A promise for the result, if no callback was given
+     * @throws {Error} - If the connection is producer-only
+     * @throws {Error} - If a connection is not established
+     */
+    resubscribe(done) {
+        return callbackOrPromise(done, (done) => {
+            if( this._producerOnly ) {
+                throw new Error('Cannot resubscribe on a producer-only connection');
+            }
+
+            if( !this._isOpen() ) {
+                throw new Error('Connection not established');
+            }
+
+            this._resubscribe(done);
+        });
+    }
+
+    /**
+     * Unsubscribe from a channel to stop receiving messages from that queue. Unsubscribing from a pattern unsubscribes
+     * from the channels it matched, unless they are still wanted by another subscription. The server is only asked to
+     * stop sending messages once the channel has no handlers left.
+     * @param {string} channelName - The name of the channel, or a pattern
+     * @param {Object} [options] - Options for the request
+     * @param {Object|boolean} [options.retry] - Overrides the connection's retry policy for this request, or FALSE to not retry
+     * @param {Function} [options.handler] - The notify function to remove, or the handler given to `respond`. Without
+     *                                       it, every handler of the channel is removed
+     * @param {Function} [done] - A node-style callback for when this request finishes
+     * @returns {Promise|undefined} A promise for the result, if no callback was given
+     * @throws {Error} - If the connection is producer-only
+     * @throws {Error} - If a connection is not established
+     * @throws {Error} - If no valid channel name is given
+     * @throws {Error} - If the handler doesn't handle the channel
+     */
+    unsubscribeChannel(channelName, options, done) {
+        if( typeof options === 'function' ) {
+            done = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        return callbackOrPromise(done, (done) => {
+            if( this._producerOnly ) {
+                throw new Error('Cannot unsubscribe from a channel on a producer-only connection');
+            }
+
+            if( !this._isOpen() ) {
+                throw new Error('Connection not established');
+            }
+
+            checkChannelName(channelName, 'unsubscribe from a channel', true);
+
+            if( pattern.isPattern(channelName) ) {
+                if( this._removeHandler(this._patterns, channelName, options.handler) ) {
+                    done(null, true);
+                    return;
+                }
+
+                this._unsubscribePattern(channelName, options.retry, done);
+                return;
+            }
+
+            // We don't check our internal subscribers, since SpidyMQ may still be sending us
+            // messages from the last time we subscribed if we failed to unsubscribe.
+
+            // We may receive a message before the request makes it to the server
+            // however we obviously aren't interested in it, so we will delete
+            // our subscriber now. Any messages will be rejected with a 400
+            if( this._removeHandler(this._subscribers, channelName, options.handler) ) {
+                done(null, true);
+                return;
+            }
+
+            // A pattern still wants the channel's messages, so the server should keep sending them
+            if( this._patternChannels.hasOwnProperty(channelName) ) {
+                this.emit('unsubscribed', channelName, true);
+                done(null, true);
+                return;
+            }
+
+            this._requestUnsubscription(channelName, options.retry, done);
+        });
+    }
+
+    /**
+     * Publish a message to a channel queue. If the connection has a publish buffer, messages that can't reach the
+     * server are held in it and published in order once the server is back. The callback is then only called once
+     * the message has been published, or dropped from the buffer. If the connection lingers, the message waits
+     * to be sent along with others in a batch.
+     * @param {string} channelName - The name of the channel
+     * @param {*} content - The content to place in the queue. Usually a request object
+     * @param {Object} [options] - Options for the request
+     * @param {Object|boolean} [options.retry] - Overrides the connection's retry policy for this request, or FALSE to not retry
+     * @param {Object} [options.headers] - Headers to put on the message's envelope. Requires `config.envelope`
+     * @param {Function} [done] - A node-style callback for when this request finishes
+     * @returns {Promise|undefined} A promise for the result, if no callback was given
+     * @throws {Error} - If a connection is not established
+     * @throws {Error} - If no valid channel name is given
+     * @throws {Error} - If no content is given
+     * @throws {ValidationError} - If the content doesn't match the schema of the channel
+     * @throws {Error} - If headers are given without envelopes enabled
+     */
+    publishMessage(channelName, content, options, done) {
+        if( typeof options === 'function' ) {
+            done = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        return callbackOrPromise(done, (done) => {
+            if( !this._isOpen() ) {
+                throw new Error('Connection not established');
+            }
+
+            checkChannelName(channelName, 'publish a message to a channel');
+
+            if( content === null || content === undefined ) {
+                throw new Error('Cannot publish null or undefined content');
+            }
+
+            this._validate(channelName, content);
+            this._checkHeaders(options.headers);
+
+            this._runOutbound(channelName, content, options.headers, (error, message) => {
+                if( error ) {
+                    done(error);
+                    return;
+                }
+
+                // Stopped by middleware
+                if( !message ) {
+                    done(null, false);
+                    return;
+                }
+
+                let payload;
+                try {
+                    payload = this._wrapContent(message.content, message.headers);
+                }
+                catch( error ) {
+                    done(error);
+                    return;
+                }
+
+                // A retry policy for this message alone means it can't share a batch
+                if( this._linger > 0 && options.retry === undefined ) {
+                    this._lingerMessage(channelName, payload, done);
+                    return;
+                }
+
+                this._publish(channelName, payload, options.retry, done);
+            });
+        });
+    }
+
+    /**
+     * Publish many messages to a channel queue. Messages are sent in batches where the server accepts them (see
+     * `config.batchEndpoint`), and otherwise one at a time with a few requests in flight at once.
+     * @param {string} channelName - The name of the channel
+     * @param {Array} contents - The content of each message
+     * @param {Object} [options] - Options for the request
+     * @param {Object|boolean} [options.retry] - Overrides the connection's retry policy for these requests, or FALSE to not retry
+     * @param {number} [options.batchSize] - Overrides the connection's batch size
+     * @param {number} [options.concurrency] - Overrides the connection's publish concurrency
+     * @param {Object} [options.headers] - Headers to put on every message's envelope. Requires `config.envelope`
+     * @param {Function} [done] - A node-style callback for when every message has been published (or failed). The
+     *                            result holds an `{ channel, error, result }` object for each message, in order
+     * @returns {Promise|undefined} A promise for the results, if no callback was given
+     * @throws {Error} - If a connection is not established
+     * @throws {Error} - If no valid channel name is given
+     * @throws {Error} - If no list of contents is given, or any content is null or undefined
+     * @throws {ValidationError} - If any content doesn't match the schema of the channel
+     */
+    publishMessages(channelName, contents, options, done) {
+        if( typeof options === 'function' ) {
+            done = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        return callbackOrPromise(done, (done) => {
+            if( !this._isOpen() ) {
+                throw new Error('Connection not established');
+            }
+
+            checkChannelName(channelName, 'publish messages to a channel');
+
+            if( !Array.isArray(contents) ) {
+                throw new Error('Cannot publish messages without a list of contents');
+            }
+
+            let messages = contents.map((content) => {
+                return {
+                    channel: channelName,
+                    content: content,
+                    headers: options.headers
+                };
+            });
+
+            this._publishAll(messages, options, done);
+        });
+    }
+
+    /**
+     * Publish many messages, each to its own channel queue. Sent the same way as `publishMessages`.
+     * @param {Object[]} messages - The messages to publish
+     * @param {string} messages[].channel - The name of the channel for the message
+     * @param {*} messages[].content - The content of the message
+     * @param {Object} [messages[].headers] - Headers to put on the message's envelope. Requires `config.envelope`
+     * @param {Object} [options] - Options for the request, as for `publishMessages`
+     * @param {Function} [done] - A node-style callback for when every message has been published (or failed). The
+     *                            result holds an `{ channel, error, result }` object for each message, in order
+     * @returns {Promise|undefined} A promise for the results, if no callback was given
+     * @throws {Error} - If a connection is not established
+     * @throws {Error} - If no list of messages is given, or any message has no channel name or content
+     * @throws {ValidationError} - If any content doesn't match the schema of its channel
+     */
+    publishBatch(messages, options, done) {
+        if( typeof options === 'function' ) {
+            done = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        return callbackOrPromise(done, (done) => {
+            if( !this._isOpen() ) {
+                throw new Error('Connection not established');
+            }
+
+            if( !Array.isArray(messages) ) {
+                throw new Error('Cannot publish a batch without a list of messages');
+            }
+
+            messages.forEach((message) => {
+                if( !message ) {
+                    throw new Error('Cannot publish a message to a channel without a name');
+                }
+
+                checkChannelName(message.channel, 'publish a message to a channel');
+            });
+
+            this._publishAll(messages, options, done);
+        });
+    }
+
+    /**
+     * Publish a dead letter's message back to the channel it originally arrived on, with its original headers if the
+     * connection uses envelopes. See the `deadLetter` option of `subscribeChannel`.
+     * @param {Object|Message} deadLetter - The dead letter, or a `Message` holding it
+     * @param {Object} [options] - Options for the request
+     * @param {Object|boolean} [options.retry] - Overrides the connection's retry policy for this request, or FALSE to not retry
+     * @param {Function} [done] - A node-style callback for when this request finishes
+     * @returns {Promise|undefined} A promise for the result, if no callback was given
+     * @throws {Error} - If a connection is not established
+     * @throws {Error} - If it is not a dead letter
+     */
+    replayDeadLetter(deadLetter, options, done) {
+        if( typeof options === 'function' ) {
+            done = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        return callbackOrPromise(done, (done) => {
+            if( deadLetter instanceof envelope.Message ) {
+                deadLetter = deadLetter.content;
+            }
+
+            if( !deadLetter || typeof deadLetter.channel !== 'string' || !deadLetter.hasOwnProperty('content') ) {
+                throw new Error('Not a dead letter');
+            }
+
+            let headers = this._envelope ? deadLetter.headers : undefined;
+
+            this.publishMessage(deadLetter.channel, deadLetter.content, { retry: options.retry, headers: headers },
+                done);
+        });
+    }
+
+    /**
+     * Replay every message published to a dead-letter channel from now on, by subscribing to it and publishing each
+     * dead letter back to its original channel. A dead letter is only acknowledged once it has been replayed.
+     * Unsubscribe from the channel to stop, with `replayDeadLetter` as the `handler` to leave its other handlers be.
+     * @param {string} deadLetterChannel - The name of the dead-letter channel
+     * @param {Object} [options] - Options for the subscription
+     * @param {Object|boolean} [options.retry] - Overrides the connection's retry policy for these requests, or FALSE to not retry
+     * @param {Function} [done] - A node-style callback function for when the subscription is made
+     * @returns {Promise|undefined} A promise for the result, if no callback was given
+     * @throws {Error} - If the connection is producer-only
+     * @throws {Error} - If connection is not established
+     * @throws {Error} - If no valid channel name is provided
+     * @throws {Error} - If the channel's dead letters are already being replayed
+     */
+    replayDeadLetters(deadLetterChannel, options, done) {
+        if( typeof options === 'function' ) {
+            done = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        let replay = (deadLetter) => this.replayDeadLetter(deadLetter, { retry: options.retry });
+
+        return this._subscribe(deadLetterChannel, replay, this.replayDeadLetter, { retry: options.retry, envelope: false },
+            done);
+    }
+
+    /**
+     * Send a request to a channel and wait for its reply. The request is published in an envelope carrying a
+     * correlation id and the name of a reply channel private to this connection, which is created and subscribed to
+     * the first time a request is made. Whoever handles the channel (see `respond`) publishes its reply there.
+     * @param {string} channelName - The name of the channel
+     * @param {*} content - The content of the request
+     * @param {Object} [options] - Options for the request
+     * @param {number} [options.timeout] - How long (in ms) to wait for the reply. Defaults to `config.requestTimeout`
+     * @param {Object} [options.headers] - Headers to put on the request's envelope
+     * @param {Object|boolean} [options.retry] - Overrides the connection's retry policy for publishing the request, or FALSE to not retry
+     * @param {Function} [done] - A node-style callback for the content of the reply. Errors the responder replied
+     *                            with have the code `EREMOTE`, and requests that timed out have the code `ETIMEDOUT`
+     * @returns {Promise|undefined} A promise for the reply, if no callback was given
+     * @throws {Error} - If the connection is producer-only
+     * @throws {Error} - If a connection is not established
+     * @throws {Error} - If no valid channel name is given
+     * @throws {Error} - If no content is given
+     * @throws {ValidationError} - If the content doesn't match the schema of the channel
+     */
+    request(channelName, content, options, done) {
+        if( typeof options === 'function' ) {
+            done = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        return callbackOrPromise(done, (done) => {
+            if( this._producerOnly ) {
+                throw new Error('Cannot make a request on a producer-only connection');
+            }
+
+            if( !this._isOpen() ) {
+                throw new Error('Connection not established');
+            }
+
+            checkChannelName(channelName, 'make a request to a channel');
+
+            if( content === null || content === undefined ) {
+                throw new Error('Cannot make a request with null or undefined content');
+            }
+
+            this._validate(channelName, content);
+
+            let correlationId = envelope.generateId();
+            let timeout = options.timeout !== undefined ? options.timeout : this._requestTimeout;
+            let timer = null;
+
+            this._pendingRequests[correlationId] = (error, reply) => {
+                clearTimeout(timer);
+                delete this._pendingRequests[correlationId];
+
+                if( !error ) {
+                    this.emit('reply', channelName, correlationId);
+                }
+
+                done(error, reply);
+            };
+
+            if( timeout > 0 ) {
+                timer = setTimeout(() => {
+                    let error = new Error('Request timed out');
+                    error.code = 'ETIMEDOUT';
+                    this._settleRequest(correlationId, error);
+                }, timeout);
+            }
+
+            this._ensureReplyChannel((error) => {
+                if( error ) {
+                    this._settleRequest(correlationId, error);
+                    return;
+                }
+
+                // The request may have timed out while the reply channel was set up
+                if( !this._pendingRequests.hasOwnProperty(correlationId) ) {
+                    return;
+                }
+
+                this._runOutbound(channelName, content, options.headers, (error, message) => {
+                    if( error || !message ) {
+                        this._settleRequest(correlationId, error || new Error('Request stopped by middleware'));
+                        return;
+                    }
+
+                    let headers = Object.assign({}, message.headers, {
+                        correlationId: correlationId,
+                        replyTo: this._replyChannel
+                    });
+
+                    let req = envelope.wrap(message.content, {
+                        producerId: this._producerId,
+                        headers: headers
+                    });
+
+                    this.emit('request', channelName, correlationId);
+                    this._publish(channelName, req, options.retry, (error) => {
+                        if( error ) {
+                            this._settleRequest(correlationId, error);
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Handle the requests made to a channel with `request`. The handler is called with the content of each request
+     * and its `Message`, and its outcome is published back to the requester. A handler replies by returning a value,
+     * by resolving a returned promise, or by calling the `reply` callback it receives as its third argument. Throwing,
+     * rejecting or calling `reply` with an error sends the requester that error instead. Messages published without a
+     * reply channel are handled the same way, with the outcome acknowledging (or rejecting) the message. Give the
+     * handler as the `handler` option of `unsubscribeChannel` to stop handling the channel's requests.
+     * @param {string} channelName - The name of the channel
+     * @param {Function} handler - Called with the content and `Message` of each request
+     * @param {Object} [options] - Options for the subscription
+     * @param {Object|boolean} [options.retry] - Overrides the connection's retry policy for this request, or FALSE to not retry
+     * @param {Function} [done] - A node-style callback for when the subscription request finishes
+     * @returns {Promise|undefined} A promise for the result, if no callback was given
+     * @throws {Error} - If no handler is provided, or for the same reasons as `subscribeChannel`
+     */
+    respond(channelName, handler, options, done) {
+        if( typeof options === 'function' ) {
+            done = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        return callbackOrPromise(done, (done) => {
+            if( typeof handler !== 'function' ) {
+                throw new Error('Cannot respond to a channel without a handler');
+            }
+
+            let subscription = {
+                retry: options.retry,
+                envelope: true
+            };
+
+            this._subscribe(channelName, (message) => this._reply(handler, message), handler, subscription, done);
+        });
+    }
+
+    /**
+     * Checks that headers are only given to messages that will be put in an envelope.
+     * @param {Object} [headers] - The headers of a message
+     * @throws {Error} - If there are headers without envelopes enabled
+     * @private
+     */
+    _checkHeaders(headers) {
+        if( !this._envelope && headers && Object.keys(headers).length > 0 ) {
+            throw new Error('Cannot publish headers without enabling envelopes');
+        }
+    }
+
+    /**
+     * Runs a message about to be published through the outbound middleware.
+     * @param {string} channelName - The name of the channel
+     * @param {*} content - The content of the message
+     * @param {Object} [headers] - The headers of the message
+     * @param {Function} done - A node-style callback for the message, with its (possibly changed) `content` and
+     *                          `headers`, or FALSE if middleware stopped it
+     * @private
+     */
+    _runOutbound(channelName, content, headers, done) {
+        let message = {
+            channel: channelName,
+            content: content,
+            headers: Object.assign({}, headers)
+        };
+
+        runChain(this._middleware.outbound, message, (error, proceed) => {
+            if( error ) {
+                done(error);
+                return;
+            }
+
+            if( proceed && (message.content === null || message.content === undefined) ) {
+                done(new Error('Cannot publish null or undefined content'));
+                return;
+            }
+
+            done(null, proceed ? message : false);
+        });
+    }
+
+    /**
+     * Puts content in an envelope if the connection uses them. Wrapping happens once, when the message is published,
+     * so the id and timestamp stay the same however long the message waits to be sent.
+     * @param {*} content - The content of the message
+     * @param {Object} [headers] - Headers to put on the envelope
+     * @returns {*} The envelope, or the content itself if the connection doesn't use envelopes
+     * @throws {Error} - If headers are given without envelopes enabled
+     * @private
+     */
+    _wrapContent(content, headers) {
+        if( !this._envelope ) {
+            this._checkHeaders(headers);
+            return content;
+        }
+
+        return envelope.wrap(content, {
+            producerId: this._producerId,
+            headers: headers
+        });
+    }
+
+    /**
+     * Checks content against the schema of its channel, if it has one.
+     * @param {string} channelName - The name of the channel
+     * @param {*} content - The content
+     * @throws {ValidationError} - If the content doesn't match the schema
+     * @private
+     */
+    _validate(channelName, content) {
+        if( !this._schemas.hasOwnProperty(channelName) ) {
+            return;
+        }
+
+        let errors = schema.validate(this._schemas[channelName], content);
+        if( errors.length > 0 ) {
+            throw new schema.ValidationError(channelName, errors);
+        }
+    }
+
+    /**
+     * Adds a codec to those received messages can be decoded with.
+     * @param {Object} codec - The codec
+     * @returns {Object} The codec
+     * @private
+     */
+    _registerCodec(codec) {
+        this._codecsByType[codecs.mediaType(codec.contentType)] = codec;
+        return codec;
+    }
+
+    /**
+     * The codec messages on a channel are published with.
+     * @param {string} channelName - The name of the channel
+     * @returns {Object} The codec
+     * @private
+     */
+    _codecFor(channelName) {
+        return this._channelCodecs.hasOwnProperty(channelName) ? this._channelCodecs[channelName] : this._codec;
+    }
+
+    /**
+     * Builds the request that publishes a message. JSON messages are sent to the server as a JSON object holding the
+     * channel and content, as they always have been. Messages using other codecs are sent as their serialized body
+     * with its content type, and the channel in the query string.
+     * @param {string} channelName - The name of the channel
+     * @param {*} content - The content of the message
+     * @returns {Object} Options for the request
+     * @throws {Error} - If the channel's codec can't serialize the content
+     * @private
+     */
+    _encodeMessage(channelName, content) {
+        let codec = this._codecFor(channelName);
+
+        if( codec === codecs.json ) {
+            return {
+                json: true,
+                body: {
+                    channel: channelName,
+                    content: content
+                }
+            };
+        }
+
+        return {
+            qs: { channel: channelName },
+            headers: { 'content-type': codec.contentType },
+            body: codec.serialize(content)
+        };
+    }
+
+    /**
+     * Reads the payload of a received message. Bodies that were already parsed (as JSON) are used as they are, while
+     * raw bodies are decoded with the codec for their Content-Type, or the channel's codec if there is none. A string
+     * body is raw, unless the connection's own JSON parser read it.
+     * @param {Object} req - The request the message arrived in
+     * @param {string} channelName - The channel the message arrived on
+     * @returns {*} The payload
+     * @throws {Error} - If the body can't be decoded
+     * @private
+     */
+    _decodeMessage(req, channelName) {
+        if( !Buffer.isBuffer(req.body) && (typeof req.body !== 'string' || req.rawBody !== undefined) ) {
+            return req.body;
+        }
+
+        let contentType = codecs.mediaType(req.headers && req.headers['content-type']);
+        let codec = this._codecsByType[contentType] || this._codecFor(channelName);
+
+        return codec.deserialize(req.body);
+    }
+
+    /**
+     * Publishes a single message, buffering it if the server can't be reached and there is a publish buffer.
+     * @param {string} channelName - The name of the channel
+     * @param {*} content - The content of the message
+     * @param {Object|boolean} [retryOverrides] - Overrides for the connection's retry policy
+     * @param {Function} done - A node-style callback for when the message has been published (or failed)
+     * @private
+     */
+    _publish(channelName, content, retryOverrides, done) {
+        let options;
+        try {
+            options = this._encodeMessage(channelName, content);
+        }
+        catch( error ) {
+            done(error);
+            return;
+        }
+
+        if( this._shouldBuffer() ) {
+            this._bufferMessage(channelName, content, done);
+            return;
+        }
+
+        this._send('post', '/message', options, retryOverrides, (error, result) => {
+            if( error && this._buffer && isUnreachable(error) ) {
+                this._bufferMessage(channelName, content, done);
+                return;
+            }
+
+            if( !error ) {
+                this.emit('publish', channelName, content, result);
+            }
+
+            done(error, result);
+        });
+    }
+
+    /**
+     * Publishes a list of messages and collects the outcome of each one.
+     * @param {Object[]} messages - The messages to publish, each with a `channel` and `content`
+     * @param {Object} options - Options for the request, as for `publishMessages`
+     * @param {Function} done - Called with the `{ channel, error, result }` outcome of each message, in order
+     * @throws {Error} - If any message has null or undefined content, or headers without envelopes enabled
+     * @throws {ValidationError} - If any content doesn't match the schema of its channel
+     * @private
+     */
+    _publishAll(messages, options, done) {
+        messages.forEach((message) => {
+            if( message.content === null || message.content === undefined ) {
+                throw new Error('Cannot publish null or undefined content');
+            }
+
+            this._validate(message.channel, message.content);
+            this._checkHeaders(message.headers);
+        });
+
+        let results = [];
+        let entries = [];
+        let report = (index, channelName) => {
+            return (error, result) => {
+                results[index] = {
+                    channel: channelName,
+                    error: error || null,
+                    result: error ? null : result
+                };
+            };
+        };
+
+        // Messages stopped or rejected by middleware are reported straight away, and the others are published in order
+        eachLimit(messages.map((message, index) => index), messages.length, (index, next) => {
+            let message = messages[index];
+
+            this._runOutbound(message.channel, message.content, message.headers, (error, prepared) => {
+                let payload;
+
+                if( !error && prepared ) {
+                    try {
+                        payload = this._wrapContent(prepared.content, prepared.headers);
+                    }
+                    catch( wrapError ) {
+                        error = wrapError;
+                    }
+                }
+
+                if( error || !prepared ) {
+                    report(index, message.channel)(error, false);
+                }
+                else {
+                    entries[index] = {
+                        channel: message.channel,
+                        content: payload,
+                        done: report(index, message.channel)
+                    };
+                }
+
+                next();
+            });
+        }, () => {
+            entries = entries.filter((entry) => !!entry);
+            this._publishEntries(entries, options, () => done(null, results));
+        });
+    }
+
+    /**
+     * Publishes a list of messages in batches, with a limited number of requests in flight at once. Each message
+     * reports its own outcome through its `done` callback.
+     * @param {Object[]} entries - The messages to publish, each with a `channel`, `content` and `done` callback
+     * @param {Object} options - Options for the request, as for `publishMessages`
+     * @param {Function} done - Called once every message has reported its outcome
+     * @private
+     */
+    _publishEntries(entries, options, done) {
+        let batchSize = this._batchEndpoint ? (options.batchSize || this._batchSize) : 1;
+        let concurrency = options.concurrency || this._publishConcurrency;
+        let batches = [];
+        let batch = [];
+
+        // The batch endpoint takes JSON, so messages using other codecs are published on their own
+        entries.forEach((entry) => {
+            if( this._codecFor(entry.channel) !== codecs.json ) {
+                batches.push([entry]);
+                return;
+            }
+
+            batch.push(entry);
+            if( batch.length === batchSize ) {
+                batches.push(batch);
+                batch = [];
+            }
+        });
+
+        if( batch.length > 0 ) {
+            batches.push(batch);
+        }
+
+        eachLimit(batches, concurrency, (batch, next) => {
+            let remaining = batch.length;
+            let report = (entry) => {
+                return (error, result) => {
+                    entry.done(error, result);
+
+                    if( --remaining === 0 ) {
+                        next();
+                    }
+                };
+            };
+
+            if( batch.length === 1 ) {
+                this._publish(batch[0].channel, batch[0].content, options.retry, report(batch[0]));
+            }
+            else {
+                this._publishBatchRequest(batch, options.retry, report);
+            }
+        }, done);
+    }
+
+    /**
+     * Publishes a batch of messages in a single request to the server's `/messages` endpoint. The server accepts or
+     * refuses the batch as a whole.
+     * @param {Object[]} batch - The messages to publish, each with a `channel` and `content`
+     * @param {Object|boolean} [retryOverrides] - Overrides for the connection's retry policy
+     * @param {Function} report - Called with each message to get the callback its outcome is reported to
+     * @private
+     */
+    _publishBatchRequest(batch, retryOverrides, report) {
+        if( this._shouldBuffer() ) {
+            batch.forEach((entry) => this._bufferMessage(entry.channel, entry.content, report(entry)));
+            return;
+        }
+
+        let req = {
+            messages: batch.map((entry) => {
+                return {
+                    channel: entry.channel,
+                    content: entry.content
+                };
+            })
+        };
+
+        this._post('/messages', req, retryOverrides, (error, result) => {
+            batch.forEach((entry) => {
+                if( error && this._buffer && isUnreachable(error) ) {
+                    this._bufferMessage(entry.channel, entry.content, report(entry));
+                    return;
+                }
+
+                if( !error ) {
+                    this.emit('publish', entry.channel, entry.content, result);
+                }
+
+                report(entry)(error, result);
+            });
+        });
+    }
+
+    /**
+     * Holds a message published with `publishMessage` until the linger window closes or a full batch is waiting.
+     * @param {string} channelName - The name of the channel
+     * @param {*} content - The content of the message
+     * @param {Function} done - A node-style callback for when the message has been published (or failed)
+     * @private
+     */
+    _lingerMessage(channelName, content, done) {
+        this._lingering.push({
+            channel: channelName,
+            content: content,
+            done: done
+        });
+
+        if( this._lingering.length >= this._batchSize ) {
+            this._flushLingering();
+            return;
+        }
+
+        if( !this._lingerTimer ) {
+            this._lingerTimer = setTimeout(() => this._flushLingering(), this._linger);
+        }
+    }
+
+    /**
+     * Sends off every message waiting on the linger window.
+     * @private
+     */
+    _flushLingering() {
+        let entries = this._lingering;
+
+        clearTimeout(this._lingerTimer);
+        this._lingerTimer = null;
+        this._lingering = [];
+
+        this._publishEntries(entries, {}, function() {});
+    }
+
+    /**
+     * Whether new messages should go to the publish buffer rather than the server. They must while the server is
+     * unreachable, and also while earlier messages are still waiting in the buffer so they don't overtake them.
+     * @returns {boolean} Returns TRUE if messages should be buffered
+     * @private
+     */
+    _shouldBuffer() {
+        return !!this._buffer && (this._state === STATES.RECONNECTING || this._flushing || !this._buffer.isEmpty());
+    }
+
+    /**
+     * Holds a message in the publish buffer until the server can be reached.
+     * @param {string} channelName - The name of the channel
+     * @param {*} content - The content of the message
+     * @param {Function} done - The callback waiting on the message to be published
+     * @private
+     */
+    _bufferMessage(channelName, content, done) {
+        let entry = {
+            channel: channelName,
+            content: content,
+            done: done
+        };
+        let dropped;
+
+        try {
+            dropped = this._buffer.push(entry);
+        }
+        catch( error ) {
+            done(error);
+            return;
+        }
+
+        if( dropped !== entry ) {
+            this.emit('buffered', channelName, content);
+        }
+
+        if( dropped ) {
+            let error = new Error('Message dropped from the publish buffer');
+            error.code = 'EDROPPED';
+
+            this.emit('dropped', dropped.channel, dropped.content);
+            this._reportBuffered(dropped, error);
+        }
+
+        this._scheduleFlush();
+    }
+
+    /**
+     * Publishes the messages waiting in the publish buffer, oldest first. Stops at the first message the server
+     * can't be reached for, to be continued the next time the server answers a heartbeat (or, with heartbeats off,
+     * once `config.buffer.retryInterval` has passed).
+     * @private
+     */
+    _flushBuffer() {
+        if( !this._buffer || this._flushing ) {
+            return;
+        }
+
+        this._flushing = true;
+
+        let next = () => {
+            let entry = this._buffer.peek();
+
+            if( !entry || !this._isOpen() ) {
+                this._flushing = false;
+                return;
+            }
+
+            let options;
+            try {
+                options = this._encodeMessage(entry.channel, entry.content);
+            }
+            catch( error ) {
+                // Content restored from a spool may no longer suit its codec, and would fail the same way every time
+                this._buffer.remove(entry);
+                this._reportBuffered(entry, error);
+                next();
+                return;
+            }
+
+            this._send('post', '/message', options, null, (error, result) => {
+                if( error && isUnreachable(error) ) {
+                    this._flushing = false;
+                    this._scheduleFlush();
+                    return;
+                }
+
+                // The message may have been dropped from a full buffer while we were publishing it
+                if( this._buffer.remove(entry) ) {
+                    if( !error ) {
+                        this.emit('publish', entry.channel, entry.content, result);
+                    }
+
+                    this._reportBuffered(entry, error, result);
+                }
+
+                next();
+            });
+        };
+
+        next();
+    }
+
+    /**
+     * Tries the publish buffer again later. Only connections without heartbeats need this, as every heartbeat the
+     * server answers tries it anyway.
+     * @private
+     */
+    _scheduleFlush() {
+        if( this._heartbeatInterval > 0 || this._bufferTimer || !this._isOpen() || this._buffer.isEmpty() ) {
+            return;
+        }
+
+        this._bufferTimer = setTimeout(() => {
+            this._bufferTimer = null;
+            this._flushBuffer();
+        }, this._bufferRetryInterval);
+    }
+
+    /**
+     * Reports the outcome of a buffered message to whoever published it. Messages restored from a spool have
+     * nobody waiting on them, so their errors are emitted instead.
+     * @param {Object} entry - The buffered message
+     * @param {Error} [error] - The error the message failed with
+     * @param {boolean} [result] - The result of publishing the message
+     * @private
+     */
+    _reportBuffered(entry, error, result) {
+        if( entry.done ) {
+            entry.done(error || null, result);
+        }
+        else if( error ) {
+            this._emitError(error);
+        }
+    }
+
+    /**
+     * Creates and subscribes to this connection's reply channel, unless that has already been done. Requests made
+     * while it is being set up wait on the same attempt.
+     * @param {Function} done - A node-style callback for when the reply channel is ready
+     * @private
+     */
+    _ensureReplyChannel(done) {
+        if( this._replyChannelReady ) {
+            done(null);
+            return;
+        }
+
+        this._replyWaiters.push(done);
+        if( this._replyWaiters.length > 1 ) {
+            return;
+        }
+
+        let finish = (error) => {
+            let waiters = this._replyWaiters;
+
+            this._replyWaiters = [];
+            this._replyChannelReady = !error;
+            waiters.forEach((waiter) => waiter(error || null));
+        };
+
+        this.createChannel(this._replyChannel, { type: 'round-robin' }, (error) => {
+            if( !error ) {
+                this._replyChannelCreated = true;
+            }
+
+            // We may have disconnected while the channel was being created
+            if( !error && !this._isOpen() ) {
+                error = new Error('Connection not established');
+            }
+
+            if( error ) {
+                finish(error);
+                return;
+            }
+
+            this.subscribeChannel(this._replyChannel, this._handleReply.bind(this), { envelope: true }, finish);
+        });
+    }
+
+    /**
+     * Settles a pending request, if it is still waiting.
+     * @param {string} correlationId - The correlation id of the request
+     * @param {Error} error - The error to fail the request with, if any
+     * @param {*} [reply] - The content of the reply
+     * @private
+     */
+    _settleRequest(correlationId, error, reply) {
+        if( this._pendingRequests.hasOwnProperty(correlationId) ) {
+            this._pendingRequests[correlationId](error, reply);
+        }
+    }
+
+    /**
+     * Handles a message on the reply channel by settling the request it answers. Replies to requests that have
+     * already timed out are acknowledged and ignored.
+     * @param {Message} message - The reply
+     * @private
+     */
+    _handleReply(message) {
+        let correlationId = message.headers.correlationId;
+
+        if( message.headers.error ) {
+            let error = new Error(message.headers.error);
+            error.code = 'EREMOTE';
+            this._settleRequest(correlationId, error);
+            return;
+        }
+
+        this._settleRequest(correlationId, null, message.content);
+    }
+
+    /**
+     * Runs a `respond` handler for a request and publishes its outcome to the request's reply channel.
+     * @param {Function} handler - The handler given to `respond`
+     * @param {Message} message - The request
+     * @returns {Promise} Resolves once the reply has been published, and rejects if it couldn't be
+     * @private
+     */
+    _reply(handler, message) {
+        return new Promise((resolve, reject) => {
+            invoke(handler, [message.content, message], (error, result) => {
+                let replyTo = message.headers.replyTo;
+
+                if( !replyTo ) {
+                    if( error ) {
+                        reject(error);
+                    }
+                    else {
+                        resolve();
+                    }
+
+                    return;
+                }
+
+                let headers = { correlationId: message.headers.correlationId };
+                if( error ) {
+                    headers.error = error.message || String(error);
+                }
+
+                let reply = envelope.wrap(error || result === undefined ? null : result, {
+                    producerId: this._producerId,
+                    headers: headers
+                });
+
+                this._publish(replyTo, reply, null, (error) => {
+                    if( error ) {
+                        reject(error);
+                    }
+                    else {
+                        resolve();
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Whether the connection can be used. This includes while reconnecting, since requests made then will simply
+     * fail (or succeed, if the server has come back) on their own.
+     * @returns {boolean} Returns TRUE if connected or reconnecting
+     * @private
+     */
+    _isOpen() {
+        return this._state === STATES.CONNECTED || this._state === STATES.RECONNECTING;
+    }
+
+    /**
+     * Subscribes a notify function to a channel (or pattern), as `subscribeChannel` does, under the handle that
+     * `unsubscribeChannel` removes it by. That is the notify function itself, unless it wraps a function of the caller.
+     * @param {string} channelName - The name of the channel, or a pattern
+     * @param {Function} notifyFn - Called with each message
+     * @param {Function} handle - What the caller removes the handler by
+     * @param {Object} [options] - The options of `subscribeChannel`
+     * @param {Function} [done] - A node-style callback function for when this request finishes
+     * @returns {Promise|undefined} A promise for the result, if no callback was given
+     * @throws {Error} - For the same reasons as `subscribeChannel`
+     * @private
+     */
+    _subscribe(channelName, notifyFn, handle, options, done) {
+        if( typeof options === 'function' ) {
+            done = options;
+            options = null;
+        }
+
+        options = options || {};
+
+        return callbackOrPromise(done, (done) => {
+            if( this._producerOnly ) {
+                throw new Error('Cannot subscribe to a channel on a producer-only connection');
+            }
+
+            if( !this._isOpen() ) {
+                throw new Error('Connection not established');
+            }
+
+            checkChannelName(channelName, 'subscribe to a channel', true);
+
+            // TODO: Better validation and sanitization
+            if( !notifyFn ) {
+                throw new Error('Cannot subscribe to a channel with a notify callback');
+            }
+
+            let subscriber = {
+                notify: notifyFn,
+                handle: handle,
+                envelope: options.envelope !== undefined ? options.envelope === true : this._envelope,
+                deadLetter: deadLetterPolicy(options.deadLetter),
+                acknowledged: new MemoryStore(),
+                dedupe: dedupePolicy(options.dedupe),
+                limiter: null,
+                retryAfter: options.retryAfter || 1
+            };
+
+            if( options.maxConcurrent !== undefined || options.maxQueued !== undefined ) {
+                subscriber.limiter = new Limiter({
+                    maxConcurrent: options.maxConcurrent,
+                    maxQueued: options.maxQueued
+                });
+            }
+
+            if( pattern.isPattern(channelName) ) {
+                this._addHandler(this._patterns, channelName, subscriber, (done) => {
+                    this._subscribePattern(channelName, options.retry, done);
+                }, done);
+                return;
+            }
+
+            this._addHandler(this._subscribers, channelName, subscriber, (done) => {
+                this._requestSubscription(channelName, options.retry, (error, result) => {
+                    if( !error ) {
+                        this.emit('subscribed', channelName, result);
+                    }
+
+                    done(error, result);
+                });
+            }, done);
+        });
+    }
+
+    /**
+     * Asks the SpidyMQ server to send a channel's messages to us.
+     * @param {string} channelName - The name of the channel
+     * @param {Object|boolean} [retryOverrides] - Overrides for the connection's retry policy
+     * @param {Function} done - A node-style callback for when the request finishes
+     * @private
+     */
+    _requestSubscription(channelName, retryOverrides, done) {
+        let req = {
+            name: channelName,
+            notifyUrl: this._notifyBaseUrl + '/' + channelName
+        };
+
+        if( this._signingKeys.length > 0 ) {
+            req.signingKey = this._signingKeys[0];
+        }
+
+        this._post('/subscribe', req, retryOverrides, (error, result) => {
+            if( error ) {
+                done(describeRequestError('Unable to subscribe to channel', error));
+                return;
+            }
+
+            done(null, result);
+        });
+    }
+
+    /**
+     * Adds a handler for a channel (or pattern). Only the first handler subscribes on the server, and later handlers
+     * wait on that subscription if it is still being made. If it fails, every handler waiting on it is removed.
+     * @param {Object} registry - The handlers of every channel (or pattern), by name
+     * @param {string} name - The name of the channel (or pattern)
+     * @param {Object} subscriber - The handler, with its `notify` function, the `handle` it is removed by and whether
+     *                              it wants an `envelope`
+     * @param {Function} subscribe - Subscribes on the server, reporting to the node-style callback it is given
+     * @param {Function} done - A node-style callback for when the handler has been added
+     * @throws {Error} - If the notify function already handles the channel
+     * @private
+     */
+    _addHandler(registry, name, subscriber, subscribe, done) {
+        let entry = registry[name];
+
+        if( entry ) {
+            if( entry.handlers.some((handler) => handler.handle === subscriber.handle) ) {
+                throw new Error('Already subscribed to this channel with this notify function');
+            }
+
+            entry.handlers.push(subscriber);
+
+            if( entry.waiting ) {
+                entry.waiting.push(done);
+            }
+            else {
+                done(null, entry.result);
+            }
+
+            return;
+        }
+
+        entry = registry[name] = {
+            handlers: [subscriber],
+            waiting: [done],
+            result: null
+        };
+
+        subscribe((error, result) => {
+            let waiting = entry.waiting;
+
+            entry.waiting = null;
+            entry.result = result;
+
+            // If we weren't successful, remove our internal subscribers
+            if( error && registry[name] === entry ) {
+                delete registry[name];
+            }
+
+            waiting.forEach((waiter) => waiter(error, result));
+        });
+    }
+
+    /**
+     * Removes a handler for a channel (or pattern), or all of them.
+     * @param {Object} registry - The handlers of every channel (or pattern), by name
+     * @param {string} name - The name of the channel (or pattern)
+     * @param {Function} [handle] - The handle of the handler to remove. Without it, every handler is removed
+     * @returns {boolean} Returns TRUE if other handlers remain, so the server subscription must be kept
+     * @throws {Error} - If no handler has the handle
+     * @private
+     */
+    _removeHandler(registry, name, handle) {
+        let entry = registry[name];
+
+        if( handle ) {
+            if( !entry || !entry.handlers.some((handler) => handler.handle === handle) ) {
+                throw new Error('Not subscribed to this channel with this handler');
+            }
+
+            entry.handlers = entry.handlers.filter((handler) => handler.handle !== handle);
+
+            if( entry.handlers.length > 0 ) {
+                return true;
+            }
+        }
+
+        delete registry[name];
+        return false;
+    }
+
+    /**
+     * Asks the SpidyMQ server to stop sending a channel's messages to us.
+     * @param {string} channelName - The name of the channel
+     * @param {Object|boolean} [retryOverrides] - Overrides for the connection's retry policy
+     * @param {Function} done - A node-style callback for when the request finishes
+     * @private
+     */
+    _requestUnsubscription(channelName, retryOverrides, done) {
+        let req = {
+            name: channelName,
+            notifyUrl: this._notifyBaseUrl + '/' + channelName
+        };
+
+        this._post('/unsubscribe', req, retryOverrides, (error, result) => {
+            if( error ) {
+                done(describeRequestError('Unable to unsubscribe from channel', error));
+                return;
+            }
+
+            this.emit('unsubscribed', channelName, result);
+            done(null, result);
+        });
+    }
+
+    /**
+     * Subscribes to a pattern, by subscribing to every channel on the server that matches it. The pattern must already
+     * have a handler, so the channels are recognized as matching.
+     * @param {string} channelPattern - The pattern
+     * @param {Object|boolean} [retryOverrides] - Overrides for the connection's retry policy
+     * @param {Function} done - A node-style callback for the channels that matched
+     * @private
+     */
+    _subscribePattern(channelPattern, retryOverrides, done) {
+        this._get('/channels', retryOverrides, (error, channels) => {
+            if( error ) {
+                done(describeRequestError('Unable to subscribe to channel', error));
+                return;
+            }
+
+            let channelNames = (channels || []).map((channel) => channel.name);
+
+            // Channels that fail now are tried again whenever subscriptions are renewed
+            this._subscribeToMatches(channelNames, (channelName, error) => this._emitError(error), () => {
+                let matched = channelNames.filter((channelName) => pattern.matches(channelPattern, channelName));
+
+                this.emit('subscribed', channelPattern, matched);
+                done(null, matched);
+            });
+        });
+    }
+
+    /**
+     * Unsubscribes from a pattern, and from the channels it matched that no other subscription wants.
+     * @param {string} channelPattern - The pattern
+     * @param {Object|boolean} [retryOverrides] - Overrides for the connection's retry policy
+     * @param {Function} done - A node-style callback for when every request finishes
+     * @private
+     */
+    _unsubscribePattern(channelPattern, retryOverrides, done) {
+        let channelNames = Object.keys(this._patternChannels).filter((channelName) => !this._matchesPattern(channelName));
+        let failedChannels = [];
+        let errors = [];
+
+        channelNames.forEach((channelName) => delete this._patternChannels[channelName]);
+
+        let unsubscribing = channelNames.filter((channelName) => !this._subscribers.hasOwnProperty(channelName));
+
+        eachLimit(unsubscribing, unsubscribing.length, (channelName, next) => {
+            this._requestUnsubscription(channelName, retryOverrides, (error) => {
+                if( error ) {
+                    failedChannels.push(channelName);
+                    errors.push(error);
+                }
+
+                next();
+            });
+        }, () => {
+            if( failedChannels.length > 0 ) {
+                let error = new Error('Unable to unsubscribe from ' + failedChannels.join(', '));
+                error.channels = failedChannels;
+                error.errors = errors;
+                done(error);
+                return;
+            }
+
+            this.emit('unsubscribed', channelPattern, true);
+            done(null, true);
+        });
+    }
+
+    /**
+     * Whether a channel matches any of our patterns.
+     * @param {string} channelName - The name of the channel
+     * @returns {boolean} Returns TRUE if a pattern matches
+     * @private
+     */
+    _matchesPattern(channelName) {
+        return Object.keys(this._patterns).some((channelPattern) => pattern.matches(channelPattern, channelName));
+    }
+
+    /**
+     * Subscribes to the channels in a list that match one of our patterns, unless we already are.
+     * @param {string[]} channelNames - The names of the channels
+     * @param {Function} report - Called with the name of each channel that failed, and its error
+     * @param {Function} done - Called once every request has finished
+     * @private
+     */
+    _subscribeToMatches(channelNames, report, done) {
+        let subscribing = [];
+
+        channelNames.forEach((channelName) => {
+            if( this._patternChannels.hasOwnProperty(channelName) || !this._matchesPattern(channelName) ) {
+                return;
+            }
+
+            // Channels we are subscribed to by name only need to be remembered
+            if( this._subscribers.hasOwnProperty(channelName) ) {
+                this._patternChannels[channelName] = true;
+                return;
+            }
+
+            subscribing.push(channelName);
+        });
+
+        eachLimit(subscribing, subscribing.length, (channelName, next) => {
+            this._requestSubscription(channelName, null, (error, result) => {
+                if( error ) {
+                    report(channelName, error);
+                }
+                // The pattern may have been unsubscribed from while we were subscribing
+                else if( this._matchesPattern(channelName) ) {
+                    this._patternChannels[channelName] = true;
+                    this.emit('subscribed', channelName, result);
+                }
+
+                next();
+            });
+        }, done);
+    }
+
+    /**
+     * Renews every current subscription with the SpidyMQ server, and subscribes to any new channels our patterns match.
+     * @param {Function} done - A node-style callback for when every request finishes
+     * @private
+     */
+    _resubscribe(done) {
+        let channelNames = Object.keys(this._subscribers);
+        let failedChannels = [];
+        let errors = [];
+        let report = (channelName, error) => {
+            failedChannels.push(channelName);
+            errors.push(error);
+        };
+
+        Object.keys(this._patternChannels).forEach((channelName) => {
+            if( channelNames.indexOf(channelName) === -1 ) {
+                channelNames.push(channelName);
+            }
+        });
+
+        eachLimit(channelNames, channelNames.length, (channelName, next) => {
+            this._requestSubscription(channelName, null, (error, result) => {
+                if( error ) {
+                    report(channelName, error);
+                }
+                else {
+                    this.emit('resubscribed', channelName, result);
+                }
+
+                next();
+            });
+        }, () => {
+            this._refreshPatterns(report, () => {
+                if( failedChannels.length === 0 ) {
+                    done(null, true);
+                    return;
+                }
+
+                let resubscribeError = new Error('Unable to resubscribe to ' + failedChannels.join(', '));
+                resubscribeError.channels = failedChannels;
+                resubscribeError.errors = errors;
+                done(resubscribeError);
+            });
+        });
+    }
+
+    /**
+     * Looks for channels on the server that our patterns match but we aren't subscribed to yet, and subscribes to them.
+     * @param {Function} report - Called with the name of each channel (or pattern) that failed, and its error
+     * @param {Function} done - Called once every request has finished
+     * @private
+     */
+    _refreshPatterns(report, done) {
+        let channelPatterns = Object.keys(this._patterns);
+
+        if( channelPatterns.length === 0 ) {
+            done();
+            return;
+        }
+
+        this._get('/channels', null, (error, channels) => {
+            if( error ) {
+                error = describeRequestError('Unable to list channels', error);
+                channelPatterns.forEach((channelPattern) => report(channelPattern, error));
+                done();
+                return;
+            }
+
+            this._subscribeToMatches((channels || []).map((channel) => channel.name), report, done);
+        });
+    }
+
+    /**
+     * Renews every current subscription in the background, reporting failures as 'error' events.
+     * @private
+     */
+    _resubscribeInBackground() {
+        if( this._producerOnly ) {
+            return;
+        }
+
+        this._resubscribe((error) => {
+            if( error ) {
+                this._emitError(error);
+            }
+        });
+    }
+
+    /**
+     * Starts renewing subscriptions on every `config.resubscribeInterval`, if one was given.
+     * @private
+     */
+    _startResubscribing() {
+        if( this._resubscribeInterval <= 0 || this._producerOnly ) {
+            return;
+        }
+
+        this._resubscribeTimer = setInterval(() => this._resubscribeInBackground(), this._resubscribeInterval);
+
+        if( this._resubscribeTimer.unref ) {
+            this._resubscribeTimer.unref();
+        }
+    }
+
+    /**
+     * Stops renewing subscriptions on an interval.
+     * @private
      */
-    isConnected() {
-        return this._connected;
+    _stopResubscribing() {
+        clearInterval(this._resubscribeTimer);
+        this._resubscribeTimer = null;
     }
 
     /**
-     * Connect to the SpidyMQ server endpoint. Since there is not a persistent connection, this purely toggles
-     * the state to connected.
-     * @param {Function} [done] A callback function that will be called when connected (or an error occurs)
-     * @throws {Error} If already connected
+     * Emits an error to any 'error' listeners. Errors without listeners are dropped rather than thrown, since they
+     * happen outside of any call the application made.
+     * @param {Error} error - The error to emit
+     * @private
      */
-    connect(done) {
-        done = done || function() {};
-
-        if( this._connected ) {
-            throw new Error('Connection already established');
+    _emitError(error) {
+        if( this.listenerCount('error') > 0 ) {
+            this.emit('error', error);
         }
-
-        this._connected = true;
-        done(null, true);
     }
 
     /**
-     * Disconnects from the SpidyMQ server endpoint. Also unsubscribes all current subscribers.
-     * @param {Function} [done] A callback function that will be called when disconnected (or an error occurs)
-     * @throws {Error} If not connected
+     * Starts the connection's HTTP server, if it has `config.listen`, and works out the url messages are sent to
+     * from the address it is bound to unless `config.serverUrl` was given. That address can change every time it
+     * starts, such as when reconnecting on a free port.
+     * @param {Function} done - Called with an error if the server couldn't start listening
+     * @private
      */
-    disconnect(done) {
-        done = done || function() {};
-
-        if ( !this._connected ) {
-            throw new Error('Connection already disconnected');
+    _listen(done) {
+        if( !this._listenOptions || this.server ) {
+            done(null);
+            return;
         }
 
-        // Unsubscribe from all channels
-        let channelName;
-        for( channelName in this._subscribers ) {
-            this.unsubscribeChannel(channelName);
-        }
+        // Requests the router has no route for get a plain 404, and bodies it can't parse the status of the error
+        let server = http.createServer((req, res) => {
+            this.router(req, res, (error) => {
+                res.statusCode = error ? error.status || 500 : 404;
+                res.end();
+            });
+        });
+
+        let onError = (error) => {
+            done(describeRequestError('Unable to listen for messages', error));
+        };
 
-        this._connected = false;
-        done(null, true);
+        server.once('error', onError);
+        server.listen(this._listenOptions.port || 0, this._listenOptions.host, () => {
+            server.removeListener('error', onError);
+            this.server = server;
+
+            if( !this._notifyBaseUrlGiven ) {
+                this._notifyBaseUrl = listenerUrl(server.address(), this._listenOptions.host) + this._mountPath;
+            }
+
+            done(null);
+        });
     }
 
     /**
-     * Create a channel on the SpidyMQ server.
-     * @param {string} name - The name of the channel
-     * @param {Object} [options] - Options for the channel
-     * @param {string} [options.type] - The type of channel to create. May be left blank for default.
-     * @param {Function} [done] - Node-style callback function
-     * @throws {Error} If connection is not established
-     * @throws {Error} If no channel name is provided
+     * Closes the connection's HTTP server, if it has one, once the requests it is handling have finished.
+     * @param {Function} done - Called once the server is closed
+     * @private
      */
-    createChannel(name, options, done) {
-        options = options || {};
-        done = done || function() {};
+    _stopListening(done) {
+        let server = this.server;
 
-        if( !this._connected ) {
-            throw new Error('Connection not established');
+        if( !server ) {
+            done();
+            return;
         }
 
-        // TODO: Better validation and sanitization
-        if( !name ) {
-            throw new Error('Cannot create a channel without a name');
-        }
+        this.server = null;
+        server.close(() => done());
 
-        let req = {
-            name: name,
-            type: options.type
-        };
+        // Idle keep-alive connections would otherwise hold the server open
+        if( typeof server.closeIdleConnections === 'function' ) {
+            server.closeIdleConnections();
+        }
+    }
 
-        request
-            .post({
-                url: this._baseUrl + '/channel',
-                json: true,
-                body: req
-            })
-            .on('response', (response) => this._handleResponse(response, done))
-            .on('error', (error) => {
+    /**
+     * Checks the SpidyMQ server is up by requesting its health endpoint. Servers identify the running instance with
+     * an `X-SpidyMQ-Instance` header, which changes when they restart.
+     * @param {Function} done - Called with an error if the server could not be reached, rejects our credentials or is
+     *                          unhealthy, otherwise with the server's instance id (if it has one). Errors for a
+     *                          response carry its `statusCode`
+     * @private
+     */
+    _checkHealth(done) {
+        this._withCredentials('/health', { timeout: this._heartbeatTimeout }, (error, options) => {
+            if( error ) {
                 done(error);
-            });
+                return;
+            }
+
+            request
+                .get(options)
+                .on('response', (response) => {
+                    if( response.statusCode !== 200 ) {
+                        let rejected = response.statusCode === 401 || response.statusCode === 403;
+                        let error = new Error(rejected ? 'Unauthorized' : 'SpidyMQ server is unhealthy');
+                        error.statusCode = response.statusCode;
+                        done(error);
+                        return;
+                    }
+
+                    done(null, (response.headers && response.headers['x-spidymq-instance']) || null);
+                })
+                .on('error', (error) => {
+                    done(new Error('Unable to reach the SpidyMQ server'));
+                });
+        });
     }
 
     /**
-     * Subscribe to a channel to receive messages from the queue
-     * @param {string} channelName - The name of the channel
-     * @param {Function} notifyFn - The callback function to execute when a message is received
-     * @param {Function} [done] - A node-style callback function for when this request finishes
-     * @throws {Error} - If connection is not established
-     * @throws {Error} - If no channel name is provided
-     * @throws {Error} - If no notify function is provided
-     * @throws {Error} - If we've already subscribed to the channel
+     * Starts sending heartbeats to the SpidyMQ server, unless heartbeats are disabled.
+     * @private
      */
-    subscribeChannel(channelName, notifyFn, done) {
-        done = done || function() {};
-
-        if( !this._connected ) {
-            throw new Error('Connection not established');
+    _startHeartbeat() {
+        if( this._heartbeatInterval <= 0 ) {
+            return;
         }
 
-        // TODO: Better validation and sanitization
-        if( !channelName ) {
-            throw new Error('Cannot subscribe to a channel without a name');
-        }
+        this._missedHeartbeats = 0;
+        this._heartbeatTimer = setInterval(() => this._heartbeat(), this._heartbeatInterval);
 
-        // TODO: Better validation and sanitization
-        if( !notifyFn ) {
-            throw new Error('Cannot subscribe to a channel with a notify callback');
+        // Heartbeats alone shouldn't keep the process alive
+        if( this._heartbeatTimer.unref ) {
+            this._heartbeatTimer.unref();
         }
+    }
+
+    /**
+     * Stops sending heartbeats to the SpidyMQ server.
+     * @private
+     */
+    _stopHeartbeat() {
+        clearInterval(this._heartbeatTimer);
+        this._heartbeatTimer = null;
+    }
 
-        // If we're already subscribed to this channel, throw an exception
-        if( this._subscribers.hasOwnProperty(channelName) ) {
-            throw new Error('Already subscribed to this channel');
+    /**
+     * Sends a single heartbeat, moving the connection between the connected and reconnecting states based on
+     * whether the server answers. Subscriptions are renewed when the server comes back, since it may have lost them,
+     * and any buffered messages are published.
+     * @private
+     */
+    _heartbeat() {
+        // Don't pile up heartbeats behind a server that isn't answering
+        if( this._heartbeatPending ) {
+            return;
         }
 
-        this._subscribers[channelName] = notifyFn;
+        this._heartbeatPending = true;
+        this._checkHealth((error, instance) => {
+            this._heartbeatPending = false;
 
-        let req = {
-            name: channelName,
-            notifyUrl: this._notifyBaseUrl + '/' + channelName
-        };
+            // We may have disconnected while waiting on the server
+            if( !this._isOpen() ) {
+                return;
+            }
 
-        request
-            .post({
-                url: this._baseUrl + '/subscribe',
-                json: true,
-                body: req
-            })
-            .on('response', (response) => {
-                // If we weren't successful, remove our internal subscriber
-                if( response.statusCode !== 200 && response.statusCode !== 304 ) {
-                    delete this._subscribers[channelName];
+            if( error ) {
+                this._missedHeartbeats++;
+
+                if( this._missedHeartbeats >= this._maxMissedHeartbeats && this._state === STATES.CONNECTED ) {
+                    this._state = STATES.RECONNECTING;
+                    this.emit('reconnecting');
                 }
 
-                this._handleResponse(response, done);
-            })
-            .on('error', (error) => {
-                delete this._subscribers[channelName];
-                done(new Error('Unable to subscribe to channel'));
-            });
+                return;
+            }
+
+            let restarted = !!instance && !!this._serverInstance && instance !== this._serverInstance;
+            let reconnected = this._state === STATES.RECONNECTING;
+
+            this._missedHeartbeats = 0;
+            this._serverInstance = instance;
+
+            if( reconnected ) {
+                this._state = STATES.CONNECTED;
+                this.emit('connect');
+            }
+
+            if( reconnected || restarted ) {
+                this._resubscribeInBackground();
+            }
+
+            this._flushBuffer();
+        });
     }
 
     /**
-     * Unsubscribe from a channel to stop receiving messages from that queue
-     * @param {string} channelName - The name of the channel
-     * @param {Function} [done] - A node-style callback for when this request finishes
-     * @throws {Error} - If a connection is not established
-     * @throws {Error} - If no channel name is given
+     * Posts a JSON request to the SpidyMQ server, retrying it under the connection's retry policy.
+     * @param {string} path - The endpoint to post to
+     * @param {Object} body - The request body
+     * @param {Object|boolean} [retryOverrides] - Overrides for the connection's retry policy
+     * @param {Function} done - A node-style callback for the outcome, as decided by `_handleResponse`
+     * @private
      */
-    unsubscribeChannel(channelName, done) {
-        done = done || function() {};
+    _post(path, body, retryOverrides, done) {
+        this._send('post', path, { json: true, body: body }, retryOverrides, done);
+    }
 
-        if( !this._connected ) {
-            throw new Error('Connection not established');
-        }
+    /**
+     * Sends a request to the SpidyMQ server, retrying it under the connection's retry policy.
+     * @param {string} method - The `request` method to send it with, such as 'post' or 'del'
+     * @param {string} path - The endpoint to send it to
+     * @param {Object} options - Options for the request, such as its body and headers
+     * @param {Object|boolean} [retryOverrides] - Overrides for the connection's retry policy
+     * @param {Function} done - A node-style callback for the outcome, as decided by `_handleResponse`
+     * @private
+     */
+    _send(method, path, options, retryOverrides, done) {
+        let policy = retry.createPolicy(this._retryPolicy, retryOverrides);
 
-        // TODO: Better validation and sanitization
-        if( !channelName ) {
-            throw new Error('Cannot unsubscibe from a channel without a name');
-        }
+        retry.withRetry(policy, (done) => {
+            this._withCredentials(path, options, (error, options) => {
+                if( error ) {
+                    done(error);
+                    return;
+                }
 
-        // We don't check our internal subscribers, since SpidyMQ may still be sending us
-        // messages from the last time we subscribed if we failed to unsubscribe.
+                request[method](options)
+                    .on('response', (response) => this._handleResponse(response, done))
+                    .on('error', (error) => {
+                        done(error);
+                    });
+            });
+        }, done);
+    }
 
-        // We may receive a message before the request makes it to the server
-        // however we obviously aren't interested in it, so we will delete
-        // our subscriber now. Any messages will be rejected with a 400
-        delete this._subscribers[channelName];
+    /**
+     * Reads a JSON resource from the SpidyMQ server, retrying under the connection's retry policy.
+     * @param {string} path - The endpoint to read
+     * @param {Object|boolean} [retryOverrides] - Overrides for the connection's retry policy
+     * @param {Function} done - A node-style callback for the response body, or the error decided by `_handleResponse`
+     * @private
+     */
+    _get(path, retryOverrides, done) {
+        let policy = retry.createPolicy(this._retryPolicy, retryOverrides);
 
-        let req = {
-            name: channelName,
-            notifyUrl: this._notifyBaseUrl + '/' + channelName
-        };
+        retry.withRetry(policy, (done) => {
+            this._withCredentials(path, { json: true }, (error, options) => {
+                if( error ) {
+                    done(error);
+                    return;
+                }
 
-        request
-            .post({
-                url: this._baseUrl + '/unsubscribe',
-                json: true,
-                body: req
-            })
-            .on('response', (response) => this._handleResponse(response, done))
-            .on('error', (error) => {
-                done(new Error('Unable to unsubscribe from channel'));
+                request.get(options, (error, response, body) => {
+                    if( error ) {
+                        done(error);
+                        return;
+                    }
+
+                    this._handleResponse(response, (error) => done(error, error ? null : body));
+                });
             });
+        }, done);
     }
 
     /**
-     * Publish a message to a channel queue
-     * @param {string} channelName - The name of the channel
-     * @param {*} content - The content to place in the queue. Usually a request object
-     * @param {Function} [done] - A node-style callback for when this request finishes
-     * @throws {Error} - If a connection is not established
-     * @throws {Error} - If no channel name is given
-     * @throws {Error} - If no content is given
+     * Builds the options for a request to the SpidyMQ server: its url, the connection's TLS and proxy settings and
+     * its credentials. A token or API key given as a function is asked for it before every request, so it can hand
+     * out a fresh one when the last has expired (and should cache it until then). Like a notify function, it can
+     * return the value, return a promise for it or take a node-style callback.
+     * @param {string} path - The endpoint the request is for
+     * @param {Object} options - Options for the request, such as its body and headers
+     * @param {Function} done - A node-style callback for the options, or the error the credentials failed with
+     * @private
      */
-    publishMessage(channelName, content, done) {
-        done = done || function() {};
+    _withCredentials(path, options, done) {
+        let build = (credential) => {
+            let built = Object.assign({ url: this._baseUrl + path }, this._transport, options);
 
-        if( !this._connected ) {
-            throw new Error('Connection not established');
-        }
+            if( credential ) {
+                built.headers = Object.assign({}, options.headers);
+                built.headers[this._credentials.header] = this._credentials.prefix + credential;
+            }
+
+            return built;
+        };
 
-        // TODO: Better validation and sanitization
-        if( !channelName ) {
-            throw new Error('Cannot publish a message to a channel without a name');
+        if( !this._credentials ) {
+            done(null, build(null));
+            return;
         }
 
-        if( content === null || content === undefined ) {
-            throw new Error('Cannot publish null or undefined content');
+        if( typeof this._credentials.value !== 'function' ) {
+            done(null, build(this._credentials.value));
+            return;
         }
 
-        let req = {
-            channel: channelName,
-            content: content
-        };
+        invoke(this._credentials.value, [], (error, credential) => {
+            if( error ) {
+                done(describeRequestError('Unable to get credentials for the SpidyMQ server', error));
+                return;
+            }
 
-        request
-            .post({
-                url: this._baseUrl + '/message',
-                json: true,
-                body: req
-            })
-            .on('response', (response) => this._handleResponse(response, done))
-            .on('error', (error) => {
-                done(error);
-            });
+            done(null, build(credential));
+        });
     }
 
     /**
@@ -290,7 +2814,9 @@ class Connection {
      * Requests that are successful return a 200 status
      * Requests that don't change the current state return a 304 status (i.e. channel already exists)
      * Requests that fail because of a user defined value return a 400 status
+     * Requests with credentials the SpidyMQ server rejects return a 401 or 403 status
      * Requests that fail because of the SpidyMQ server return a 500 status
+     * Errors carry the `statusCode` of the response
      * @param response
      * @param done
      * @private
@@ -311,37 +2837,466 @@ class Connection {
         else if( response.statusCode === 400 ) {
             error = new Error('Bad request');
         }
+        // If the statusCode is 404, there is no such resource (such as a channel we asked about)
+        else if( response.statusCode === 404 ) {
+            error = new Error('Not found');
+        }
+        // If the statusCode is 401 or 403, the server doesn't accept our credentials
+        else if( response.statusCode === 401 || response.statusCode === 403 ) {
+            error = new Error('Unauthorized');
+        }
         // Otherwise there was a server error
         else {
             error = new Error('Server error');
         }
 
+        if( error ) {
+            error.statusCode = response.statusCode;
+        }
+
         done(error, result);
     }
 
     /**
-     * Handles incoming messages from SpidyMQ
+     * Handles incoming messages from SpidyMQ. Messages may arrive in an envelope or as the raw content from producers
+     * that don't use envelopes. The response tells SpidyMQ whether the message was processed:
+     * 200 once the notify function acknowledges it, 503 if it fails (or times out) so SpidyMQ will redeliver it, and
+     * 400 if we have no subscriber for the channel, can't decode the message or its content doesn't match the schema
+     * of the channel. With signing keys, deliveries that aren't signed with one of them (or were signed too long ago)
+     * are refused with a 401, and messages for a subscriber that already has as many as its `maxConcurrent` and
+     * `maxQueued` allow are refused with a 429 and a Retry-After header.
      * @param req
      * @param res
      * @private
      */
     _handleMessage(req, res) {
-        // If we aren't connected, ignore the message
-        if( !this._connected ) {
+        // If we aren't connected, we can't process the message. Ask SpidyMQ to try again later
+        if( !this._isOpen() ) {
+            res.statusCode = 503;
             res.end();
+            return;
         }
 
+        // Subscribers get a Message if we use envelopes, otherwise just the content
         let channel = req.url.split('/').pop();
-        let message = req.body;
+        let payload;
+
+        // Anyone who can reach the router could post to it, so only signed deliveries are trusted when we have keys
+        if( this._signingKeys.length > 0 ) {
+            let refusal = signature.verify(this._signingKeys, req.headers || {}, channel, rawBody(req),
+                this._signatureTolerance);
+
+            if( refusal ) {
+                this.emit('unauthorized', channel, refusal);
+                res.statusCode = 401;
+                res.end();
+                return;
+            }
+        }
 
-        if( !this._subscribers.hasOwnProperty(channel) ) {
+        // A message we can't decode will never be processed, so there is no point in SpidyMQ redelivering it
+        try {
+            payload = this._decodeMessage(req, channel);
+        }
+        catch( error ) {
+            this._emitError(error);
+            res.statusCode = 400;
+            res.end();
+            return;
+        }
+
+        let message = envelope.unwrap(payload, channel);
+        let subscribers = this._subscribersFor(channel);
+
+        if( subscribers.length === 0 ) {
+            this.emit('unknownChannel', channel, this._envelope ? message : message.content);
+            res.statusCode = 400;
+            res.end();
+            return;
+        }
+
+        runChain(this._middleware.inbound, message, (error, proceed) => {
+            if( error ) {
+                this._emitError(error);
+                res.statusCode = error.statusCode || 503;
+                res.end();
+                return;
+            }
+
+            // Middleware that stops a message has dealt with it
+            if( !proceed ) {
+                res.statusCode = 200;
+                res.end();
+                return;
+            }
+
+            this._deliver(channel, message, subscribers, res);
+        });
+    }
+
+    /**
+     * Hands a received message that made it through the inbound middleware to its subscribers, and answers SpidyMQ
+     * once they are done with it. SpidyMQ starts waiting on the message as it arrives, so `config.handlerTimeout`
+     * runs from then on, including while the message waits for a subscriber's turn. A message still waiting when it
+     * runs out fails for that subscriber, and is never handed to it.
+     * @param {string} channel - The channel the message arrived on
+     * @param {Message} message - The message
+     * @param {Object[]} subscribers - The handlers the message goes to
+     * @param res - The response to SpidyMQ
+     * @private
+     */
+    _deliver(channel, message, subscribers, res) {
+        // Invalid content would only fail the subscriber, and redelivering it won't make it valid
+        try {
+            this._validate(channel, message.content);
+        }
+        catch( error ) {
+            this.emit('invalidMessage', channel, this._envelope ? message : message.content, error);
             res.statusCode = 400;
             res.end();
             return;
         }
 
-        this._subscribers[channel](message);
+        // A subscriber with no room left for the message would only pile it up, so SpidyMQ is asked to back off and
+        // redeliver it later
+        let full = subscribers.filter((subscriber) => subscriber.limiter && subscriber.limiter.isFull());
+        if( full.length > 0 ) {
+            let retryAfter = Math.max.apply(null, full.map((subscriber) => subscriber.retryAfter));
+
+            this.emit('throttled', channel, this._envelope ? message : message.content);
+            res.statusCode = 429;
+            res.setHeader('Retry-After', String(retryAfter));
+            res.end();
+            return;
+        }
+
+        this.emit('message', channel, this._envelope ? message : message.content);
+
+        // Every subscriber has to process (or dead-letter) the message for it to be acknowledged. When SpidyMQ
+        // redelivers a message because one of several subscribers failed on it, those that didn't skip it, as long
+        // as it has an id to tell it by
+        let shared = subscribers.length > 1 && !!message.id;
+        let key = channel + ':' + message.id;
+        let deadline = this._handlerTimeout > 0 ? Date.now() + this._handlerTimeout : Infinity;
+        let failed = false;
+        eachLimit(subscribers, subscribers.length, (subscriber, next) => {
+            let run = subscriber.limiter ? (task) => subscriber.limiter.run(task) : (task) => task(() => {});
+            let handle = shared ? this._processShared.bind(this, key) : this._processOnce.bind(this);
+            let expired = false;
+            let expire = () => {
+                expired = true;
+                failed = true;
+                this._emitError(new Error('Timed out waiting for a turn to handle the message'));
+                next();
+            };
+            let timer = null;
+
+            if( subscriber.limiter && deadline !== Infinity ) {
+                timer = setTimeout(expire, deadline - Date.now());
+            }
+
+            run((release) => {
+                clearTimeout(timer);
+
+                if( !expired && Date.now() >= deadline ) {
+                    expire();
+                }
+
+                // SpidyMQ will redeliver the message, so it isn't handled here as well
+                if( expired ) {
+                    release();
+                    return;
+                }
+
+                handle(channel, subscriber, message, deadline, (error) => {
+                    failed = failed || !!error;
+                    release();
+                    next();
+                });
+            });
+        }, () => {
+            // Once every subscriber is done with the message, there is no redelivery to remember it for
+            if( shared && !failed ) {
+                subscribers.forEach((subscriber) => subscriber.acknowledged.remove(key, () => {}));
+            }
+
+            res.statusCode = failed ? 503 : 200;
+            res.end();
+        });
+    }
+
+    /**
+     * The handlers a channel's messages go to: those subscribed to it by name, and those subscribed to patterns that
+     * match it.
+     * @param {string} channelName - The name of the channel
+     * @returns {Object[]} The subscribers
+     * @private
+     */
+    _subscribersFor(channelName) {
+        let subscribers = this._subscribers.hasOwnProperty(channelName) ? this._subscribers[channelName].handlers : [];
+
+        Object.keys(this._patterns).forEach((channelPattern) => {
+            if( pattern.matches(channelPattern, channelName) ) {
+                subscribers = subscribers.concat(this._patterns[channelPattern].handlers);
+            }
+        });
+
+        return subscribers;
+    }
+
+    /**
+     * Hands a message that several subscribers share to one of them, unless it already processed the message when
+     * it was delivered before and another subscriber failed on it.
+     * @param {string} key - What the message is remembered by
+     * @param {string} channel - The channel the message arrived on
+     * @param {Object} subscriber - The subscriber
+     * @param {Message} message - The message
+     * @param {number} deadline - When (in ms since the epoch) SpidyMQ stops waiting on the message
+     * @param {Function} done - Called with an error if the message failed
+     * @private
+     */
+    _processShared(key, channel, subscriber, message, deadline, done) {
+        subscriber.acknowledged.add(key, ACKNOWLEDGED_TTL, (error, added) => {
+            if( !added ) {
+                done(null);
+                return;
+            }
+
+            this._processOnce(channel, subscriber, message, deadline, (error) => {
+                if( error ) {
+                    subscriber.acknowledged.remove(key, () => {});
+                }
+
+                done(error);
+            });
+        });
+    }
+
+    /**
+     * Hands a message to a subscriber unless it has seen the message before, under the subscription's
+     * de-duplication policy. A message that fails is forgotten again, so that it is processed when SpidyMQ
+     * redelivers it. While it is being processed its key is only held until SpidyMQ stops waiting on it, and the
+     * key is remembered for the policy's `ttl` once it has been processed. That way a process that dies mid-way
+     * doesn't leave the key behind to turn SpidyMQ's redelivery away as a duplicate.
+     * @param {string} channel - The channel the message arrived on
+     * @param {Object} subscriber - The subscriber
+     * @param {Message} message - The message
+     * @param {number} deadline - When (in ms since the epoch) SpidyMQ stops waiting on the message
+     * @param {Function} done - Called with an error if the message failed, or its key couldn't be checked
+     * @private
+     */
+    _processOnce(channel, subscriber, message, deadline, done) {
+        let policy = subscriber.dedupe;
+        let key = null;
+
+        try {
+            key = policy ? policy.key(message) : null;
+        }
+        catch( error ) {
+            this._emitError(error);
+            done(error);
+            return;
+        }
+
+        if( key === null || key === undefined ) {
+            this._process(channel, subscriber, message, deadline, done);
+            return;
+        }
+
+        // Keys only need to be unique within a channel
+        key = channel + ':' + key;
+
+        let lease = Math.max(Math.min(policy.ttl, deadline - Date.now()), 1);
+
+        invoke(policy.store.add.bind(policy.store), [key, lease], (error, added) => {
+            if( error ) {
+                this._emitError(error);
+                done(error);
+                return;
+            }
+
+            if( !added ) {
+                this.emit('duplicate', channel, subscriber.envelope ? message : message.content);
+                done(null);
+                return;
+            }
+
+            this._process(channel, subscriber, message, deadline, (error) => {
+                if( !error && lease === policy.ttl ) {
+                    done(null);
+                    return;
+                }
+
+                if( !error ) {
+                    this._confirmKey(policy.store, key, policy.ttl, done);
+                    return;
+                }
+
+                invoke(policy.store.remove.bind(policy.store), [key], (removeError) => {
+                    if( removeError ) {
+                        this._emitError(removeError);
+                    }
+
+                    done(error);
+                });
+            });
+        });
+    }
+
+    /**
+     * Remembers the key of a processed message for good, in place of the lease it was held under while processing.
+     * Stores only add keys that aren't known, so the lease is removed first. A failure is only emitted, since the
+     * message has been processed all the same.
+     * @param {Object} store - The de-duplication store
+     * @param {string} key - The key
+     * @param {number} ttl - How long (in ms) to remember it for
+     * @param {Function} done - Called once the key is remembered, or failed to be
+     * @private
+     */
+    _confirmKey(store, key, ttl, done) {
+        invoke(store.remove.bind(store), [key], (error) => {
+            if( error ) {
+                this._emitError(error);
+                done(null);
+                return;
+            }
+
+            invoke(store.add.bind(store), [key, ttl], (error) => {
+                if( error ) {
+                    this._emitError(error);
+                }
+
+                done(null);
+            });
+        });
+    }
+
+    /**
+     * Hands a message to a subscriber. If the subscriber fails on it, the message is retried and then dead-lettered
+     * under the subscription's dead-letter policy. Every failure is emitted as an 'error'. SpidyMQ is waiting on the
+     * message all along, so every attempt and retry delay has to fit before the deadline together. Once the next
+     * retry wouldn't, the message is given up on straight away rather than have SpidyMQ redeliver it while it is
+     * still being retried.
+     * @param {string} channel - The channel the message arrived on
+     * @param {Object} subscriber - The subscriber
+     * @param {Message} message - The message
+     * @param {number} deadline - When (in ms since the epoch) SpidyMQ stops waiting on the message. Infinity if
+     *                            there is no `config.handlerTimeout`
+     * @param {Function} done - Called with an error if the subscriber failed and the message wasn't dead-lettered
+     * @private
+     */
+    _process(channel, subscriber, message, deadline, done) {
+        let policy = subscriber.deadLetter;
+        let attempts = 0;
+        let attempt = () => {
+            attempts++;
+
+            let content = subscriber.envelope ? message : message.content;
+            this._notify(subscriber.notify, content, deadline - Date.now(), (error) => {
+                if( !error ) {
+                    done(null);
+                    return;
+                }
+
+                this._emitError(error);
+
+                if( policy && attempts <= policy.retries && Date.now() + policy.retryDelay < deadline ) {
+                    setTimeout(attempt, policy.retryDelay);
+                    return;
+                }
+
+                if( policy && (policy.channel || policy.handler) ) {
+                    this._deadLetter(channel, message, error, attempts, policy, done);
+                    return;
+                }
+
+                done(error);
+            });
+        };
+
+        attempt();
+    }
+
+    /**
+     * Gives up on a message, handing a dead letter to the policy's handler or publishing it to its dead-letter
+     * channel. A dead letter holds the original `channel`, `content`, `id`, `timestamp`, `producerId` and `headers`
+     * of the message (the last four are NULL or empty for messages that weren't in an envelope), along with the
+     * `error` the subscriber last failed with (its `message` and `code`), how many `attempts` were made and when the
+     * connection gave up (`failedAt`, in ms since the epoch). See `replayDeadLetter`.
+     * @param {string} channel - The channel the message arrived on
+     * @param {Message} message - The message
+     * @param {Error} error - The error the subscriber last failed with
+     * @param {number} attempts - How many times the message was handed to the subscriber
+     * @param {Object} policy - The dead-letter policy of the subscription
+     * @param {Function} done - Called with an error if the dead letter couldn't be handled
+     * @private
+     */
+    _deadLetter(channel, message, error, attempts, policy, done) {
+        let deadLetter = {
+            channel: channel,
+            id: message.id,
+            timestamp: message.timestamp,
+            producerId: message.producerId,
+            headers: message.headers,
+            content: message.content,
+            error: {
+                message: error.message,
+                code: error.code || null
+            },
+            attempts: attempts,
+            failedAt: Date.now()
+        };
+
+        this.emit('deadLetter', channel, deadLetter);
+
+        if( policy.handler ) {
+            invoke(policy.handler, [deadLetter], (error) => done(error));
+            return;
+        }
+
+        try {
+            this.publishMessage(policy.channel, deadLetter, (error) => done(error));
+        }
+        catch( error ) {
+            done(error);
+        }
+    }
+
+    /**
+     * Hands a message to a notify function and waits for it to be acknowledged. A notify function acknowledges a
+     * message in one of three ways:
+     *   - By returning a promise, which acknowledges on resolve and rejects the message on reject
+     *   - By accepting a second `ack` argument, a node-style callback it calls with an error to reject the message
+     *   - Otherwise by returning without throwing
+     * @param {Function} notifyFn - The subscriber's notify function
+     * @param {*} message - The message to hand over
+     * @param {number} timeout - How long (in ms) to wait for it to be acknowledged. Infinity waits forever
+     * @param {Function} done - Called with an error if the message was rejected, failed or timed out
+     * @private
+     */
+    _notify(notifyFn, message, timeout, done) {
+        let settled = false;
+        let timer = null;
+        let settle = (error) => {
+            if( settled ) {
+                return;
+            }
+
+            settled = true;
+            clearTimeout(timer);
+            done(error || null);
+        };
+
+        invoke(notifyFn, [message], settle);
+
+        if( !settled && timeout !== Infinity ) {
+            timer = setTimeout(() => {
+                settle(new Error('Timed out waiting for the message to be acknowledged'));
+            }, timeout);
+        }
     }
 }
 
+Connection.STATES = STATES;
+
 module.exports = Connection;
\ No newline at end of file
@@ -0,0 +1,127 @@
+"use strict";
+
+const crypto = require('crypto');
+const os = require('os');
+
+/**
+ * The version of the envelope format. Envelopes are marked with it so they can be told apart from raw payloads.
+ * @type {number}
+ */
+const VERSION = 1;
+
+/**
+ * A message received from SpidyMQ, with the metadata its producer attached. Messages from producers that don't use
+ * envelopes only have their content and channel, with the other fields left null.
+ */
+class Message {
+    /**
+     * Constructor for a Message.
+     * @constructor
+     * @param {Object} fields - The fields of the message
+     * @param {string} fields.channel - The channel the message was published to
+     * @param {*} fields.content - The content of the message
+     * @param {string} [fields.id] - The unique id the producer gave the message
+     * @param {number} [fields.timestamp] - When the message was published, in ms since the epoch
+     * @param {string} [fields.producerId] - The id of the producer that published the message
+     * @param {Object} [fields.headers] - Headers the producer attached to the message
+     */
+    constructor(fields) {
+        this.channel = fields.channel;
+        this.id = fields.id || null;
+        this.timestamp = fields.timestamp || null;
+        this.producerId = fields.producerId || null;
+        this.headers = fields.headers || {};
+        this.content = fields.content;
+    }
+}
+
+/**
+ * Generates a unique message id.
+ * @returns {string} The id
+ */
+function generateId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * A producer id for this process, made of the host name and process id.
+ * @returns {string} The producer id
+ */
+function defaultProducerId() {
+    return os.hostname() + ':' + process.pid;
+}
+
+/**
+ * Wraps content in an envelope, giving it a new id and the current time.
+ * @param {*} content - The content to wrap
+ * @param {Object} [options] - Options for the envelope
+ * @param {string} [options.producerId] - The id of the producer publishing the content
+ * @param {Object} [options.headers] - Headers to attach to the envelope
+ * @returns {Object} The envelope
+ */
+function wrap(content, options) {
+    options = options || {};
+
+    return {
+        spidymq: VERSION,
+        id: generateId(),
+        timestamp: Date.now(),
+        producerId: options.producerId || null,
+        headers: Object.assign({}, options.headers),
+        content: content
+    };
+}
+
+/**
+ * Whether a payload is an envelope.
+ * @param {*} payload - The payload to check
+ * @returns {boolean} Returns TRUE if the payload is an envelope
+ */
+function isEnvelope(payload) {
+    return !!payload && typeof payload === 'object' && payload.spidymq === VERSION && payload.hasOwnProperty('content');
+}
+
+/**
+ * Turns a received payload into a Message. Raw payloads (from producers that don't use envelopes) become the
+ * content of a message without metadata.
+ * @param {*} payload - The payload that was received
+ * @param {string} channel - The channel the payload was received on
+ * @returns {Message} The message
+ */
+function unwrap(payload, channel) {
+    if( !isEnvelope(payload) ) {
+        return new Message({
+            channel: channel,
+            content: payload
+        });
+    }
+
+    return new Message({
+        channel: channel,
+        id: payload.id,
+        timestamp: payload.timestamp,
+        producerId: payload.producerId,
+        headers: payload.headers,
+        content: payload.content
+    });
+}
+
+/**
+ * The content of a received payload, whether or not it is an envelope.
+ * @param {*} payload - The payload that was received
+ * @returns {*} The content
+ */
+function contentOf(payload) {
+    return isEnvelope(payload) ? payload.content : payload;
+}
+
+module.exports = {
+    VERSION: VERSION,
+    Message: Message,
+    generateId: generateId,
+    defaultProducerId: defaultProducerId,
+    wrap: wrap,
+    isEnvelope: isEnvelope,
+    unwrap: unwrap,
+    contentOf: contentOf
+};
@@ -0,0 +1,98 @@
+"use strict";
+
+/**
+ * Limits how many tasks run at once, with a bounded queue of tasks waiting for their turn.
+ */
+class Limiter {
+    /**
+     * Constructor for a Limiter.
+     * @constructor
+     * @param {Object} options - Options for the limiter
+     * @param {number} options.maxConcurrent - The most tasks running at once
+     * @param {number} [options.maxQueued] - The most tasks waiting for their turn. Defaults to 0
+     * @throws {Error} - If maxConcurrent is not a positive integer
+     * @throws {Error} - If maxQueued is not a positive integer or 0
+     */
+    constructor(options) {
+        this._maxConcurrent = options.maxConcurrent;
+        this._maxQueued = options.maxQueued || 0;
+        this._running = 0;
+        this._queue = [];
+
+        if( typeof this._maxConcurrent !== 'number' || this._maxConcurrent < 1 || this._maxConcurrent % 1 !== 0 ) {
+            throw new Error('maxConcurrent must be a positive integer');
+        }
+
+        if( typeof this._maxQueued !== 'number' || this._maxQueued < 0 || this._maxQueued % 1 !== 0 ) {
+            throw new Error('maxQueued must be a positive integer or 0');
+        }
+    }
+
+    /**
+     * How many tasks are running.
+     * @returns {number} The number of tasks
+     */
+    running() {
+        return this._running;
+    }
+
+    /**
+     * How many tasks are waiting for their turn.
+     * @returns {number} The number of tasks
+     */
+    queued() {
+        return this._queue.length;
+    }
+
+    /**
+     * Whether another task would have to be turned away.
+     * @returns {boolean} Returns TRUE if every slot is taken and the queue is full
+     */
+    isFull() {
+        return this._running >= this._maxConcurrent && this._queue.length >= this._maxQueued;
+    }
+
+    /**
+     * Runs a task once there is a free slot for it.
+     * @param {Function} task - The task. It receives a `release` function it must call once it has finished
+     * @returns {boolean} Returns FALSE if the limiter is full and the task was turned away
+     */
+    run(task) {
+        if( this._running < this._maxConcurrent ) {
+            this._start(task);
+            return true;
+        }
+
+        if( this._queue.length < this._maxQueued ) {
+            this._queue.push(task);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Starts a task, handing the next queued task its slot once it releases it.
+     * @param {Function} task - The task
+     * @private
+     */
+    _start(task) {
+        let released = false;
+
+        this._running++;
+        task(() => {
+            if( released ) {
+                return;
+            }
+
+            released = true;
+            this._running--;
+
+            if( this._queue.length > 0 ) {
+                this._start(this._queue.shift());
+            }
+        });
+    }
+}
+
+module.exports = Limiter;
@@ -0,0 +1,80 @@
+"use strict";
+
+/**
+ * The store that de-duplication uses by default: the keys of messages seen recently, held in memory until they
+ * expire. A store of your own (such as one shared between processes) needs the same two methods, which may take a
+ * node-style callback as here or return a promise:
+ *   - `add(key, ttl, done)` - Remembers a key for `ttl` ms, reporting TRUE, or reports FALSE if it is already known
+ *   - `remove(key, done)` - Forgets a key
+ * While a message is being processed, its key is added for no longer than SpidyMQ waits on it. Only once the message
+ * has been processed is the key removed and added again for the full `ttl`. A process that dies in between leaves
+ * the short-lived key behind, so SpidyMQ's redelivery is processed again rather than lost. The key is briefly gone
+ * before it is added again, and a redelivery arriving just then is processed twice. Without a handler timeout there
+ * is nothing to bound the processing by, and the key is added for the full `ttl` straight away.
+ */
+class MemoryStore {
+    /**
+     * Constructor for a MemoryStore.
+     * @constructor
+     */
+    constructor() {
+        this._expiries = new Map();
+    }
+
+    /**
+     * How many keys the store holds, including any that have expired but not been cleared out yet.
+     * @returns {number} The number of keys
+     */
+    size() {
+        return this._expiries.size;
+    }
+
+    /**
+     * Remembers a key unless it is already known.
+     * @param {string} key - The key
+     * @param {number} ttl - How long (in ms) to remember it for
+     * @param {Function} done - A node-style callback, with TRUE if the key was added or FALSE if it was already known
+     */
+    add(key, ttl, done) {
+        let now = Date.now();
+
+        this._prune(now);
+
+        if( this._expiries.has(key) && this._expiries.get(key) > now ) {
+            done(null, false);
+            return;
+        }
+
+        // Re-inserting keeps the keys in roughly the order they expire in
+        this._expiries.delete(key);
+        this._expiries.set(key, now + ttl);
+        done(null, true);
+    }
+
+    /**
+     * Forgets a key.
+     * @param {string} key - The key
+     * @param {Function} done - A node-style callback for when the key is gone
+     */
+    remove(key, done) {
+        this._expiries.delete(key);
+        done(null);
+    }
+
+    /**
+     * Clears out the oldest keys while they have expired.
+     * @param {number} now - The current time, in ms since the epoch
+     * @private
+     */
+    _prune(now) {
+        for( let entry of this._expiries ) {
+            if( entry[1] > now ) {
+                return;
+            }
+
+            this._expiries.delete(entry[0]);
+        }
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,60 @@
+"use strict";
+
+/**
+ * Channel patterns match channel names segment by segment, where segments are separated by dots. A `*` segment matches
+ * exactly one segment and a `#` segment matches any number of segments, including none. So `orders.*.created` matches
+ * `orders.us.created`, and `orders.#` matches `orders`, `orders.us` and `orders.us.created`.
+ */
+
+/**
+ * Whether a channel name is a pattern, meaning it has a `*` or `#` segment.
+ * @param {string} name - The channel name
+ * @returns {boolean} Returns TRUE if the name is a pattern
+ */
+function isPattern(name) {
+    return name.split('.').some((segment) => segment === '*' || segment === '#');
+}
+
+/**
+ * Whether a list of channel name segments matches a list of pattern segments.
+ * @param {string[]} pattern - The segments of the pattern
+ * @param {string[]} name - The segments of the channel name
+ * @returns {boolean} Returns TRUE if they match
+ * @private
+ */
+function matchSegments(pattern, name) {
+    if( pattern.length === 0 ) {
+        return name.length === 0;
+    }
+
+    if( pattern[0] === '#' ) {
+        for( let skipped = 0; skipped <= name.length; skipped++ ) {
+            if( matchSegments(pattern.slice(1), name.slice(skipped)) ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    if( name.length === 0 ) {
+        return false;
+    }
+
+    return (pattern[0] === '*' || pattern[0] === name[0]) && matchSegments(pattern.slice(1), name.slice(1));
+}
+
+/**
+ * Whether a channel name matches a pattern. A name without wildcards only matches itself.
+ * @param {string} pattern - The pattern
+ * @param {string} channelName - The channel name
+ * @returns {boolean} Returns TRUE if the channel name matches
+ */
+function matches(pattern, channelName) {
+    return matchSegments(pattern.split('.'), channelName.split('.'));
+}
+
+module.exports = {
+    isPattern: isPattern,
+    matches: matches
+};
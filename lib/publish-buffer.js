@@ -0,0 +1,143 @@
+"use strict";
+
+const Spool = require('./spool');
+
+/**
+ * What a full buffer does with one more message.
+ * @enum {string}
+ */
+const OVERFLOW = {
+    DROP_OLDEST: 'drop-oldest',
+    DROP_NEWEST: 'drop-newest',
+    REJECT: 'reject'
+};
+
+/**
+ * A bounded, ordered buffer of messages waiting to be published, optionally backed by an on-disk spool.
+ */
+class PublishBuffer {
+    /**
+     * Constructor for a PublishBuffer.
+     * @constructor
+     * @param {Object} [options] - Options for the buffer
+     * @param {number} [options.limit] - The most messages the buffer holds. Defaults to 1000
+     * @param {string} [options.overflow] - What to do with a message when the buffer is full. 'drop-oldest' (the default)
+     *                                      makes room by dropping the oldest message, 'drop-newest' drops the message
+     *                                      being added, and 'reject' refuses it with an error
+     * @param {string} [options.spoolPath] - A file to spool messages to, so they survive a restart of the process
+     */
+    constructor(options) {
+        options = options || {};
+
+        this._limit = options.limit || 1000;
+        this._overflow = options.overflow || OVERFLOW.DROP_OLDEST;
+        this._entries = [];
+        this._nextId = 1;
+        this._spool = options.spoolPath ? new Spool(options.spoolPath) : null;
+
+        let policies = Object.keys(OVERFLOW).map((key) => OVERFLOW[key]);
+        if( policies.indexOf(this._overflow) === -1 ) {
+            throw new Error('Unknown overflow policy: ' + this._overflow);
+        }
+
+        // Pick up where a previous process left off
+        if( this._spool ) {
+            this._spool.load().forEach((entry) => {
+                this._entries.push(entry);
+                this._nextId = Math.max(this._nextId, entry.id + 1);
+            });
+        }
+    }
+
+    /**
+     * How many messages are waiting in the buffer.
+     * @returns {number} The number of messages
+     */
+    size() {
+        return this._entries.length;
+    }
+
+    /**
+     * Whether the buffer has no messages waiting.
+     * @returns {boolean} Returns TRUE if the buffer is empty
+     */
+    isEmpty() {
+        return this._entries.length === 0;
+    }
+
+    /**
+     * Adds a message to the end of the buffer, applying the overflow policy if the buffer is full.
+     * @param {Object} entry - The message to add
+     * @param {string} entry.channel - The channel the message is for
+     * @param {*} entry.content - The content of the message
+     * @param {Function} [entry.done] - The callback waiting on the message to be published
+     * @returns {Object|null} The message that was dropped to respect the limit, if any. This is the message being added
+     *                        under the 'drop-newest' policy
+     * @throws {Error} - If the buffer is full and the overflow policy is 'reject'
+     */
+    push(entry) {
+        let dropped = null;
+
+        if( this._entries.length >= this._limit ) {
+            if( this._overflow === OVERFLOW.REJECT ) {
+                let error = new Error('Publish buffer is full');
+                error.code = 'EBUFFERFULL';
+                throw error;
+            }
+
+            if( this._overflow === OVERFLOW.DROP_NEWEST ) {
+                return entry;
+            }
+
+            dropped = this._entries[0];
+            this.remove(dropped);
+        }
+
+        entry.id = this._nextId++;
+        this._entries.push(entry);
+
+        if( this._spool ) {
+            this._spool.append(entry);
+        }
+
+        return dropped;
+    }
+
+    /**
+     * The oldest message in the buffer, without removing it.
+     * @returns {Object|undefined} The message, or undefined if the buffer is empty
+     */
+    peek() {
+        return this._entries[0];
+    }
+
+    /**
+     * Removes a message from the buffer.
+     * @param {Object} entry - The message to remove
+     * @returns {boolean} Returns FALSE if the message was no longer in the buffer
+     */
+    remove(entry) {
+        let index = this._entries.indexOf(entry);
+
+        if( index === -1 ) {
+            return false;
+        }
+
+        this._entries.splice(index, 1);
+
+        if( this._spool ) {
+            if( this._entries.length === 0 ) {
+                this._spool.clear();
+            }
+            else {
+                this._spool.remove(entry.id);
+            }
+        }
+
+        return true;
+    }
+}
+
+PublishBuffer.OVERFLOW = OVERFLOW;
+
+module.exports = PublishBuffer;
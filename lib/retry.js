@@ -0,0 +1,113 @@
+"use strict";
+
+/**
+ * The retry policy used when none is configured. A single attempt means requests are not retried.
+ * @type {Object}
+ */
+const DEFAULT_POLICY = {
+    maxAttempts: 1,
+    minDelay: 100,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: 0.5,
+    retryableStatusCodes: [500, 502, 503, 504],
+    retryableErrorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN']
+};
+
+/**
+ * Creates a retry policy from a base policy and a set of overrides.
+ * @param {Object} [base] - The policy to start from. Defaults to the default policy
+ * @param {Object|boolean} [overrides] - Values to override, or FALSE to disable retries altogether
+ * @param {number} [overrides.maxAttempts] - The most times a request is tried, including the first. Defaults to 1
+ * @param {number} [overrides.minDelay] - The delay (in ms) before the first retry. Defaults to 100
+ * @param {number} [overrides.maxDelay] - The longest delay (in ms) between two attempts. Defaults to 10000
+ * @param {number} [overrides.factor] - What each delay is multiplied by for the next attempt. Defaults to 2
+ * @param {number} [overrides.jitter] - The fraction (0 to 1) of each delay that is randomized. Defaults to 0.5
+ * @param {number[]} [overrides.retryableStatusCodes] - Response status codes worth retrying. 4xx codes never are
+ * @param {string[]} [overrides.retryableErrorCodes] - Request error codes (such as ECONNRESET) worth retrying
+ * @returns {Object} The policy
+ */
+function createPolicy(base, overrides) {
+    let policy = Object.assign({}, base || DEFAULT_POLICY);
+
+    if( overrides === false ) {
+        policy.maxAttempts = 1;
+    }
+    else if( overrides ) {
+        Object.assign(policy, overrides);
+    }
+
+    return policy;
+}
+
+/**
+ * Whether a failed attempt is worth trying again under a policy. Errors carrying the `statusCode` of a 4xx response
+ * are never retried, since sending the same request again won't change the outcome.
+ * @param {Object} policy - The retry policy
+ * @param {Error} error - The error the attempt failed with
+ * @returns {boolean} Returns TRUE if the attempt should be retried
+ */
+function isRetryable(policy, error) {
+    if( error.statusCode ) {
+        if( error.statusCode >= 400 && error.statusCode < 500 ) {
+            return false;
+        }
+
+        return policy.retryableStatusCodes.indexOf(error.statusCode) !== -1;
+    }
+
+    return !!error.code && policy.retryableErrorCodes.indexOf(error.code) !== -1;
+}
+
+/**
+ * How long to wait before an attempt. The delay grows exponentially with each attempt, up to the policy's maximum,
+ * and part of it is randomized so clients that failed together don't all retry together.
+ * @param {Object} policy - The retry policy
+ * @param {number} attempt - The attempt about to be made. The first retry is attempt 2
+ * @returns {number} The delay in ms
+ */
+function backoffDelay(policy, attempt) {
+    let delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 2));
+
+    return Math.round(delay * (1 - policy.jitter * Math.random()));
+}
+
+/**
+ * Runs an operation, retrying it under a policy when it fails with a retryable error. The final error reports how
+ * many `attempts` were made.
+ * @param {Object} policy - The retry policy
+ * @param {Function} operation - The operation to run. It receives a node-style callback it must report through
+ * @param {Function} done - A node-style callback for the outcome of the final attempt
+ */
+function withRetry(policy, operation, done) {
+    let attempt = 0;
+
+    let run = () => {
+        attempt++;
+
+        operation((error, result) => {
+            if( !error ) {
+                done(null, result);
+                return;
+            }
+
+            if( attempt < policy.maxAttempts && isRetryable(policy, error) ) {
+                setTimeout(run, backoffDelay(policy, attempt + 1));
+                return;
+            }
+
+            error.attempts = attempt;
+            done(error);
+        });
+    };
+
+    run();
+}
+
+module.exports = {
+    DEFAULT_POLICY: DEFAULT_POLICY,
+    createPolicy: createPolicy,
+    isRetryable: isRetryable,
+    backoffDelay: backoffDelay,
+    withRetry: withRetry
+};
@@ -0,0 +1,185 @@
+"use strict";
+
+/**
+ * An error for content that doesn't match a schema. Each entry of `errors` has the `path` of the failing value (such
+ * as `$.toppings[0]`, where `$` is the content itself) and a `message` saying what is wrong with it.
+ * @extends Error
+ */
+class ValidationError extends Error {
+    /**
+     * Constructor for a ValidationError.
+     * @constructor
+     * @param {string} channelName - The channel the content was for
+     * @param {Object[]} errors - What failed, each with a `path` and `message`
+     */
+    constructor(channelName, errors) {
+        let details = errors.map((error) => error.path + ' ' + error.message).join(', ');
+
+        super('Invalid content for channel ' + channelName + ': ' + details);
+
+        this.name = 'ValidationError';
+        this.code = 'EVALIDATION';
+        this.channel = channelName;
+        this.errors = errors;
+    }
+}
+
+/**
+ * The JSON-Schema type of a value.
+ * @param {*} value - The value
+ * @returns {string} One of 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ * @private
+ */
+function typeOf(value) {
+    if( value === null ) {
+        return 'null';
+    }
+
+    if( Array.isArray(value) ) {
+        return 'array';
+    }
+
+    if( typeof value === 'number' && value % 1 === 0 ) {
+        return 'integer';
+    }
+
+    return typeof value;
+}
+
+/**
+ * Whether a value is of one of a schema's types. Integers are numbers too.
+ * @param {*} value - The value
+ * @param {string|string[]} types - The type or types the schema allows
+ * @returns {boolean} Returns TRUE if the value has an allowed type
+ * @private
+ */
+function hasType(value, types) {
+    let type = typeOf(value);
+
+    types = Array.isArray(types) ? types : [types];
+
+    return types.indexOf(type) !== -1 || (type === 'integer' && types.indexOf('number') !== -1);
+}
+
+/**
+ * Whether two JSON values are equal.
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @returns {boolean} Returns TRUE if the values are equal
+ * @private
+ */
+function equals(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Checks a value against a schema, collecting every failure.
+ * @param {Object} schema - The schema
+ * @param {*} value - The value to check
+ * @param {string} path - The path of the value
+ * @param {Object[]} errors - The list failures are added to
+ * @private
+ */
+function check(schema, value, path, errors) {
+    let fail = (message) => errors.push({ path: path, message: message });
+
+    if( schema.type !== undefined && !hasType(value, schema.type) ) {
+        fail('must be of type ' + [].concat(schema.type).join(' or '));
+        return;
+    }
+
+    if( schema.enum !== undefined && !schema.enum.some((allowed) => equals(allowed, value)) ) {
+        fail('must be one of ' + schema.enum.map((allowed) => JSON.stringify(allowed)).join(', '));
+    }
+
+    if( schema.const !== undefined && !equals(schema.const, value) ) {
+        fail('must equal ' + JSON.stringify(schema.const));
+    }
+
+    if( schema.anyOf !== undefined && !schema.anyOf.some((option) => validate(option, value).length === 0) ) {
+        fail('must match at least one of the allowed schemas');
+    }
+
+    if( typeof value === 'number' ) {
+        if( schema.minimum !== undefined && value < schema.minimum ) {
+            fail('must be at least ' + schema.minimum);
+        }
+
+        if( schema.maximum !== undefined && value > schema.maximum ) {
+            fail('must be at most ' + schema.maximum);
+        }
+    }
+
+    if( typeof value === 'string' ) {
+        if( schema.minLength !== undefined && value.length < schema.minLength ) {
+            fail('must be at least ' + schema.minLength + ' characters long');
+        }
+
+        if( schema.maxLength !== undefined && value.length > schema.maxLength ) {
+            fail('must be at most ' + schema.maxLength + ' characters long');
+        }
+
+        if( schema.pattern !== undefined && !new RegExp(schema.pattern).test(value) ) {
+            fail('must match the pattern ' + schema.pattern);
+        }
+    }
+
+    if( Array.isArray(value) ) {
+        if( schema.minItems !== undefined && value.length < schema.minItems ) {
+            fail('must have at least ' + schema.minItems + ' items');
+        }
+
+        if( schema.maxItems !== undefined && value.length > schema.maxItems ) {
+            fail('must have at most ' + schema.maxItems + ' items');
+        }
+
+        if( schema.items !== undefined ) {
+            value.forEach((item, index) => check(schema.items, item, path + '[' + index + ']', errors));
+        }
+    }
+
+    if( typeOf(value) === 'object' ) {
+        let properties = schema.properties || {};
+
+        (schema.required || []).forEach((name) => {
+            if( !value.hasOwnProperty(name) ) {
+                errors.push({ path: path + '.' + name, message: 'is required' });
+            }
+        });
+
+        Object.keys(value).forEach((name) => {
+            let propertyPath = path + '.' + name;
+
+            if( properties.hasOwnProperty(name) ) {
+                check(properties[name], value[name], propertyPath, errors);
+            }
+            else if( schema.additionalProperties === false ) {
+                errors.push({ path: propertyPath, message: 'is not allowed' });
+            }
+            else if( schema.additionalProperties && typeof schema.additionalProperties === 'object' ) {
+                check(schema.additionalProperties, value[name], propertyPath, errors);
+            }
+        });
+    }
+}
+
+/**
+ * Checks a value against a JSON-Schema style schema. The keywords understood are `type`, `enum`, `const`, `anyOf`,
+ * `minimum`, `maximum`, `minLength`, `maxLength`, `pattern`, `minItems`, `maxItems`, `items`, `properties`,
+ * `required` and `additionalProperties`. Others are ignored.
+ * @param {Object} schema - The schema
+ * @param {*} value - The value to check
+ * @returns {Object[]} What failed, each with a `path` and `message`. Empty if the value is valid
+ */
+function validate(schema, value) {
+    let errors = [];
+
+    check(schema, value, '$', errors);
+
+    return errors;
+}
+
+module.exports = {
+    ValidationError: ValidationError,
+    validate: validate
+};
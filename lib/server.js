@@ -0,0 +1,528 @@
+"use strict";
+
+const EventEmitter = require('events');
+const http = require('http');
+const url = require('url');
+const request = require('request');
+const bodyParser = require('body-parser');
+const Router = require('router');
+const envelope = require('./envelope');
+const signature = require('./signature');
+
+/**
+ * The types of channel. A round-robin channel hands each message to one of its subscribers in turn, and a broadcast
+ * channel hands it to every subscriber.
+ * @enum {string}
+ */
+const TYPES = {
+    ROUND_ROBIN: 'round-robin',
+    BROADCAST: 'broadcast'
+};
+
+/**
+ * Answers a request with a status code and no body.
+ * @param res - The response
+ * @param {number} statusCode - The status code
+ * @private
+ */
+function respond(res, statusCode) {
+    res.statusCode = statusCode;
+    res.end();
+}
+
+/**
+ * Answers a request with a JSON body.
+ * @param res - The response
+ * @param {*} body - The body
+ * @private
+ */
+function respondJson(res, body) {
+    res.statusCode = 200;
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * How a channel is described by the `/channels` and `/channel/:name` endpoints.
+ * @param {Object} channel - The channel
+ * @returns {Object} The channel's `name`, `type` and number of `subscribers`
+ * @private
+ */
+function describeChannel(channel) {
+    return {
+        name: channel.name,
+        type: channel.type,
+        subscribers: channel.subscribers.length
+    };
+}
+
+/**
+ * A lightweight SpidyMQ server that runs in-process, for local development and tests. It keeps channels in memory,
+ * serves the endpoints a `Connection` calls and pushes messages to the notify urls of subscribers. Messages published
+ * while a channel has no subscribers wait until one subscribes. A delivery that fails is tried again after a delay
+ * that doubles each time (or the subscriber's Retry-After), up to `maxAttempts` times. Round-robin channels try the
+ * next subscriber each time, and deliveries the subscriber refuses outright (any 4xx but a 429) are not tried again.
+ *
+ * Servers emit:
+ *   - 'message' (channelName, message) when a message is published, with its `body` (a Buffer) and `contentType`
+ *   - 'delivered' (channelName, notifyUrl) when a subscriber acknowledges a message
+ *   - 'undelivered' (channelName, message, error) when the server gives up on delivering a message
+ * @extends EventEmitter
+ */
+class Server extends EventEmitter {
+    /**
+     * Constructor for a Server.
+     * @constructor
+     * @param {Object} [options] - Options for the server
+     * @param {number} [options.maxAttempts] - How many times a message is pushed before giving up on it. Defaults to 5
+     * @param {number} [options.retryDelay] - How long (in ms) to wait before the first retry. Defaults to 100
+     * @param {number} [options.pushTimeout] - How long (in ms) a subscriber has to answer a push. Defaults to 30000
+     * @param {string} [options.limit] - The largest message body accepted. Defaults to '1mb'
+     */
+    constructor(options) {
+        super();
+
+        options = options || {};
+
+        this._maxAttempts = options.maxAttempts || 5;
+        this._retryDelay = options.retryDelay !== undefined ? options.retryDelay : 100;
+        this._pushTimeout = options.pushTimeout || 30000;
+        this._instance = envelope.generateId();
+        this._channels = {};
+        this._timers = [];
+        this.server = null;
+        this.router = Router();
+
+        let limit = options.limit || '1mb';
+
+        // Messages using other codecs than JSON are kept as the raw bytes they arrived as
+        this.router.use(bodyParser.json({ limit: limit }));
+        this.router.use(bodyParser.raw({ limit: limit, type: () => true }));
+
+        this.router.get('/health', this._health.bind(this));
+        this.router.post('/channel', this._createChannel.bind(this));
+        this.router.get('/channels', this._listChannels.bind(this));
+        this.router.get('/channel/:name', this._getChannel.bind(this));
+        this.router.delete('/channel/:name', this._deleteChannel.bind(this));
+        this.router.post('/subscribe', this._subscribe.bind(this));
+        this.router.post('/unsubscribe', this._unsubscribe.bind(this));
+        this.router.post('/message', this._publish.bind(this));
+        this.router.post('/messages', this._publishBatch.bind(this));
+    }
+
+    /**
+     * Starts serving on a port.
+     * @param {number} [port] - The port to listen on. Defaults to 0, which picks a free port
+     * @param {string} [host] - The host to listen on. Defaults to '127.0.0.1'
+     * @param {Function} done - A node-style callback with the url the server can be reached at
+     * @throws {Error} - If the server is already listening
+     */
+    listen(port, host, done) {
+        if( typeof port === 'function' ) {
+            done = port;
+            port = 0;
+            host = null;
+        }
+        else if( typeof host === 'function' ) {
+            done = host;
+            host = null;
+        }
+
+        if( this.server ) {
+            throw new Error('Server already listening');
+        }
+
+        let server = http.createServer((req, res) => {
+            // Falls through to here for unknown paths, and for bodies that couldn't be parsed
+            this.router(req, res, (error) => respond(res, error ? error.status || 500 : 404));
+        });
+
+        server.once('error', done);
+        server.listen(port || 0, host || '127.0.0.1', () => {
+            server.removeListener('error', done);
+            this.server = server;
+            done(null, this.url());
+        });
+    }
+
+    /**
+     * The url the server can be reached at.
+     * @returns {string|null} The url, or NULL if the server isn't listening
+     */
+    url() {
+        if( !this.server ) {
+            return null;
+        }
+
+        let address = this.server.address();
+        let host = address.address.indexOf(':') !== -1 ? '[' + address.address + ']' : address.address;
+
+        return 'http://' + host + ':' + address.port;
+    }
+
+    /**
+     * Stops serving, and stops retrying deliveries.
+     * @param {Function} [done] - Called once the server is closed
+     */
+    close(done) {
+        done = done || (() => {});
+
+        this._timers.forEach((timer) => clearTimeout(timer));
+        this._timers = [];
+
+        if( !this.server ) {
+            done();
+            return;
+        }
+
+        let server = this.server;
+        this.server = null;
+        server.close(() => done());
+
+        // Idle keep-alive connections would otherwise hold the server open
+        if( typeof server.closeIdleConnections === 'function' ) {
+            server.closeIdleConnections();
+        }
+    }
+
+    /**
+     * Answers health checks, identifying this instance of the server.
+     * @param req - The request
+     * @param res - The response
+     * @private
+     */
+    _health(req, res) {
+        res.setHeader('x-spidymq-instance', this._instance);
+        respond(res, 200);
+    }
+
+    /**
+     * Creates a channel. Answers 200 once created, 304 if it exists with the same type and 400 if the request is
+     * invalid or it exists with another type.
+     * @param req - The request, with the `name` and `type` of the channel
+     * @param res - The response
+     * @private
+     */
+    _createChannel(req, res) {
+        let name = req.body && req.body.name;
+        let type = (req.body && req.body.type) || TYPES.ROUND_ROBIN;
+
+        if( typeof name !== 'string' || !name || [TYPES.ROUND_ROBIN, TYPES.BROADCAST].indexOf(type) === -1 ) {
+            respond(res, 400);
+            return;
+        }
+
+        if( this._channels.hasOwnProperty(name) ) {
+            respond(res, this._channels[name].type === type ? 304 : 400);
+            return;
+        }
+
+        this._channels[name] = {
+            name: name,
+            type: type,
+            subscribers: [],
+            next: 0,
+            queue: []
+        };
+
+        respond(res, 200);
+    }
+
+    /**
+     * Lists every channel.
+     * @param req - The request
+     * @param res - The response
+     * @private
+     */
+    _listChannels(req, res) {
+        respondJson(res, Object.keys(this._channels).map((name) => describeChannel(this._channels[name])));
+    }
+
+    /**
+     * Describes a channel, or answers 404 if there is no such channel.
+     * @param req - The request
+     * @param res - The response
+     * @private
+     */
+    _getChannel(req, res) {
+        if( !this._channels.hasOwnProperty(req.params.name) ) {
+            respond(res, 404);
+            return;
+        }
+
+        respondJson(res, describeChannel(this._channels[req.params.name]));
+    }
+
+    /**
+     * Deletes a channel along with its subscriptions and waiting messages, or answers 404 if there is no such channel.
+     * @param req - The request
+     * @param res - The response
+     * @private
+     */
+    _deleteChannel(req, res) {
+        if( !this._channels.hasOwnProperty(req.params.name) ) {
+            respond(res, 404);
+            return;
+        }
+
+        delete this._channels[req.params.name];
+        respond(res, 200);
+    }
+
+    /**
+     * Subscribes a notify url to a channel, with the key to sign deliveries with if one is given. Answers 200 once
+     * subscribed, 304 if it already was and 400 if the channel doesn't exist. Messages waiting on the channel are
+     * delivered straight away.
+     * @param req - The request, with the `name` of the channel, the `notifyUrl` and an optional `signingKey`
+     * @param res - The response
+     * @private
+     */
+    _subscribe(req, res) {
+        let channel = this._channelFor(req.body && req.body.name);
+        let notifyUrl = req.body && req.body.notifyUrl;
+
+        if( !channel || typeof notifyUrl !== 'string' || !notifyUrl ) {
+            respond(res, 400);
+            return;
+        }
+
+        let existing = channel.subscribers.filter((subscriber) => subscriber.notifyUrl === notifyUrl)[0];
+        if( existing ) {
+            // Subscribing again is how keys are rotated
+            existing.signingKey = req.body.signingKey || null;
+            respond(res, 304);
+            return;
+        }
+
+        channel.subscribers.push({
+            notifyUrl: notifyUrl,
+            signingKey: req.body.signingKey || null
+        });
+
+        respond(res, 200);
+        this._dispatch(channel);
+    }
+
+    /**
+     * Unsubscribes a notify url from a channel. Answers 200 once unsubscribed, 304 if it wasn't subscribed and 400 if
+     * the channel doesn't exist.
+     * @param req - The request, with the `name` of the channel and the `notifyUrl`
+     * @param res - The response
+     * @private
+     */
+    _unsubscribe(req, res) {
+        let channel = this._channelFor(req.body && req.body.name);
+
+        if( !channel ) {
+            respond(res, 400);
+            return;
+        }
+
+        let remaining = channel.subscribers.filter((subscriber) => subscriber.notifyUrl !== req.body.notifyUrl);
+        if( remaining.length === channel.subscribers.length ) {
+            respond(res, 304);
+            return;
+        }
+
+        channel.subscribers = remaining;
+        respond(res, 200);
+    }
+
+    /**
+     * Publishes a message. JSON messages arrive as the `channel` and `content`, and messages using other codecs as
+     * the raw content with the channel in the query string. Answers 200 once accepted and 400 if the channel doesn't
+     * exist.
+     * @param req - The request
+     * @param res - The response
+     * @private
+     */
+    _publish(req, res) {
+        let message;
+
+        if( Buffer.isBuffer(req.body) ) {
+            message = {
+                channel: url.parse(req.url, true).query.channel,
+                body: req.body,
+                contentType: req.headers['content-type']
+            };
+        }
+        else {
+            message = this._jsonMessage(req.body || {});
+        }
+
+        let channel = this._channelFor(message.channel);
+        if( !channel ) {
+            respond(res, 400);
+            return;
+        }
+
+        respond(res, 200);
+        this._enqueue(channel, message);
+    }
+
+    /**
+     * Publishes a batch of JSON messages. Answers 200 once they are all accepted, and 400 (accepting none of them)
+     * if any of their channels doesn't exist.
+     * @param req - The request, with the `messages`
+     * @param res - The response
+     * @private
+     */
+    _publishBatch(req, res) {
+        let messages = req.body && Array.isArray(req.body.messages) ?
+            req.body.messages.map((message) => this._jsonMessage(message)) : null;
+
+        if( !messages || messages.some((message) => !this._channelFor(message.channel)) ) {
+            respond(res, 400);
+            return;
+        }
+
+        respond(res, 200);
+        messages.forEach((message) => this._enqueue(this._channelFor(message.channel), message));
+    }
+
+    /**
+     * Turns a JSON message into the body it is pushed to subscribers as.
+     * @param {Object} published - The message, with its `channel` and `content`
+     * @returns {Object} The message, with its `channel`, `body` and `contentType`
+     * @private
+     */
+    _jsonMessage(published) {
+        return {
+            channel: published.channel,
+            body: Buffer.from(JSON.stringify(published.content === undefined ? null : published.content)),
+            contentType: 'application/json'
+        };
+    }
+
+    /**
+     * Looks up a channel.
+     * @param {string} name - The name of the channel
+     * @returns {Object|null} The channel, or NULL if there is no such channel
+     * @private
+     */
+    _channelFor(name) {
+        return typeof name === 'string' && this._channels.hasOwnProperty(name) ? this._channels[name] : null;
+    }
+
+    /**
+     * Queues a message on its channel, and delivers it if the channel has subscribers.
+     * @param {Object} channel - The channel
+     * @param {Object} message - The message
+     * @private
+     */
+    _enqueue(channel, message) {
+        this.emit('message', channel.name, message);
+        channel.queue.push(message);
+        this._dispatch(channel);
+    }
+
+    /**
+     * Delivers the messages waiting on a channel, if it has subscribers to deliver them to.
+     * @param {Object} channel - The channel
+     * @private
+     */
+    _dispatch(channel) {
+        if( channel.subscribers.length === 0 ) {
+            return;
+        }
+
+        let messages = channel.queue;
+        channel.queue = [];
+
+        messages.forEach((message) => {
+            if( channel.type === TYPES.BROADCAST ) {
+                channel.subscribers.forEach((subscriber) => this._push(channel, message, subscriber, 1));
+                return;
+            }
+
+            this._push(channel, message, null, 1);
+        });
+    }
+
+    /**
+     * Pushes a message to a subscriber, retrying it if the subscriber doesn't acknowledge it until the server closes.
+     * @param {Object} channel - The channel
+     * @param {Object} message - The message
+     * @param {Object|null} subscriber - The subscriber, or NULL to take the next one in turn
+     * @param {number} attempt - Which attempt this is, starting at 1
+     * @private
+     */
+    _push(channel, message, subscriber, attempt) {
+        if( !this.server ) {
+            return;
+        }
+
+        // The channel may have been deleted, or the subscriber gone, while waiting to retry
+        if( this._channels[channel.name] !== channel || (subscriber && channel.subscribers.indexOf(subscriber) === -1) ) {
+            this.emit('undelivered', channel.name, message, new Error('Subscriber gone'));
+            return;
+        }
+
+        // A round-robin message arriving while nobody is subscribed waits for the next subscriber
+        if( !subscriber ) {
+            if( channel.subscribers.length === 0 ) {
+                channel.queue.push(message);
+                return;
+            }
+
+            subscriber = channel.subscribers[channel.next % channel.subscribers.length];
+            channel.next++;
+        }
+
+        let headers = { 'content-type': message.contentType };
+
+        if( subscriber.signingKey ) {
+            let timestamp = Date.now();
+
+            headers[signature.TIMESTAMP_HEADER] = String(timestamp);
+            headers[signature.SIGNATURE_HEADER] = signature.sign(subscriber.signingKey, timestamp, channel.name,
+                message.body);
+        }
+
+        let options = {
+            url: subscriber.notifyUrl,
+            headers: headers,
+            body: message.body,
+            timeout: this._pushTimeout
+        };
+
+        request.post(options, (error, response) => {
+            if( !error && response.statusCode >= 200 && response.statusCode < 300 ) {
+                this.emit('delivered', channel.name, subscriber.notifyUrl);
+                return;
+            }
+
+            // A push still in flight when the server closed isn't retried
+            if( !this.server ) {
+                return;
+            }
+
+            if( !error ) {
+                error = new Error('Delivery refused');
+                error.statusCode = response.statusCode;
+            }
+
+            // The subscriber will never take a message it refuses outright
+            let refused = error.statusCode >= 400 && error.statusCode < 500 && error.statusCode !== 429;
+            if( refused || attempt >= this._maxAttempts ) {
+                this.emit('undelivered', channel.name, message, error);
+                return;
+            }
+
+            let retryAfter = response && Number(response.headers['retry-after']);
+            let delay = retryAfter > 0 ? retryAfter * 1000 : this._retryDelay * Math.pow(2, attempt - 1);
+            let next = channel.type === TYPES.BROADCAST ? subscriber : null;
+
+            let timer = setTimeout(() => {
+                this._timers.splice(this._timers.indexOf(timer), 1);
+                this._push(channel, message, next, attempt + 1);
+            }, delay);
+
+            this._timers.push(timer);
+        });
+    }
+}
+
+Server.TYPES = TYPES;
+
+module.exports = Server;
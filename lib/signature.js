@@ -0,0 +1,94 @@
+"use strict";
+
+const crypto = require('crypto');
+
+/**
+ * SpidyMQ can sign the messages it delivers with a secret key it shares with the subscriber. A delivery carries the
+ * time it was signed (in ms since the epoch) in the `x-spidymq-timestamp` header and its signature in the
+ * `x-spidymq-signature` header. The signature is `sha256=` followed by the hex HMAC-SHA256, keyed with the secret, of
+ * the timestamp, the channel name and the raw body joined with dots.
+ */
+
+/**
+ * The header carrying the signature of a delivery.
+ * @type {string}
+ */
+const SIGNATURE_HEADER = 'x-spidymq-signature';
+
+/**
+ * The header carrying the time a delivery was signed.
+ * @type {string}
+ */
+const TIMESTAMP_HEADER = 'x-spidymq-timestamp';
+
+/**
+ * Signs a delivery.
+ * @param {string} key - The secret key
+ * @param {number|string} timestamp - When the delivery was signed, in ms since the epoch
+ * @param {string} channelName - The channel the delivery is for
+ * @param {Buffer|string} body - The raw body of the delivery
+ * @returns {string} The signature
+ */
+function sign(key, timestamp, channelName, body) {
+    return 'sha256=' + crypto.createHmac('sha256', key)
+        .update(timestamp + '.' + channelName + '.')
+        .update(body)
+        .digest('hex');
+}
+
+/**
+ * Compares two strings in time that doesn't depend on where they differ, so signatures can't be guessed a character at
+ * a time.
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {boolean} Returns TRUE if the strings are equal
+ * @private
+ */
+function safeEqual(a, b) {
+    if( a.length !== b.length ) {
+        return false;
+    }
+
+    let difference = 0;
+    for( let i = 0; i < a.length; i++ ) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+
+    return difference === 0;
+}
+
+/**
+ * Checks the signature of a delivery against every active key, so that keys can be rotated without rejecting
+ * deliveries signed with the one being replaced.
+ * @param {string[]} keys - The active secret keys
+ * @param {Object} headers - The headers of the delivery
+ * @param {string} channelName - The channel the delivery is for
+ * @param {Buffer|string} body - The raw body of the delivery
+ * @param {number} tolerance - How far (in ms) the signing time may be from now
+ * @returns {string|null} Why the delivery is refused, or NULL if it is genuine
+ */
+function verify(keys, headers, channelName, body, tolerance) {
+    let signature = headers[SIGNATURE_HEADER];
+    let timestamp = headers[TIMESTAMP_HEADER];
+
+    if( !signature || !timestamp ) {
+        return 'Missing signature';
+    }
+
+    // A genuine delivery captured and sent again later is refused once it is stale
+    let signedAt = Number(timestamp);
+    if( isNaN(signedAt) || Math.abs(Date.now() - signedAt) > tolerance ) {
+        return 'Stale signature';
+    }
+
+    let genuine = keys.some((key) => safeEqual(sign(key, timestamp, channelName, body), String(signature)));
+
+    return genuine ? null : 'Invalid signature';
+}
+
+module.exports = {
+    SIGNATURE_HEADER: SIGNATURE_HEADER,
+    TIMESTAMP_HEADER: TIMESTAMP_HEADER,
+    sign: sign,
+    verify: verify
+};
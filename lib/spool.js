@@ -0,0 +1,122 @@
+"use strict";
+
+const fs = require('fs');
+
+/**
+ * An append-only file of buffered messages, so they survive a restart of the process. Each line of the file is a JSON
+ * record that either adds a message or removes one that was added earlier. The file is emptied whenever nothing is
+ * left in it.
+ */
+class Spool {
+    /**
+     * Constructor for a Spool.
+     * @constructor
+     * @param {string} path - The file to spool messages to. It is created if it doesn't exist
+     */
+    constructor(path) {
+        if( !path ) {
+            throw new Error('Cannot create a spool without a file path');
+        }
+
+        this._path = path;
+    }
+
+    /**
+     * Reads back every message that was added to the spool but never removed, in the order they were added.
+     * A partially written last line (from a crash mid-write) is ignored.
+     * @returns {Object[]} The spooled messages, each with an `id`, `channel` and `content`
+     */
+    load() {
+        let data;
+
+        try {
+            data = fs.readFileSync(this._path, 'utf8');
+        }
+        catch( error ) {
+            if( error.code === 'ENOENT' ) {
+                return [];
+            }
+
+            throw error;
+        }
+
+        let entries = [];
+        let removed = {};
+
+        data.split('\n').forEach((line) => {
+            if( !line ) {
+                return;
+            }
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            }
+            catch( error ) {
+                return;
+            }
+
+            if( record.removed !== undefined ) {
+                removed[record.removed] = true;
+            }
+            else {
+                entries.push({
+                    id: record.id,
+                    channel: record.channel,
+                    content: record.encoding === 'base64' ? Buffer.from(record.content, 'base64') : record.content
+                });
+            }
+        });
+
+        return entries.filter((entry) => !removed[entry.id]);
+    }
+
+    /**
+     * Adds a message to the spool.
+     * @param {Object} entry - The message to add
+     * @param {number} entry.id - An id for the message, unique within the spool
+     * @param {string} entry.channel - The channel the message is for
+     * @param {*} entry.content - The content of the message. It must survive JSON, unless it is a Buffer
+     */
+    append(entry) {
+        let record = {
+            id: entry.id,
+            channel: entry.channel,
+            content: entry.content
+        };
+
+        // JSON would turn a Buffer into a plain object, so Buffers are kept as base64 and read back as Buffers
+        if( Buffer.isBuffer(entry.content) ) {
+            record.content = entry.content.toString('base64');
+            record.encoding = 'base64';
+        }
+
+        this._write(record);
+    }
+
+    /**
+     * Removes a message from the spool.
+     * @param {number} id - The id the message was added with
+     */
+    remove(id) {
+        this._write({ removed: id });
+    }
+
+    /**
+     * Removes every message from the spool, emptying the file.
+     */
+    clear() {
+        fs.writeFileSync(this._path, '');
+    }
+
+    /**
+     * Appends a record to the spool file.
+     * @param {Object} record - The record to append
+     * @private
+     */
+    _write(record) {
+        fs.appendFileSync(this._path, JSON.stringify(record) + '\n');
+    }
+}
+
+module.exports = Spool;
@@ -0,0 +1,327 @@
+"use strict";
+
+const chai = require('chai');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const mockery = require('mockery');
+
+chai.should();
+
+describe('cli', function() {
+    let cli;
+    let Server;
+    let server;
+    let baseUrl;
+
+    // Like the server tests, these need the real connection rather than the one wired to the connection tests' mocks
+    before(function() {
+        mockery.disable();
+        mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+
+        cli = require('../lib/cli');
+        Server = require('../lib/server');
+    });
+
+    after(function() {
+        mockery.disable();
+        mockery.enable();
+    });
+
+    beforeEach(function(done) {
+        server = new Server({ retryDelay: 10 });
+        server.listen((error, url) => {
+            baseUrl = url;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        server.close(done);
+    });
+
+    // Collects what is written to a stream
+    function output() {
+        let writable = new stream.PassThrough();
+        writable.text = '';
+        writable.on('data', (chunk) => {
+            writable.text += chunk.toString();
+        });
+
+        return writable;
+    }
+
+    // Runs the command, resolving with its exit code and output once it is done
+    function run(argv, options) {
+        options = options || {};
+
+        let io = {
+            stdin: new stream.PassThrough(),
+            stdout: output(),
+            stderr: output(),
+            env: options.env || { SPIDYMQ_URL: baseUrl }
+        };
+
+        io.stdin.end(options.stdin || '');
+
+        let stop;
+        let finished = new Promise((resolve) => {
+            stop = cli.run(argv, io, (code) => resolve({ code: code, stdout: io.stdout.text, stderr: io.stderr.text }));
+        });
+
+        finished.stop = stop;
+        finished.io = io;
+
+        return finished;
+    }
+
+    // Resolves once a stream collected by `output` has had the text written to it
+    function written(writable, text) {
+        return new Promise((resolve) => {
+            let check = () => {
+                if( writable.text.indexOf(text) !== -1 ) {
+                    writable.removeListener('data', check);
+                    resolve();
+                }
+            };
+
+            writable.on('data', check);
+            check();
+        });
+    }
+
+    // Resolves with the content of the next `count` messages published to the server
+    function published(count) {
+        let messages = [];
+
+        return new Promise((resolve) => {
+            server.on('message', (channelName, message) => {
+                messages.push(JSON.parse(message.body.toString()));
+
+                if( messages.length === count ) {
+                    resolve(messages);
+                }
+            });
+        });
+    }
+
+    it('should print its usage', function() {
+        return run(['--help']).then((result) => {
+            result.code.should.equal(cli.EXIT_CODES.OK);
+            result.stdout.should.contain('Usage: spidymq');
+        });
+    });
+
+    it('should refuse unknown commands and options', function() {
+        return Promise.all([
+            run([]),
+            run(['bake', 'pizza']),
+            run(['publish', 'pizza', '--size', 'large']),
+            run(['create-channel', 'pizza', '--type'])
+        ]).then((results) => {
+            results.map((result) => result.code).should.deep.equal([2, 2, 2, 2]);
+            results[0].stderr.should.contain('No command given');
+            results[1].stderr.should.contain('Unknown command: bake');
+            results[2].stderr.should.contain('Unknown option: --size');
+            results[3].stderr.should.contain('Missing a value for --type');
+        });
+    });
+
+    it('should need a server url', function() {
+        return run(['create-channel', 'pizza'], { env: {} }).then((result) => {
+            result.code.should.equal(cli.EXIT_CODES.USAGE);
+            result.stderr.should.contain('Use --url or SPIDYMQ_URL');
+        });
+    });
+
+    it('should refuse malformed channel names', function() {
+        return run(['create-channel', 'pizza..large']).then((result) => {
+            result.code.should.equal(cli.EXIT_CODES.USAGE);
+        });
+    });
+
+    it('should report an unreachable server', function() {
+        let address = server.server.address();
+
+        return new Promise((resolve) => server.close(resolve)).then(() => {
+            return run(['create-channel', 'pizza', '--url', 'http://127.0.0.1:' + address.port], { env: {} });
+        }).then((result) => {
+            result.code.should.equal(cli.EXIT_CODES.UNREACHABLE);
+            result.stderr.should.contain('Unable to connect');
+
+            // So that afterEach has a server to close
+            server = new Server();
+            return new Promise((resolve) => server.listen(resolve));
+        });
+    });
+
+    it('should tell rejected credentials apart', function() {
+        let guarded = http.createServer((req, res) => {
+            res.statusCode = 401;
+            res.end();
+        });
+
+        return new Promise((resolve) => guarded.listen(0, '127.0.0.1', resolve)).then(() => {
+            let url = 'http://127.0.0.1:' + guarded.address().port;
+
+            return run(['create-channel', 'pizza', '--url', url, '--token', 'stale'], { env: {} });
+        }).then((result) => {
+            guarded.close();
+            result.code.should.equal(cli.EXIT_CODES.UNAUTHORIZED);
+            result.stderr.should.contain('Unauthorized');
+        });
+    });
+
+    it('should create channels', function() {
+        return run(['create-channel', 'pizza', '--type', 'broadcast'])
+            .then((result) => {
+                result.code.should.equal(cli.EXIT_CODES.OK);
+                result.stdout.should.equal('Channel pizza created\n');
+
+                return run(['create-channel', 'pizza', '--type=broadcast']);
+            })
+            .then((result) => {
+                result.code.should.equal(cli.EXIT_CODES.UNCHANGED);
+                result.stdout.should.equal('Channel pizza already exists\n');
+
+                return run(['create-channel', 'pizza', '--type', 'round-robin']);
+            })
+            .then((result) => {
+                result.code.should.equal(cli.EXIT_CODES.BAD_REQUEST);
+                result.stderr.should.contain('Bad request');
+            });
+    });
+
+    it('should send credentials from the environment', function() {
+        let headers = null;
+        server.server.on('request', (req) => {
+            headers = headers || req.headers;
+        });
+
+        return run(['create-channel', 'pizza'], { env: { SPIDYMQ_URL: baseUrl, SPIDYMQ_API_KEY: 'secret' } })
+            .then((result) => {
+                result.code.should.equal(cli.EXIT_CODES.OK);
+                headers['x-api-key'].should.equal('secret');
+            });
+    });
+
+    it('should publish the content given as JSON, falling back to text', function() {
+        let messages = published(3);
+
+        return run(['create-channel', 'pizza'])
+            .then(() => run(['publish', 'pizza', '{"size":"large"}']))
+            .then((result) => {
+                result.code.should.equal(cli.EXIT_CODES.OK);
+                return run(['publish', 'pizza', 'extra', 'cheese']);
+            })
+            .then(() => run(['publish', 'pizza', '42', '--raw']))
+            .then(() => messages)
+            .then((contents) => {
+                contents.should.deep.equal([{ size: 'large' }, 'extra cheese', '42']);
+            });
+    });
+
+    it('should publish from a file or stdin', function() {
+        let file = path.join(os.tmpdir(), 'spidymq-cli-' + process.pid + '.json');
+        let messages = published(2);
+
+        fs.writeFileSync(file, '{"size":"small"}\n');
+
+        return run(['create-channel', 'pizza'])
+            .then(() => run(['publish', 'pizza', '--file', file]))
+            .then(() => run(['publish', 'pizza'], { stdin: '{"size":"large"}\n' }))
+            .then(() => messages)
+            .then((contents) => {
+                fs.unlinkSync(file);
+                contents.should.deep.equal([{ size: 'small' }, { size: 'large' }]);
+            });
+    });
+
+    it('should report files it cannot read', function() {
+        return run(['publish', 'pizza', '--file', path.join(os.tmpdir(), 'spidymq-cli-missing')]).then((result) => {
+            result.code.should.equal(cli.EXIT_CODES.FAILED);
+            result.stderr.should.contain('Unable to read the message');
+        });
+    });
+
+    it('should publish a message for each line of a batch', function() {
+        let messages = published(3);
+
+        return run(['create-channel', 'pizza'])
+            .then(() => run(['publish', 'pizza', '--batch'], { stdin: '1\n\n{"size":"large"}\r\nplain\n' }))
+            .then((result) => {
+                result.code.should.equal(cli.EXIT_CODES.OK);
+                result.stdout.should.equal('Published 3 of 3 messages to pizza\n');
+                return messages;
+            })
+            .then((contents) => {
+                contents.should.deep.equal([1, { size: 'large' }, 'plain']);
+            });
+    });
+
+    it('should refuse content and channel names the connection refuses', function() {
+        return Promise.all([
+            run(['publish', 'pizza'], { stdin: 'null\n' }),
+            run(['publish', 'pizza', '--batch'], { stdin: '{}\nnull\n' }),
+            run(['publish', 'bad name'], { stdin: '{}\n' })
+        ]).then((results) => {
+            results.map((result) => result.code).should.deep.equal([2, 2, 2]);
+            results[2].stderr.should.contain('Invalid channel name: bad name');
+        });
+    });
+
+    it('should exit with the outcome of publishing to a channel that does not exist', function() {
+        return run(['publish', 'pizza', '--batch'], { stdin: '1\n2\n' }).then((result) => {
+            result.code.should.equal(cli.EXIT_CODES.BAD_REQUEST);
+            result.stdout.should.equal('Published 0 of 2 messages to pizza\n');
+            result.stderr.should.contain('Unable to publish line 2 to pizza: Bad request');
+        });
+    });
+
+    it('should print received messages as JSON lines', function() {
+        let subscriber;
+
+        return run(['create-channel', 'pizza'])
+            .then(() => {
+                subscriber = run(['subscribe', 'pizza', '--host', '127.0.0.1', '--count', '2']);
+
+                return written(subscriber.io.stderr, 'Subscribed to pizza');
+            })
+            .then(() => run(['publish', 'pizza', '--batch'], { stdin: '{"size":"large"}\n"small"\n' }))
+            .then(() => subscriber)
+            .then((result) => {
+                result.code.should.equal(cli.EXIT_CODES.OK);
+                result.stdout.should.equal('{"channel":"pizza","content":{"size":"large"}}\n' +
+                    '{"channel":"pizza","content":"small"}\n');
+                result.stderr.should.contain('Subscribed to pizza');
+            });
+    });
+
+    it('should print envelopes and stop when told to', function() {
+        let subscriber;
+
+        return run(['create-channel', 'pizza'])
+            .then(() => {
+                subscriber = run(['subscribe', 'pizza', '--host', '127.0.0.1', '--envelope']);
+
+                return written(subscriber.io.stderr, 'Subscribed to pizza');
+            })
+            .then(() => {
+                return run(['publish', 'pizza', 'large']).then(() => written(subscriber.io.stdout, '\n'));
+            })
+            .then(() => {
+                subscriber.stop();
+                return subscriber;
+            })
+            .then((result) => {
+                let message = JSON.parse(result.stdout);
+
+                result.code.should.equal(cli.EXIT_CODES.OK);
+                message.channel.should.equal('pizza');
+                message.content.should.equal('large');
+                message.should.have.property('headers');
+            });
+    });
+});
@@ -0,0 +1,93 @@
+"use strict";
+
+const chai = require('chai');
+const zlib = require('zlib');
+const codecs = require('../lib/codecs');
+
+const should = chai.should();
+
+describe('codecs', function() {
+    describe('json', function() {
+        it('should round trip objects', function() {
+            let body = codecs.json.serialize({ pizza: 'yum yum' });
+
+            codecs.json.deserialize(new Buffer(body)).should.deep.equal({ pizza: 'yum yum' });
+        });
+
+        it('should throw on a body that is not JSON', function() {
+            should.throw(() => codecs.json.deserialize('pizza'));
+        });
+    });
+
+    describe('text', function() {
+        it('should round trip strings', function() {
+            codecs.text.deserialize(new Buffer(codecs.text.serialize('yum yum'))).should.equal('yum yum');
+        });
+
+        it('should only serialize strings', function() {
+            should.throw(() => codecs.text.serialize({}), 'The text codec can only serialize strings');
+        });
+    });
+
+    describe('binary', function() {
+        it('should pass Buffers through', function() {
+            let buffer = new Buffer([1, 2, 3]);
+
+            codecs.binary.serialize(buffer).should.equal(buffer);
+            codecs.binary.deserialize(buffer).should.equal(buffer);
+        });
+
+        it('should only serialize Buffers', function() {
+            should.throw(() => codecs.binary.serialize('123'), 'The binary codec can only serialize Buffers');
+        });
+    });
+
+    describe('gzip-json', function() {
+        it('should compress JSON', function() {
+            let body = codecs.gzipJson.serialize({ pizza: 'yum yum' });
+
+            JSON.parse(zlib.gunzipSync(body).toString()).should.deep.equal({ pizza: 'yum yum' });
+            codecs.gzipJson.deserialize(body).should.deep.equal({ pizza: 'yum yum' });
+        });
+
+        it('should throw on a body that is not compressed', function() {
+            should.throw(() => codecs.gzipJson.deserialize(new Buffer('{}')));
+        });
+    });
+
+    describe('#resolve', function() {
+        it('should look up built-in codecs by name', function() {
+            codecs.resolve('json').should.equal(codecs.json);
+            codecs.resolve('gzip-json').should.equal(codecs.gzipJson);
+        });
+
+        it('should throw on unknown names', function() {
+            should.throw(() => codecs.resolve('xml'), 'Unknown codec: xml');
+        });
+
+        it('should accept codecs of your own', function() {
+            let codec = {
+                contentType: 'application/x-pizza',
+                serialize: String,
+                deserialize: String
+            };
+
+            codecs.resolve(codec).should.equal(codec);
+        });
+
+        it('should refuse incomplete codecs', function() {
+            should.throw(() => codecs.resolve({ contentType: 'application/x-pizza' }),
+                'A codec needs a contentType, serialize and deserialize');
+        });
+    });
+
+    describe('#mediaType', function() {
+        it('should strip parameters and lower case the type', function() {
+            codecs.mediaType('Text/Plain; charset=utf-8').should.equal('text/plain');
+        });
+
+        it('should return an empty string without a header', function() {
+            codecs.mediaType(undefined).should.equal('');
+        });
+    });
+});
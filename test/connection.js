@@ -4,6 +4,10 @@ const chai = require('chai');
 const sinon = require('sinon');
 const sinonChai = require('sinon-chai');
 const mockery = require('mockery');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
 
 const should = chai.should();
 chai.use(sinonChai);
@@ -27,6 +31,7 @@ describe('Connection', function() {
     let requestMock;
     let bodyParserMock;
     let requestCallbacks;
+    let requests;
 
     beforeEach(function() {
         requestCallbacks = {};
@@ -36,23 +41,50 @@ describe('Connection', function() {
                 post: sinon.spy()
             };
         };
-        requestMock = {
-            post: function () {
+        let createRequest = function(method) {
+            return function(options, callback) {
+                let callbacks = {};
                 let emitter = {
                     on: function ( event, callback ) {
                         requestCallbacks[event] = callback;
+                        callbacks[event] = callback;
                         return emitter;
                     }
                 };
 
+                requests.push({ method: method, options: options, callbacks: callbacks, callback: callback });
                 return emitter;
-            }
+            };
+        };
+
+        requests = [];
+        requestMock = {
+            get: createRequest('GET'),
+            post: createRequest('POST'),
+            del: createRequest('DELETE')
         };
         bodyParserMock = {
-            json: sinon.spy()
+            json: (options) => options,
+            raw: (options) => options
         };
 
         mockery.registerAllowables([
+            'crypto',
+            'events',
+            'fs',
+            'http',
+            'os',
+            './envelope',
+            './codecs',
+            './schema',
+            './pattern',
+            './signature',
+            'zlib',
+            './retry',
+            './spool',
+            './publish-buffer',
+            './limiter',
+            './memory-store',
             '../lib/connection'
         ]);
 
@@ -67,6 +99,12 @@ describe('Connection', function() {
         mockery.deregisterAll();
     });
 
+    // Connects and answers the health check that connect makes
+    function establishConnection() {
+        connection.connect(sinon.spy());
+        requestCallbacks.response({ statusCode: 200 });
+    }
+
     describe('api', function() {
         beforeEach(function() {
             let url = 'http://localhost:3000/';
@@ -104,6 +142,58 @@ describe('Connection', function() {
         it('should have a publishMessage()', function() {
             connection.should.respondTo('publishMessage');
         });
+
+        it('should have a publishMessages()', function() {
+            connection.should.respondTo('publishMessages');
+        });
+
+        it('should have a publishBatch()', function() {
+            connection.should.respondTo('publishBatch');
+        });
+
+        it('should have a resubscribe()', function() {
+            connection.should.respondTo('resubscribe');
+        });
+
+        it('should have an isProducerOnly()', function() {
+            connection.should.respondTo('isProducerOnly');
+        });
+
+        it('should have a request()', function() {
+            connection.should.respondTo('request');
+        });
+
+        it('should have a respond()', function() {
+            connection.should.respondTo('respond');
+        });
+
+        it('should have a setSchema()', function() {
+            connection.should.respondTo('setSchema');
+        });
+
+        it('should have a use()', function() {
+            connection.should.respondTo('use');
+        });
+
+        it('should have a replayDeadLetter()', function() {
+            connection.should.respondTo('replayDeadLetter');
+        });
+
+        it('should have a replayDeadLetters()', function() {
+            connection.should.respondTo('replayDeadLetters');
+        });
+
+        it('should have a listChannels()', function() {
+            connection.should.respondTo('listChannels');
+        });
+
+        it('should have a getChannel()', function() {
+            connection.should.respondTo('getChannel');
+        });
+
+        it('should have a deleteChannel()', function() {
+            connection.should.respondTo('deleteChannel');
+        });
     });
 
     describe('behavior', function() {
@@ -119,15 +209,177 @@ describe('Connection', function() {
         describe('#connect', function() {
             describe('when no connection is established', function() {
                 it('should connect', function() {
-                    connection.connect();
+                    establishConnection();
+                    connection.isConnected().should.be.true;
+                });
+
+                it('should check the health of the SpidyMQ server', function() {
+                    let cb = sinon.spy();
+
+                    connection.connect(cb);
+
+                    requests[0].method.should.equal('GET');
+                    requests[0].options.url.should.match(/\/health$/);
+                    connection.getState().should.equal('connecting');
+                    connection.isConnected().should.be.false;
+                    cb.should.not.have.been.called;
+
+                    requestCallbacks.response({ statusCode: 200 });
+
+                    connection.getState().should.equal('connected');
+                    cb.should.have.been.calledWith(null, true);
+                });
+
+                it('should fail when the SpidyMQ server is unreachable', function() {
+                    let cb = sinon.spy();
+
+                    connection.connect(cb);
+                    requestCallbacks.error(new Error('ECONNREFUSED'));
+
+                    cb.args[0][0].should.be.an.instanceof(Error);
+                    connection.getState().should.equal('disconnected');
+                    connection.isConnected().should.be.false;
+                });
+
+                it('should fail when the SpidyMQ server is unhealthy', function() {
+                    let cb = sinon.spy();
+
+                    connection.connect(cb);
+                    requestCallbacks.response({ statusCode: 500 });
+
+                    cb.args[0][0].should.be.an.instanceof(Error);
+                    connection.isConnected().should.be.false;
+                });
+
+                it('should keep an aborted attempt apart from the one after it', function() {
+                    let first = sinon.spy();
+                    let second = sinon.spy();
+
+                    connection.connect(first);
+                    connection.disconnect();
+                    connection.connect(second);
+
+                    requests[0].callbacks.response({ statusCode: 200 });
+
+                    first.args[0][0].message.should.equal('Connection attempt aborted');
+                    second.should.not.have.been.called;
+                    connection.getState().should.equal('connecting');
+
+                    requests[1].callbacks.response({ statusCode: 200 });
+
+                    second.should.have.been.calledWith(null, true);
+                    connection.getState().should.equal('connected');
+                });
+
+                it('should not connect if disconnected while checking the SpidyMQ server', function() {
+                    let cb = sinon.spy();
+
+                    connection.connect(cb);
+                    connection.disconnect();
+                    requestCallbacks.response({ statusCode: 200 });
+
+                    cb.args[0][0].should.be.an.instanceof(Error);
+                    connection.isConnected().should.be.false;
+                });
+            });
+
+            describe('when connected', function() {
+                let clock;
+
+                beforeEach(function() {
+                    clock = sinon.useFakeTimers();
+                    establishConnection();
+                    requests = [];
+                });
+
+                afterEach(function() {
+                    clock.restore();
+                });
+
+                it('should send heartbeats', function() {
+                    clock.tick(10000);
+
+                    requests.length.should.equal(1);
+                    requests[0].options.url.should.match(/\/health$/);
+                });
+
+                it('should start reconnecting when heartbeats fail', function() {
+                    clock.tick(10000);
+                    requestCallbacks.error(new Error('ECONNREFUSED'));
+                    connection.isConnected().should.be.true;
+
+                    clock.tick(10000);
+                    requestCallbacks.response({ statusCode: 503 });
+                    connection.getState().should.equal('reconnecting');
+                    connection.isConnected().should.be.false;
+                });
+
+                it('should stay usable while reconnecting', function() {
+                    let cb = sinon.spy();
+
+                    clock.tick(10000);
+                    requestCallbacks.error(new Error('ECONNREFUSED'));
+                    clock.tick(10000);
+                    requestCallbacks.error(new Error('ECONNREFUSED'));
+
+                    connection.publishMessage('test', {}, cb);
+                    requestCallbacks.response({ statusCode: 200 });
+
+                    cb.should.have.been.calledWith(null, true);
+                });
+
+                it('should be connected again once heartbeats succeed', function() {
+                    clock.tick(10000);
+                    requestCallbacks.error(new Error('ECONNREFUSED'));
+                    clock.tick(10000);
+                    requestCallbacks.error(new Error('ECONNREFUSED'));
+                    clock.tick(10000);
+                    requestCallbacks.response({ statusCode: 200 });
+
+                    connection.getState().should.equal('connected');
                     connection.isConnected().should.be.true;
                 });
+
+                it('should not send a heartbeat while one is pending', function() {
+                    clock.tick(20000);
+
+                    requests.length.should.equal(1);
+                });
+
+                it('should stop heartbeats once disconnected', function() {
+                    connection.disconnect();
+                    clock.tick(30000);
+
+                    requests.length.should.equal(0);
+                });
+            });
+
+            describe('when heartbeats are disabled', function() {
+                it('should not send heartbeats', function() {
+                    let clock = sinon.useFakeTimers();
+
+                    connection = new Connection('http://localhost:3000/', {
+                        serverUrl: 'http://localhost:3001/',
+                        heartbeatInterval: 0
+                    });
+                    establishConnection();
+                    requests = [];
+
+                    clock.tick(60000);
+                    clock.restore();
+
+                    requests.length.should.equal(0);
+                });
             });
 
             describe('when a connection is established', function() {
                 it('should throw an exception on connect attempt', function() {
-                    connection.connect();
-                    should.throw(connection.connect);
+                    let cb = sinon.spy();
+
+                    establishConnection();
+                    should.throw(() => connection.connect(cb));
+
+                    cb.should.not.have.been.called;
                 });
             });
         });
@@ -135,13 +387,17 @@ describe('Connection', function() {
         describe('#disconnect', function() {
             describe('when no connection is established', function() {
                 it('should throw an exception', function() {
-                    should.throw(connection.disconnect);
+                    let cb = sinon.spy();
+
+                    should.throw(() => connection.disconnect(cb));
+
+                    cb.should.not.have.been.called;
                 });
             });
 
             describe('when a connection is established', function() {
                 it('should disconnect', function() {
-                    connection.connect();
+                    establishConnection();
                     connection.disconnect();
 
                     connection.isConnected().should.be.false;
@@ -165,7 +421,7 @@ describe('Connection', function() {
                         end: sinon.spy()
                     };
 
-                    connection.connect();
+                    establishConnection();
                     connection.subscribeChannel('test1', notify1, cb1);
                     requestCallbacks.response({ statusCode: 200 });
                     connection.subscribeChannel('test2', notify2, cb2);
@@ -186,7 +442,7 @@ describe('Connection', function() {
             it('should require a channel name', function() {
                 let cb = sinon.spy();
 
-                connection.connect();
+                establishConnection();
 
                 should.throw(function() {
                     connection.createChannel(null, null, cb);
@@ -211,7 +467,7 @@ describe('Connection', function() {
                 it('should respond with true', function() {
                     let cb = sinon.spy();
 
-                    connection.connect();
+                    establishConnection();
                     connection.createChannel('test', {}, cb);
 
                     requestCallbacks.response({ statusCode: 200 });
@@ -224,7 +480,7 @@ describe('Connection', function() {
                 it('should respond with false', function() {
                     let cb = sinon.spy();
 
-                    connection.connect();
+                    establishConnection();
                     connection.createChannel('test', {}, cb);
 
                     requestCallbacks.response({ statusCode: 304 });
@@ -237,7 +493,7 @@ describe('Connection', function() {
                 it('should respond with an error', function() {
                     let cb = sinon.spy();
 
-                    connection.connect();
+                    establishConnection();
                     connection.createChannel('test', {}, cb);
 
                     requestCallbacks.response({ statusCode: 400 });
@@ -250,7 +506,7 @@ describe('Connection', function() {
                 it('should respond with true', function() {
                     let cb = sinon.spy();
 
-                    connection.connect();
+                    establishConnection();
                     connection.createChannel('test', {}, cb);
 
                     requestCallbacks.response({ statusCode: 500 });
@@ -260,11 +516,157 @@ describe('Connection', function() {
             });
         });
 
+        describe('channel names', function() {
+            beforeEach(function() {
+                establishConnection();
+                requests = [];
+            });
+
+            it('should accept dot separated names', function() {
+                connection.createChannel('orders.us-east.created_v2', {}, sinon.spy());
+
+                requests.length.should.equal(1);
+            });
+
+            ['orders..created', '.orders', 'orders.', 'orders/created', 'orders created', 'x'.repeat(256), 42].forEach((name) => {
+                it('should refuse ' + JSON.stringify(name), function() {
+                    should.throw(() => connection.createChannel(name, {}, sinon.spy()), 'Invalid channel name');
+                    should.throw(() => connection.publishMessage(name, {}, sinon.spy()), 'Invalid channel name');
+                    should.throw(() => connection.subscribeChannel(name, sinon.spy(), sinon.spy()), 'Invalid channel name');
+
+                    requests.length.should.equal(0);
+                });
+            });
+        });
+
+        describe('#listChannels', function() {
+            beforeEach(function() {
+                establishConnection();
+                requests = [];
+            });
+
+            it('should throw when not connected', function() {
+                connection.disconnect();
+
+                should.throw(() => connection.listChannels(sinon.spy()), 'Connection not established');
+            });
+
+            it('should respond with the channels', function() {
+                let cb = sinon.spy();
+                let channels = [{ name: 'pizza', type: 'round-robin', subscribers: 2 }];
+
+                connection.listChannels(cb);
+                requests[0].method.should.equal('GET');
+                requests[0].options.url.should.match(/\/channels$/);
+                requests[0].callback(null, { statusCode: 200 }, channels);
+
+                cb.should.have.been.calledWith(null, channels);
+            });
+
+            it('should respond with an error when the server fails', function() {
+                let cb = sinon.spy();
+
+                connection.listChannels(cb);
+                requests[0].callback(null, { statusCode: 500 }, 'Oops');
+
+                cb.args[0][0].statusCode.should.equal(500);
+                should.not.exist(cb.args[0][1]);
+            });
+
+            it('should respond with an error when the server can not be reached', function() {
+                let cb = sinon.spy();
+                let error = new Error('connect ECONNREFUSED');
+
+                error.code = 'ECONNREFUSED';
+                connection.listChannels(cb);
+                requests[0].callback(error);
+
+                cb.args[0][0].message.should.match(/^Unable to list channels/);
+                cb.args[0][0].code.should.equal('ECONNREFUSED');
+            });
+        });
+
+        describe('#getChannel', function() {
+            beforeEach(function() {
+                establishConnection();
+                requests = [];
+            });
+
+            it('should require a channel name', function() {
+                should.throw(() => connection.getChannel(null, sinon.spy()), 'Cannot get a channel without a name');
+            });
+
+            it('should respond with the channel', function() {
+                let cb = sinon.spy();
+                let channel = { name: 'pizza', type: 'broadcast', subscribers: 3 };
+
+                connection.getChannel('pizza', cb);
+                requests[0].method.should.equal('GET');
+                requests[0].options.url.should.match(/\/channel\/pizza$/);
+                requests[0].callback(null, { statusCode: 200 }, channel);
+
+                cb.should.have.been.calledWith(null, channel);
+            });
+
+            it('should respond with a not found error for missing channels', function() {
+                let cb = sinon.spy();
+
+                connection.getChannel('pizza', cb);
+                requests[0].callback(null, { statusCode: 404 });
+
+                cb.args[0][0].message.should.equal('Not found');
+                cb.args[0][0].statusCode.should.equal(404);
+            });
+        });
+
+        describe('#deleteChannel', function() {
+            beforeEach(function() {
+                establishConnection();
+                requests = [];
+            });
+
+            it('should require a channel name', function() {
+                should.throw(() => connection.deleteChannel('', sinon.spy()), 'Cannot delete a channel without a name');
+            });
+
+            it('should delete the channel', function() {
+                let cb = sinon.spy();
+
+                connection.deleteChannel('pizza', cb);
+                requests[0].method.should.equal('DELETE');
+                requests[0].options.url.should.match(/\/channel\/pizza$/);
+                requests[0].callbacks.response({ statusCode: 200 });
+
+                cb.should.have.been.calledWith(null, true);
+            });
+
+            it('should respond with a not found error for missing channels', function() {
+                let cb = sinon.spy();
+
+                connection.deleteChannel('pizza', cb);
+                requests[0].callbacks.response({ statusCode: 404 });
+
+                cb.args[0][0].statusCode.should.equal(404);
+            });
+
+            it('should forget a subscription to the channel', function() {
+                connection.subscribeChannel('pizza', sinon.spy(), sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection.deleteChannel('pizza', sinon.spy());
+                requests[1].callbacks.response({ statusCode: 200 });
+                requests = [];
+
+                connection.resubscribe(sinon.spy());
+
+                requests.length.should.equal(0);
+            });
+        });
+
         describe('#publishMessage', function() {
             it('should require a channel name', function() {
                 let cb = sinon.spy();
 
-                connection.connect();
+                establishConnection();
 
                 should.throw(function() {
                     connection.publishMessage(null, {}, cb);
@@ -289,7 +691,7 @@ describe('Connection', function() {
                 it('should respond with an exception', function() {
                     let cb = sinon.spy();
 
-                    connection.connect();
+                    establishConnection();
                     connection.publishMessage('test', {}, cb);
 
                     requestCallbacks.response({ statusCode: 400 });
@@ -302,7 +704,7 @@ describe('Connection', function() {
                 it('should respond with true', function() {
                     let cb = sinon.spy();
 
-                    connection.connect();
+                    establishConnection();
                     connection.publishMessage('test', {}, cb);
 
                     requestCallbacks.response({ statusCode: 200 });
@@ -315,7 +717,7 @@ describe('Connection', function() {
                 it('should respond with true', function() {
                     let cb = sinon.spy();
 
-                    connection.connect();
+                    establishConnection();
                     connection.publishMessage('test', {}, cb);
 
                     requestCallbacks.response({ statusCode: 500 });
@@ -335,7 +737,7 @@ describe('Connection', function() {
             });
 
             it('should require a channel name', function() {
-                connection.connect();
+                establishConnection();
 
                 should.throw(function() {
                     connection.subscribeChannel(null, notify, cb);
@@ -345,7 +747,7 @@ describe('Connection', function() {
             });
 
             it('should require a notify function', function() {
-                connection.connect();
+                establishConnection();
 
                 should.throw(function() {
                     connection.subscribeChannel('test', null, cb);
@@ -366,7 +768,7 @@ describe('Connection', function() {
 
             describe('when not subscribed to a channel', function() {
                 it('should subscribe to a channel', function() {
-                    connection.connect();
+                    establishConnection();
                     connection.subscribeChannel('test', notify, cb);
 
                     requestCallbacks.response({ statusCode: 200 });
@@ -377,7 +779,7 @@ describe('Connection', function() {
 
             describe('when subscribed to a channel', function() {
                 beforeEach(function() {
-                    connection.connect();
+                    establishConnection();
                     connection.subscribeChannel('test', notify, cb);
 
                     requestCallbacks.response({ statusCode: 200 });
@@ -445,7 +847,7 @@ describe('Connection', function() {
             });
 
             it('should require a channel name', function() {
-                connection.connect();
+                establishConnection();
 
                 should.throw(function() {
                     connection.unsubscribe('test', cb);
@@ -472,7 +874,7 @@ describe('Connection', function() {
                     notify = sinon.spy();
                     subCb = sinon.spy();
 
-                    connection.connect();
+                    establishConnection();
                     connection.subscribeChannel('test', notify, subCb);
 
                     requestCallbacks.response({ statusCode: 200 });
@@ -534,7 +936,7 @@ describe('Connection', function() {
             
             describe('when not subscribed to a channel', function() {
                 it('should receive an exception', function() {
-                    connection.connect();
+                    establishConnection();
                     connection.unsubscribeChannel('test', cb);
 
                     requestCallbacks.response({ statusCode: 400 });
@@ -543,5 +945,3639 @@ describe('Connection', function() {
                 });
             });
         });
+
+        describe('when producer-only', function() {
+            beforeEach(function() {
+                connection = new Connection('http://localhost:3000/');
+                establishConnection();
+            });
+
+            it('should not need a configuration', function() {
+                connection.isProducerOnly().should.be.true;
+                should.not.exist(connection.router);
+            });
+
+            it('should be producer-only when asked even with a server url', function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    producerOnly: true
+                });
+
+                connection.isProducerOnly().should.be.true;
+                should.not.exist(connection.router);
+            });
+
+            it('should create channels', function() {
+                let cb = sinon.spy();
+
+                connection.createChannel('test', {}, cb);
+                requestCallbacks.response({ statusCode: 200 });
+
+                cb.should.have.been.calledWith(null, true);
+            });
+
+            it('should publish messages', function() {
+                let cb = sinon.spy();
+
+                connection.publishMessage('test', { pizza: 'yum yum' }, cb);
+                requestCallbacks.response({ statusCode: 200 });
+
+                cb.should.have.been.calledWith(null, true);
+            });
+
+            it('should not subscribe to channels', function() {
+                let cb = sinon.spy();
+
+                should.throw(() => connection.subscribeChannel('test', sinon.spy(), cb), /producer-only/);
+
+                cb.should.not.have.been.called;
+            });
+
+            it('should not unsubscribe from channels', function() {
+                return connection.unsubscribeChannel('test').then(
+                    () => { throw new Error('Expected a rejection'); },
+                    (error) => error.message.should.match(/producer-only/)
+                );
+            });
+        });
+
+        describe('when able to receive messages', function() {
+            it('should not be producer-only', function() {
+                connection.isProducerOnly().should.be.false;
+                should.exist(connection.router);
+            });
+        });
+
+        describe('#resubscribe', function() {
+            let notify;
+            let clock;
+
+            beforeEach(function() {
+                clock = sinon.useFakeTimers();
+                notify = sinon.spy();
+                establishConnection();
+
+                connection.subscribeChannel('test1', notify, sinon.spy());
+                requestCallbacks.response({ statusCode: 200 });
+                connection.subscribeChannel('test2', notify, sinon.spy());
+                requestCallbacks.response({ statusCode: 200 });
+
+                requests = [];
+            });
+
+            afterEach(function() {
+                clock.restore();
+            });
+
+            it('should renew every subscription', function() {
+                let cb = sinon.spy();
+
+                connection.resubscribe(cb);
+
+                requests.length.should.equal(2);
+                requests[0].options.url.should.match(/\/subscribe$/);
+                requests[0].options.body.name.should.equal('test1');
+                requests[1].options.body.name.should.equal('test2');
+
+                requests[0].callbacks.response({ statusCode: 304 });
+                requests[1].callbacks.response({ statusCode: 200 });
+
+                cb.should.have.been.calledWith(null, true);
+            });
+
+            it('should report the channels that failed and keep their subscribers', function() {
+                let cb = sinon.spy();
+                let req = {
+                    url: '/spidymq/test2',
+                    body: {
+                        pizza: 'yum yum'
+                    }
+                };
+                let res = {
+                    statusCode: 0,
+                    end: sinon.spy()
+                };
+
+                connection.resubscribe(cb);
+
+                requests[0].callbacks.response({ statusCode: 200 });
+                requests[1].callbacks.error(new Error('ECONNREFUSED'));
+
+                cb.args[0][0].channels.should.deep.equal(['test2']);
+                cb.args[0][0].errors.length.should.equal(1);
+
+                connection._handleMessage(req, res);
+                notify.should.have.been.calledWith(req.body);
+            });
+
+            it('should emit resubscribed', function() {
+                let onResubscribed = sinon.spy();
+
+                connection.on('resubscribed', onResubscribed);
+                connection.resubscribe(sinon.spy());
+                requests[0].callbacks.response({ statusCode: 304 });
+
+                onResubscribed.should.have.been.calledWith('test1', false);
+            });
+
+            describe('automatically', function() {
+                function subscribeRequests() {
+                    return requests.filter((request) => /\/subscribe$/.test(request.options.url));
+                }
+
+                it('should happen after reconnecting', function() {
+                    clock.tick(10000);
+                    requestCallbacks.error(new Error('ECONNREFUSED'));
+                    clock.tick(10000);
+                    requestCallbacks.error(new Error('ECONNREFUSED'));
+                    subscribeRequests().length.should.equal(0);
+
+                    clock.tick(10000);
+                    requestCallbacks.response({ statusCode: 200 });
+                    subscribeRequests().length.should.equal(2);
+                });
+
+                it('should happen when the server restarts', function() {
+                    clock.tick(10000);
+                    requestCallbacks.response({ statusCode: 200, headers: { 'x-spidymq-instance': 'a' } });
+                    clock.tick(10000);
+                    requestCallbacks.response({ statusCode: 200, headers: { 'x-spidymq-instance': 'a' } });
+                    subscribeRequests().length.should.equal(0);
+
+                    clock.tick(10000);
+                    requestCallbacks.response({ statusCode: 200, headers: { 'x-spidymq-instance': 'b' } });
+                    subscribeRequests().length.should.equal(2);
+                });
+
+                it('should emit an error when it fails', function() {
+                    let onError = sinon.spy();
+
+                    connection.on('error', onError);
+                    clock.tick(10000);
+                    requestCallbacks.error(new Error('ECONNREFUSED'));
+                    clock.tick(10000);
+                    requestCallbacks.error(new Error('ECONNREFUSED'));
+                    clock.tick(10000);
+                    requestCallbacks.response({ statusCode: 200 });
+
+                    subscribeRequests()[0].callbacks.response({ statusCode: 200 });
+                    subscribeRequests()[1].callbacks.response({ statusCode: 500 });
+
+                    onError.should.have.been.calledOnce;
+                    onError.args[0][0].channels.should.deep.equal(['test2']);
+                });
+
+                it('should happen on the lease interval', function() {
+                    connection = new Connection('http://localhost:3000/', {
+                        serverUrl: 'http://localhost:3001/',
+                        heartbeatInterval: 0,
+                        resubscribeInterval: 60000
+                    });
+                    establishConnection();
+                    connection.subscribeChannel('test', notify, sinon.spy());
+                    requestCallbacks.response({ statusCode: 200 });
+                    requests = [];
+
+                    clock.tick(60000);
+                    subscribeRequests().length.should.equal(1);
+                    requestCallbacks.response({ statusCode: 304 });
+
+                    clock.tick(60000);
+                    subscribeRequests().length.should.equal(2);
+                });
+            });
+        });
+
+        describe('retries', function() {
+            let clock;
+
+            beforeEach(function() {
+                clock = sinon.useFakeTimers();
+                sinon.stub(Math, 'random').returns(0);
+
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    retry: {
+                        maxAttempts: 3,
+                        minDelay: 100
+                    }
+                });
+                establishConnection();
+                requests = [];
+            });
+
+            afterEach(function() {
+                Math.random.restore();
+                clock.restore();
+            });
+
+            it('should retry server errors with exponential backoff', function() {
+                let cb = sinon.spy();
+
+                connection.publishMessage('test', {}, cb);
+                requestCallbacks.response({ statusCode: 503 });
+
+                clock.tick(99);
+                requests.length.should.equal(1);
+                clock.tick(1);
+                requests.length.should.equal(2);
+                requestCallbacks.response({ statusCode: 500 });
+
+                clock.tick(199);
+                requests.length.should.equal(2);
+                clock.tick(1);
+                requests.length.should.equal(3);
+                requestCallbacks.response({ statusCode: 200 });
+
+                cb.should.have.been.calledOnce;
+                cb.should.have.been.calledWith(null, true);
+            });
+
+            it('should retry retryable request errors', function() {
+                let cb = sinon.spy();
+                let error = new Error('socket hang up');
+                error.code = 'ECONNRESET';
+
+                connection.createChannel('test', {}, cb);
+                requestCallbacks.error(error);
+                clock.tick(100);
+                requestCallbacks.response({ statusCode: 304 });
+
+                cb.should.have.been.calledWith(null, false);
+            });
+
+            it('should not retry 400-class responses', function() {
+                let cb = sinon.spy();
+
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    retry: {
+                        maxAttempts: 3,
+                        retryableStatusCodes: [400, 500]
+                    }
+                });
+                establishConnection();
+                requests = [];
+
+                connection.publishMessage('test', {}, cb);
+                requestCallbacks.response({ statusCode: 400 });
+                clock.tick(60000);
+
+                requests.length.should.equal(1);
+                cb.args[0][0].statusCode.should.equal(400);
+                cb.args[0][0].attempts.should.equal(1);
+            });
+
+            it('should report how many attempts were made', function() {
+                let cb = sinon.spy();
+
+                connection.subscribeChannel('test', sinon.spy(), cb);
+                requestCallbacks.response({ statusCode: 500 });
+                clock.tick(100);
+                requestCallbacks.response({ statusCode: 500 });
+                clock.tick(200);
+                requestCallbacks.response({ statusCode: 500 });
+                clock.tick(60000);
+
+                requests.length.should.equal(3);
+                cb.args[0][0].message.should.equal('Server error');
+                cb.args[0][0].attempts.should.equal(3);
+            });
+
+            it('should allow the policy to be overridden per call', function() {
+                let cb = sinon.spy();
+
+                connection.unsubscribeChannel('test', { retry: { maxAttempts: 2 } }, cb);
+                requestCallbacks.error(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+                clock.tick(100);
+                requestCallbacks.error(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+                clock.tick(60000);
+
+                requests.length.should.equal(2);
+                cb.args[0][0].message.should.equal('Unable to unsubscribe from channel');
+                cb.args[0][0].code.should.equal('ECONNREFUSED');
+                cb.args[0][0].attempts.should.equal(2);
+            });
+
+            it('should allow retries to be turned off per call', function() {
+                let cb = sinon.spy();
+
+                connection.publishMessage('test', {}, { retry: false }, cb);
+                requestCallbacks.response({ statusCode: 503 });
+                clock.tick(60000);
+
+                requests.length.should.equal(1);
+                cb.args[0][0].attempts.should.equal(1);
+            });
+        });
+
+        describe('publish buffer', function() {
+            let clock;
+
+            beforeEach(function() {
+                clock = sinon.useFakeTimers();
+
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    buffer: {
+                        limit: 2
+                    }
+                });
+                establishConnection();
+                requests = [];
+            });
+
+            afterEach(function() {
+                clock.restore();
+            });
+
+            function messageRequests() {
+                return requests.filter((request) => /\/message$/.test(request.options.url));
+            }
+
+            function startReconnecting() {
+                clock.tick(10000);
+                requestCallbacks.error(new Error('ECONNREFUSED'));
+                clock.tick(10000);
+                requestCallbacks.error(new Error('ECONNREFUSED'));
+                requests = [];
+            }
+
+            function answerHeartbeat() {
+                clock.tick(10000);
+                requestCallbacks.response({ statusCode: 200 });
+            }
+
+            it('should publish straight away while the server is reachable', function() {
+                let cb = sinon.spy();
+
+                connection.publishMessage('test', { slice: 1 }, cb);
+                requestCallbacks.response({ statusCode: 200 });
+
+                cb.should.have.been.calledWith(null, true);
+            });
+
+            it('should hold messages while reconnecting', function() {
+                let cb = sinon.spy();
+                let onBuffered = sinon.spy();
+
+                connection.on('buffered', onBuffered);
+                startReconnecting();
+
+                connection.publishMessage('test', { slice: 1 }, cb);
+
+                messageRequests().length.should.equal(0);
+                onBuffered.should.have.been.calledWith('test', { slice: 1 });
+                cb.should.not.have.been.called;
+            });
+
+            it('should hold messages the server could not be reached for', function() {
+                let cb = sinon.spy();
+
+                connection.publishMessage('test', { slice: 1 }, cb);
+                requestCallbacks.error(new Error('ECONNREFUSED'));
+                connection.publishMessage('test', { slice: 2 }, cb);
+
+                messageRequests().length.should.equal(1);
+                cb.should.not.have.been.called;
+            });
+
+            it('should not hold messages the server refused', function() {
+                let cb = sinon.spy();
+
+                connection.publishMessage('test', { slice: 1 }, cb);
+                requestCallbacks.response({ statusCode: 400 });
+
+                cb.args[0][0].message.should.equal('Bad request');
+            });
+
+            it('should publish held messages in order once the server is back', function() {
+                let cb1 = sinon.spy();
+                let cb2 = sinon.spy();
+
+                startReconnecting();
+                connection.publishMessage('test', { slice: 1 }, cb1);
+                connection.publishMessage('test', { slice: 2 }, cb2);
+                answerHeartbeat();
+
+                messageRequests().length.should.equal(1);
+                messageRequests()[0].options.body.content.should.deep.equal({ slice: 1 });
+                requestCallbacks.response({ statusCode: 200 });
+                cb1.should.have.been.calledWith(null, true);
+
+                messageRequests().length.should.equal(2);
+                messageRequests()[1].options.body.content.should.deep.equal({ slice: 2 });
+                requestCallbacks.response({ statusCode: 200 });
+                cb2.should.have.been.calledWith(null, true);
+            });
+
+            it('should keep messages that still cannot be published', function() {
+                let cb = sinon.spy();
+
+                startReconnecting();
+                connection.publishMessage('test', { slice: 1 }, cb);
+                answerHeartbeat();
+                requestCallbacks.response({ statusCode: 503 });
+
+                cb.should.not.have.been.called;
+
+                answerHeartbeat();
+                requestCallbacks.response({ statusCode: 200 });
+
+                cb.should.have.been.calledWith(null, true);
+            });
+
+            it('should try held messages again on a timer when heartbeats are off', function() {
+                let cb1 = sinon.spy();
+                let cb2 = sinon.spy();
+
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    buffer: {
+                        retryInterval: 1000
+                    }
+                });
+                establishConnection();
+                requests = [];
+
+                connection.publishMessage('test', { slice: 1 }, cb1);
+                requestCallbacks.error(new Error('ECONNREFUSED'));
+                connection.publishMessage('test', { slice: 2 }, cb2);
+
+                clock.tick(999);
+                messageRequests().length.should.equal(1);
+
+                clock.tick(1);
+                messageRequests().length.should.equal(2);
+                requestCallbacks.response({ statusCode: 503 });
+                cb1.should.not.have.been.called;
+
+                clock.tick(1000);
+                messageRequests()[2].options.body.content.should.deep.equal({ slice: 1 });
+                requestCallbacks.response({ statusCode: 200 });
+                requestCallbacks.response({ statusCode: 200 });
+
+                cb1.should.have.been.calledWith(null, true);
+                cb2.should.have.been.calledWith(null, true);
+            });
+
+            it('should stop trying held messages again once disconnected', function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    buffer: true
+                });
+                establishConnection();
+                requests = [];
+
+                connection.publishMessage('test', { slice: 1 }, sinon.spy());
+                requestCallbacks.error(new Error('ECONNREFUSED'));
+                connection.disconnect(sinon.spy());
+                clock.tick(5000);
+
+                messageRequests().length.should.equal(1);
+            });
+
+            describe('with a spool', function() {
+                let spoolPath;
+
+                beforeEach(function() {
+                    spoolPath = path.join(os.tmpdir(), 'spidymq-connection-' + process.pid + '-' + Date.now() + '.log');
+                });
+
+                afterEach(function() {
+                    try {
+                        fs.unlinkSync(spoolPath);
+                    }
+                    catch( error ) {
+                        // The test never wrote to the spool
+                    }
+                });
+
+                function binaryConnection() {
+                    connection = new Connection('http://localhost:3000/', {
+                        serverUrl: 'http://localhost:3001/',
+                        codec: 'binary',
+                        buffer: { spoolPath: spoolPath }
+                    });
+                }
+
+                it('should publish spooled Buffers as Buffers after a restart', function() {
+                    binaryConnection();
+                    establishConnection();
+                    startReconnecting();
+                    connection.publishMessage('photos', new Buffer([1, 2, 3]), sinon.spy());
+
+                    binaryConnection();
+                    requests = [];
+                    establishConnection();
+
+                    let body = messageRequests()[0].options.body;
+                    Buffer.isBuffer(body).should.be.true;
+                    body.should.deep.equal(new Buffer([1, 2, 3]));
+                });
+
+                it('should drop spooled messages their codec can not serialize', function() {
+                    let onError = sinon.spy();
+
+                    fs.writeFileSync(spoolPath, JSON.stringify({ id: 1, channel: 'photos', content: 'not a buffer' }) +
+                        '\n' + JSON.stringify({ id: 2, channel: 'photos', content: 'AQID', encoding: 'base64' }) + '\n');
+                    binaryConnection();
+                    connection.on('error', onError);
+                    requests = [];
+                    establishConnection();
+
+                    onError.args[0][0].message.should.equal('The binary codec can only serialize Buffers');
+                    messageRequests().length.should.equal(1);
+                    requestCallbacks.response({ statusCode: 200 });
+                    connection._buffer.isEmpty().should.be.true;
+                });
+            });
+
+            it('should drop the oldest message when full', function() {
+                let cb1 = sinon.spy();
+                let cb2 = sinon.spy();
+                let cb3 = sinon.spy();
+                let onDropped = sinon.spy();
+
+                connection.on('dropped', onDropped);
+                startReconnecting();
+                connection.publishMessage('test', { slice: 1 }, cb1);
+                connection.publishMessage('test', { slice: 2 }, cb2);
+                connection.publishMessage('test', { slice: 3 }, cb3);
+
+                cb1.args[0][0].code.should.equal('EDROPPED');
+                onDropped.should.have.been.calledWith('test', { slice: 1 });
+                cb2.should.not.have.been.called;
+                cb3.should.not.have.been.called;
+            });
+
+            it('should drop the newest message when full if asked', function() {
+                let cb = sinon.spy();
+
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    buffer: {
+                        limit: 1,
+                        overflow: 'drop-newest'
+                    }
+                });
+                establishConnection();
+                startReconnecting();
+
+                connection.publishMessage('test', { slice: 1 }, sinon.spy());
+                connection.publishMessage('test', { slice: 2 }, cb);
+
+                cb.args[0][0].code.should.equal('EDROPPED');
+            });
+
+            it('should reject messages when full if asked', function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    buffer: {
+                        limit: 1,
+                        overflow: 'reject'
+                    }
+                });
+                establishConnection();
+                startReconnecting();
+
+                connection.publishMessage('test', { slice: 1 }, sinon.spy());
+
+                return connection.publishMessage('test', { slice: 2 }).then(
+                    () => { throw new Error('Expected a rejection'); },
+                    (error) => error.code.should.equal('EBUFFERFULL')
+                );
+            });
+        });
+
+        describe('batch publishing', function() {
+            function messageRequests() {
+                return requests.filter((request) => /\/messages?$/.test(request.options.url));
+            }
+
+            describe('without a batch endpoint', function() {
+                beforeEach(function() {
+                    connection = new Connection('http://localhost:3000/', {
+                        serverUrl: 'http://localhost:3001/',
+                        publishConcurrency: 2
+                    });
+                    establishConnection();
+                    requests = [];
+                });
+
+                it('should publish each message with a limited number in flight', function() {
+                    let cb = sinon.spy();
+
+                    connection.publishMessages('test', [1, 2, 3], cb);
+
+                    messageRequests().length.should.equal(2);
+                    messageRequests()[0].options.url.should.match(/\/message$/);
+                    messageRequests()[0].options.body.should.deep.equal({ channel: 'test', content: 1 });
+
+                    requests[0].callbacks.response({ statusCode: 200 });
+                    messageRequests().length.should.equal(3);
+                    messageRequests()[2].options.body.content.should.equal(3);
+
+                    requests[1].callbacks.response({ statusCode: 200 });
+                    requests[2].callbacks.response({ statusCode: 200 });
+
+                    cb.should.have.been.calledOnce;
+                });
+
+                it('should report the outcome of each message', function() {
+                    let cb = sinon.spy();
+
+                    connection.publishMessages('test', [1, 2], cb);
+                    requests[0].callbacks.response({ statusCode: 200 });
+                    requests[1].callbacks.response({ statusCode: 400 });
+
+                    let results = cb.args[0][1];
+                    should.not.exist(cb.args[0][0]);
+                    results.length.should.equal(2);
+                    results[0].should.deep.equal({ channel: 'test', error: null, result: true });
+                    results[1].error.message.should.equal('Bad request');
+                });
+
+                it('should publish to mixed channels', function() {
+                    let cb = sinon.spy();
+
+                    connection.publishBatch([
+                        { channel: 'pizza', content: 'pepperoni' },
+                        { channel: 'pasta', content: 'penne' }
+                    ], cb);
+
+                    messageRequests()[0].options.body.should.deep.equal({ channel: 'pizza', content: 'pepperoni' });
+                    messageRequests()[1].options.body.should.deep.equal({ channel: 'pasta', content: 'penne' });
+
+                    requests[0].callbacks.response({ statusCode: 200 });
+                    requests[1].callbacks.response({ statusCode: 200 });
+
+                    cb.args[0][1].map((result) => result.channel).should.deep.equal(['pizza', 'pasta']);
+                });
+
+                it('should resolve an empty batch straight away', function() {
+                    return connection.publishMessages('test', []).then((results) => {
+                        results.should.deep.equal([]);
+                    });
+                });
+
+                it('should require a list of contents', function() {
+                    return connection.publishMessages('test', 'pepperoni').then(
+                        () => { throw new Error('Expected a rejection'); },
+                        (error) => error.message.should.equal('Cannot publish messages without a list of contents')
+                    );
+                });
+
+                it('should not publish anything if a content is missing', function() {
+                    should.throw(() => connection.publishMessages('test', [1, null], sinon.spy()));
+                    requests.length.should.equal(0);
+                });
+
+                it('should require a channel for every message in a batch', function() {
+                    should.throw(() => connection.publishBatch([{ content: 1 }], sinon.spy()));
+                    requests.length.should.equal(0);
+                });
+            });
+
+            describe('with a batch endpoint', function() {
+                beforeEach(function() {
+                    connection = new Connection('http://localhost:3000/', {
+                        serverUrl: 'http://localhost:3001/',
+                        batchEndpoint: true,
+                        batchSize: 2
+                    });
+                    establishConnection();
+                    requests = [];
+                });
+
+                it('should publish messages in batches', function() {
+                    let cb = sinon.spy();
+
+                    connection.publishMessages('test', [1, 2, 3], cb);
+
+                    messageRequests().length.should.equal(2);
+                    messageRequests()[0].options.url.should.match(/\/messages$/);
+                    messageRequests()[0].options.body.should.deep.equal({
+                        messages: [
+                            { channel: 'test', content: 1 },
+                            { channel: 'test', content: 2 }
+                        ]
+                    });
+                    messageRequests()[1].options.url.should.match(/\/message$/);
+                    messageRequests()[1].options.body.should.deep.equal({ channel: 'test', content: 3 });
+
+                    requests[0].callbacks.response({ statusCode: 200 });
+                    requests[1].callbacks.response({ statusCode: 200 });
+
+                    cb.args[0][1].map((result) => result.result).should.deep.equal([true, true, true]);
+                });
+
+                it('should report a failed batch for each of its messages', function() {
+                    let cb = sinon.spy();
+
+                    connection.publishMessages('test', [1, 2], { batchSize: 10 }, cb);
+                    requests[0].callbacks.response({ statusCode: 500 });
+
+                    cb.args[0][1][0].error.message.should.equal('Server error');
+                    cb.args[0][1][1].error.message.should.equal('Server error');
+                });
+
+                it('should emit publish for each message', function() {
+                    let onPublish = sinon.spy();
+
+                    connection.on('publish', onPublish);
+                    connection.publishMessages('test', [1, 2], sinon.spy());
+                    requests[0].callbacks.response({ statusCode: 200 });
+
+                    onPublish.should.have.been.calledTwice;
+                    onPublish.should.have.been.calledWith('test', 2, true);
+                });
+            });
+
+            describe('when lingering', function() {
+                let clock;
+
+                beforeEach(function() {
+                    clock = sinon.useFakeTimers();
+
+                    connection = new Connection('http://localhost:3000/', {
+                        serverUrl: 'http://localhost:3001/',
+                        heartbeatInterval: 0,
+                        batchEndpoint: true,
+                        batchSize: 3,
+                        linger: 10
+                    });
+                    establishConnection();
+                    requests = [];
+                });
+
+                afterEach(function() {
+                    clock.restore();
+                });
+
+                it('should gather messages into a batch', function() {
+                    let cb1 = sinon.spy();
+                    let cb2 = sinon.spy();
+
+                    connection.publishMessage('pizza', 'pepperoni', cb1);
+                    connection.publishMessage('pasta', 'penne', cb2);
+                    requests.length.should.equal(0);
+
+                    clock.tick(10);
+
+                    requests.length.should.equal(1);
+                    requests[0].options.body.messages.length.should.equal(2);
+
+                    requestCallbacks.response({ statusCode: 200 });
+
+                    cb1.should.have.been.calledWith(null, true);
+                    cb2.should.have.been.calledWith(null, true);
+                });
+
+                it('should send a full batch without waiting', function() {
+                    connection.publishMessage('pizza', 1, sinon.spy());
+                    connection.publishMessage('pizza', 2, sinon.spy());
+                    connection.publishMessage('pizza', 3, sinon.spy());
+
+                    requests.length.should.equal(1);
+                    requests[0].options.body.messages.length.should.equal(3);
+                });
+
+                it('should not hold messages with their own retry policy', function() {
+                    connection.publishMessage('pizza', 1, { retry: false }, sinon.spy());
+
+                    requests.length.should.equal(1);
+                    requests[0].options.url.should.match(/\/message$/);
+                });
+
+                it('should send waiting messages when disconnecting', function() {
+                    connection.publishMessage('pizza', 1, sinon.spy());
+                    connection.disconnect();
+
+                    requests.length.should.equal(1);
+                });
+            });
+        });
+
+        describe('envelopes', function() {
+            let req;
+            let res;
+
+            beforeEach(function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    envelope: true,
+                    producerId: 'pizzeria'
+                });
+                establishConnection();
+                requests = [];
+
+                req = {
+                    url: '/spidymq/test',
+                    body: {
+                        spidymq: 1,
+                        id: 'abc123',
+                        timestamp: 1460000000000,
+                        producerId: 'pizzeria',
+                        headers: { crust: 'thin' },
+                        content: { pizza: 'yum yum' }
+                    }
+                };
+                res = {
+                    statusCode: 0,
+                    end: sinon.spy()
+                };
+            });
+
+            it('should publish messages in an envelope', function() {
+                connection.publishMessage('test', { pizza: 'yum yum' }, { headers: { crust: 'thin' } }, sinon.spy());
+
+                let body = requests[0].options.body;
+                body.channel.should.equal('test');
+                body.content.spidymq.should.equal(1);
+                body.content.id.should.be.a('string');
+                body.content.timestamp.should.be.a('number');
+                body.content.producerId.should.equal('pizzeria');
+                body.content.headers.should.deep.equal({ crust: 'thin' });
+                body.content.content.should.deep.equal({ pizza: 'yum yum' });
+            });
+
+            it('should give every message its own id', function() {
+                connection.publishMessages('test', [1, 2], sinon.spy());
+
+                requests[0].options.body.content.id.should.not.equal(requests[1].options.body.content.id);
+            });
+
+            it('should put headers on every message of a batch', function() {
+                connection.publishBatch([
+                    { channel: 'pizza', content: 1, headers: { size: 'large' } },
+                    { channel: 'pasta', content: 2 }
+                ], sinon.spy());
+
+                requests[0].options.body.content.headers.should.deep.equal({ size: 'large' });
+                requests[1].options.body.content.headers.should.deep.equal({});
+            });
+
+            it('should hand subscribers a message', function() {
+                let notify = sinon.spy();
+
+                connection.subscribeChannel('test', notify, sinon.spy());
+                requestCallbacks.response({ statusCode: 200 });
+                connection._handleMessage(req, res);
+
+                let message = notify.args[0][0];
+                message.channel.should.equal('test');
+                message.id.should.equal('abc123');
+                message.timestamp.should.equal(1460000000000);
+                message.producerId.should.equal('pizzeria');
+                message.headers.should.deep.equal({ crust: 'thin' });
+                message.content.should.deep.equal({ pizza: 'yum yum' });
+            });
+
+            it('should hand subscribers a message for raw payloads', function() {
+                let notify = sinon.spy();
+
+                connection.subscribeChannel('test', notify, sinon.spy());
+                requestCallbacks.response({ statusCode: 200 });
+                req.body = { pizza: 'yum yum' };
+                connection._handleMessage(req, res);
+
+                let message = notify.args[0][0];
+                should.not.exist(message.id);
+                message.headers.should.deep.equal({});
+                message.content.should.deep.equal({ pizza: 'yum yum' });
+            });
+
+            describe('when not enabled', function() {
+                beforeEach(function() {
+                    connection = new Connection('http://localhost:3000/', {
+                        serverUrl: 'http://localhost:3001/'
+                    });
+                    establishConnection();
+                    requests = [];
+                });
+
+                it('should refuse headers', function() {
+                    should.throw(() => {
+                        connection.publishMessage('test', {}, { headers: { crust: 'thin' } }, sinon.spy());
+                    }, 'Cannot publish headers without enabling envelopes');
+                });
+
+                it('should hand subscribers the content of an envelope', function() {
+                    let notify = sinon.spy();
+
+                    connection.subscribeChannel('test', notify, sinon.spy());
+                    requestCallbacks.response({ statusCode: 200 });
+                    connection._handleMessage(req, res);
+
+                    notify.should.have.been.calledWith({ pizza: 'yum yum' });
+                });
+            });
+        });
+
+        describe('request/reply', function() {
+            let res;
+
+            beforeEach(function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    producerId: 'pizzeria'
+                });
+                establishConnection();
+                requests = [];
+
+                res = {
+                    statusCode: 0,
+                    end: sinon.spy()
+                };
+            });
+
+            // Lets promise callbacks run
+            function flush() {
+                return new Promise((resolve) => setImmediate(resolve));
+            }
+
+            // Answers the requests that set up the reply channel
+            function setUpReplyChannel() {
+                requests[0].callbacks.response({ statusCode: 200 });
+                requests[1].callbacks.response({ statusCode: 200 });
+            }
+
+            function reply(request, headers, content) {
+                let channel = request.options.body.content.headers.replyTo;
+                let body = {
+                    spidymq: 1,
+                    id: 'def456',
+                    timestamp: 1460000000000,
+                    producerId: 'kitchen',
+                    headers: Object.assign({ correlationId: request.options.body.content.headers.correlationId }, headers),
+                    content: content
+                };
+
+                connection._handleMessage({ url: '/spidymq/' + channel, body: body }, res);
+            }
+
+            describe('#request', function() {
+                it('should throw on a producer-only connection', function() {
+                    connection = new Connection('http://localhost:3000/');
+                    establishConnection();
+
+                    should.throw(() => {
+                        connection.request('pizza', {}, sinon.spy());
+                    }, 'Cannot make a request on a producer-only connection');
+                });
+
+                it('should throw when not connected', function() {
+                    connection.disconnect();
+
+                    should.throw(() => {
+                        connection.request('pizza', {}, sinon.spy());
+                    }, 'Connection not established');
+                });
+
+                it('should throw without content', function() {
+                    should.throw(() => {
+                        connection.request('pizza', null, sinon.spy());
+                    }, 'Cannot make a request with null or undefined content');
+                });
+
+                it('should create and subscribe to a private reply channel', function() {
+                    connection.request('pizza', { size: 'large' }, sinon.spy());
+
+                    requests[0].options.url.should.match(/\/channel$/);
+                    requests[0].options.body.name.should.match(/^spidymq\.reply\./);
+                    requests[0].options.body.type.should.equal('round-robin');
+
+                    requests[0].callbacks.response({ statusCode: 200 });
+                    requests[1].options.url.should.match(/\/subscribe$/);
+                    requests[1].options.body.name.should.equal(requests[0].options.body.name);
+                });
+
+                it('should publish the request with a correlation id and reply channel', function() {
+                    connection.request('pizza', { size: 'large' }, { headers: { crust: 'thin' } }, sinon.spy());
+                    setUpReplyChannel();
+
+                    let body = requests[2].options.body;
+                    body.channel.should.equal('pizza');
+                    body.content.producerId.should.equal('pizzeria');
+                    body.content.content.should.deep.equal({ size: 'large' });
+                    body.content.headers.crust.should.equal('thin');
+                    body.content.headers.correlationId.should.be.a('string');
+                    body.content.headers.replyTo.should.equal(requests[0].options.body.name);
+                });
+
+                it('should only set up the reply channel once', function() {
+                    connection.request('pizza', 1, sinon.spy());
+                    connection.request('pizza', 2, sinon.spy());
+                    setUpReplyChannel();
+                    connection.request('pizza', 3, sinon.spy());
+
+                    requests.length.should.equal(5);
+                    requests.slice(2).forEach((request) => request.options.url.should.match(/\/message$/));
+                    requests[2].options.body.content.headers.correlationId
+                        .should.not.equal(requests[3].options.body.content.headers.correlationId);
+                });
+
+                it('should resolve with the content of the reply', function() {
+                    let promise = connection.request('pizza', { size: 'large' });
+                    setUpReplyChannel();
+                    requests[2].callbacks.response({ statusCode: 200 });
+                    reply(requests[2], {}, { ready: true });
+
+                    return promise.then((result) => {
+                        result.should.deep.equal({ ready: true });
+                        res.statusCode.should.equal(200);
+                    });
+                });
+
+                it('should fail with the error the responder replied with', function() {
+                    let done = sinon.spy();
+
+                    connection.request('pizza', { size: 'large' }, done);
+                    setUpReplyChannel();
+                    reply(requests[2], { error: 'Out of dough' }, null);
+
+                    done.args[0][0].message.should.equal('Out of dough');
+                    done.args[0][0].code.should.equal('EREMOTE');
+                });
+
+                it('should ignore replies nobody is waiting for', function() {
+                    let done = sinon.spy();
+
+                    connection.request('pizza', { size: 'large' }, done);
+                    setUpReplyChannel();
+                    reply(requests[2], {}, 1);
+                    reply(requests[2], {}, 2);
+
+                    done.should.have.been.calledOnce;
+                    done.should.have.been.calledWith(null, 1);
+                    res.statusCode.should.equal(200);
+                });
+
+                it('should fail when the request can not be published', function() {
+                    let done = sinon.spy();
+
+                    connection.request('pizza', { size: 'large' }, done);
+                    setUpReplyChannel();
+                    requests[2].callbacks.response({ statusCode: 400 });
+
+                    done.args[0][0].message.should.equal('Bad request');
+                });
+
+                it('should fail when the reply channel can not be set up', function() {
+                    let done = sinon.spy();
+
+                    connection.request('pizza', { size: 'large' }, done);
+                    requests[0].callbacks.response({ statusCode: 500 });
+
+                    done.args[0][0].message.should.equal('Server error');
+                    requests.length.should.equal(1);
+                });
+
+                it('should fail when no reply arrives in time', function() {
+                    let clock = sinon.useFakeTimers();
+                    let done = sinon.spy();
+
+                    connection.request('pizza', { size: 'large' }, { timeout: 1000 }, done);
+                    setUpReplyChannel();
+                    clock.tick(999);
+                    done.should.not.have.been.called;
+                    clock.tick(1);
+                    clock.restore();
+
+                    done.args[0][0].message.should.equal('Request timed out');
+                    done.args[0][0].code.should.equal('ETIMEDOUT');
+                });
+
+                it('should fail pending requests when disconnected', function() {
+                    let done = sinon.spy();
+
+                    connection.request('pizza', { size: 'large' }, done);
+                    setUpReplyChannel();
+                    connection.disconnect();
+
+                    done.args[0][0].message.should.equal('Connection closed before a reply was received');
+                });
+
+                it('should delete the reply channel when disconnecting', function() {
+                    connection.request('pizza', { size: 'large' }, sinon.spy());
+                    setUpReplyChannel();
+                    let name = requests[0].options.body.name;
+                    requests = [];
+
+                    connection.disconnect();
+
+                    requests.length.should.equal(1);
+                    requests[0].method.should.equal('DELETE');
+                    requests[0].options.url.should.match(new RegExp('/channel/' + name.replace(/\./g, '\\.') + '$'));
+                });
+
+                it('should fail requests when disconnected while setting up the reply channel', function() {
+                    let done = sinon.spy();
+
+                    connection.request('pizza', { size: 'large' }, done);
+                    connection.disconnect();
+
+                    should.not.throw(() => requests[0].callbacks.response({ statusCode: 200 }));
+                    requests.length.should.equal(1);
+                    done.should.have.been.calledOnce;
+                });
+
+                it('should emit request and reply events', function() {
+                    let onRequest = sinon.spy();
+                    let onReply = sinon.spy();
+
+                    connection.on('request', onRequest);
+                    connection.on('reply', onReply);
+                    connection.request('pizza', { size: 'large' }, sinon.spy());
+                    setUpReplyChannel();
+                    reply(requests[2], {}, true);
+
+                    let correlationId = requests[2].options.body.content.headers.correlationId;
+                    onRequest.should.have.been.calledWith('pizza', correlationId);
+                    onReply.should.have.been.calledWith('pizza', correlationId);
+                });
+            });
+
+            describe('#respond', function() {
+                let req;
+
+                beforeEach(function() {
+                    req = {
+                        url: '/spidymq/pizza',
+                        body: {
+                            spidymq: 1,
+                            id: 'abc123',
+                            timestamp: 1460000000000,
+                            producerId: 'waiter',
+                            headers: { correlationId: 'order-1', replyTo: 'spidymq.reply.waiter' },
+                            content: { size: 'large' }
+                        }
+                    };
+                });
+
+                function respond(handler) {
+                    connection.respond('pizza', handler, sinon.spy());
+                    requests[0].callbacks.response({ statusCode: 200 });
+                    requests = [];
+                }
+
+                it('should throw without a handler', function() {
+                    should.throw(() => {
+                        connection.respond('pizza', null, sinon.spy());
+                    }, 'Cannot respond to a channel without a handler');
+                });
+
+                it('should subscribe to the channel', function() {
+                    connection.respond('pizza', sinon.spy(), sinon.spy());
+
+                    requests[0].options.url.should.match(/\/subscribe$/);
+                    requests[0].options.body.name.should.equal('pizza');
+                });
+
+                it('should hand the handler the content and message of a request', function() {
+                    let handler = sinon.spy();
+
+                    respond(handler);
+                    connection._handleMessage(req, res);
+
+                    handler.args[0][0].should.deep.equal({ size: 'large' });
+                    handler.args[0][1].id.should.equal('abc123');
+                    handler.args[0][1].producerId.should.equal('waiter');
+                });
+
+                it('should publish what the handler returns to the reply channel', function() {
+                    respond(() => ({ ready: true }));
+                    connection._handleMessage(req, res);
+
+                    let body = requests[0].options.body;
+                    body.channel.should.equal('spidymq.reply.waiter');
+                    body.content.headers.should.deep.equal({ correlationId: 'order-1' });
+                    body.content.producerId.should.equal('pizzeria');
+                    body.content.content.should.deep.equal({ ready: true });
+                });
+
+                it('should acknowledge the request once the reply is published', function() {
+                    respond((order) => Promise.resolve(order.size));
+                    connection._handleMessage(req, res);
+
+                    return flush().then(() => {
+                        requests[0].options.body.content.content.should.equal('large');
+                        res.end.should.not.have.been.called;
+                        requests[0].callbacks.response({ statusCode: 200 });
+                        return flush();
+                    }).then(() => {
+                        res.statusCode.should.equal(200);
+                    });
+                });
+
+                it('should accept a reply callback', function() {
+                    respond((order, message, reply) => reply(null, 'coming up'));
+                    connection._handleMessage(req, res);
+
+                    requests[0].options.body.content.content.should.equal('coming up');
+                });
+
+                it('should reply with the error a handler fails with', function() {
+                    respond(() => {
+                        throw new Error('Out of dough');
+                    });
+                    connection._handleMessage(req, res);
+
+                    let content = requests[0].options.body.content;
+                    content.headers.should.deep.equal({ correlationId: 'order-1', error: 'Out of dough' });
+                    should.equal(content.content, null);
+                });
+
+                it('should reject the request when the reply can not be published', function() {
+                    respond(() => true);
+                    connection._handleMessage(req, res);
+                    requests[0].callbacks.response({ statusCode: 500 });
+
+                    return flush().then(() => {
+                        res.statusCode.should.equal(503);
+                    });
+                });
+
+                it('should handle messages without a reply channel like a subscriber', function() {
+                    delete req.body.headers.replyTo;
+                    respond(() => Promise.reject(new Error('Out of dough')));
+                    connection._handleMessage(req, res);
+
+                    return flush().then(() => {
+                        requests.length.should.equal(0);
+                        res.statusCode.should.equal(503);
+                    });
+                });
+            });
+
+            it('should let a subscription choose whether to receive messages', function() {
+                let notify = sinon.spy();
+
+                connection.subscribeChannel('pizza', notify, { envelope: true }, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection._handleMessage({ url: '/spidymq/pizza', body: { size: 'large' } }, res);
+
+                notify.args[0][0].channel.should.equal('pizza');
+                notify.args[0][0].content.should.deep.equal({ size: 'large' });
+            });
+        });
+
+        describe('codecs', function() {
+            let res;
+
+            beforeEach(function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    channelCodecs: {
+                        menu: 'text',
+                        photos: 'binary'
+                    }
+                });
+                establishConnection();
+                requests = [];
+
+                res = {
+                    statusCode: 0,
+                    end: sinon.spy()
+                };
+            });
+
+            function receive(channel, contentType, body) {
+                connection._handleMessage({
+                    url: '/spidymq/' + channel,
+                    headers: { 'content-type': contentType },
+                    body: body
+                }, res);
+            }
+
+            it('should publish JSON as before', function() {
+                connection.publishMessage('pizza', { size: 'large' }, sinon.spy());
+
+                requests[0].options.json.should.be.true;
+                requests[0].options.body.should.deep.equal({ channel: 'pizza', content: { size: 'large' } });
+            });
+
+            it('should publish with the codec of the channel', function() {
+                connection.publishMessage('menu', 'margherita', sinon.spy());
+
+                let options = requests[0].options;
+                should.not.exist(options.json);
+                options.qs.should.deep.equal({ channel: 'menu' });
+                options.headers['content-type'].should.equal('text/plain');
+                options.body.should.equal('margherita');
+            });
+
+            it('should publish with the codec of the connection', function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    codec: 'gzip-json'
+                });
+                establishConnection();
+                requests = [];
+
+                connection.publishMessage('pizza', { size: 'large' }, sinon.spy());
+
+                let options = requests[0].options;
+                options.headers['content-type'].should.equal('application/x-gzip-json');
+                JSON.parse(zlib.gunzipSync(options.body).toString()).should.deep.equal({ size: 'large' });
+            });
+
+            it('should fail content the codec can not serialize', function() {
+                let done = sinon.spy();
+
+                connection.publishMessage('photos', 'not a buffer', done);
+
+                requests.length.should.equal(0);
+                done.args[0][0].message.should.equal('The binary codec can only serialize Buffers');
+            });
+
+            it('should refuse unknown codecs', function() {
+                should.throw(() => {
+                    connection = new Connection('http://localhost:3000/', { codec: 'xml' });
+                }, 'Unknown codec: xml');
+            });
+
+            it('should only batch JSON messages', function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    batchEndpoint: true,
+                    channelCodecs: { menu: 'text' }
+                });
+                establishConnection();
+                requests = [];
+
+                connection.publishBatch([
+                    { channel: 'pizza', content: 1 },
+                    { channel: 'menu', content: 'margherita' },
+                    { channel: 'pizza', content: 2 }
+                ], sinon.spy());
+
+                requests.length.should.equal(2);
+                requests[0].options.body.should.equal('margherita');
+                requests[1].options.body.messages.length.should.equal(2);
+            });
+
+            it('should read the raw body of messages using other codecs', function() {
+                // The raw body parser is mounted right after the JSON one
+                let type = connection.router.use.args[1][1].type;
+
+                type({ headers: { 'content-type': 'text/plain; charset=utf-8' } }).should.be.true;
+                type({ headers: { 'content-type': 'application/x-gzip-json' } }).should.be.true;
+                type({ headers: { 'content-type': 'application/json' } }).should.be.false;
+                type({ headers: { 'content-type': 'image/png' } }).should.be.false;
+            });
+
+            it('should parse JSON bodies holding any JSON value', function() {
+                connection.router.use.args[0][1].strict.should.be.false;
+            });
+
+            it('should use string content the JSON parser already read as it is', function() {
+                let notify = sinon.spy();
+
+                connection.subscribeChannel('menu', notify, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection._handleMessage({
+                    url: '/spidymq/menu',
+                    headers: { 'content-type': 'application/json' },
+                    body: 'margherita',
+                    rawBody: new Buffer('"margherita"')
+                }, res);
+
+                notify.should.have.been.calledWith('margherita');
+                res.statusCode.should.equal(200);
+            });
+
+            it('should decode messages with the codec for their content type', function() {
+                let notify = sinon.spy();
+
+                connection.subscribeChannel('pizza', notify, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                receive('pizza', 'application/x-gzip-json', zlib.gzipSync('{"size":"large"}'));
+
+                notify.should.have.been.calledWith({ size: 'large' });
+                res.statusCode.should.equal(200);
+            });
+
+            it('should decode messages without a content type with the codec of the channel', function() {
+                let notify = sinon.spy();
+
+                connection.subscribeChannel('menu', notify, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                receive('menu', undefined, new Buffer('margherita'));
+
+                notify.should.have.been.calledWith('margherita');
+            });
+
+            it('should hand subscribers Buffers for binary messages', function() {
+                let notify = sinon.spy();
+
+                connection.subscribeChannel('photos', notify, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                receive('photos', 'application/octet-stream', new Buffer([1, 2, 3]));
+
+                Buffer.isBuffer(notify.args[0][0]).should.be.true;
+            });
+
+            it('should respond with a 400 to messages it can not decode', function() {
+                let notify = sinon.spy();
+                let onError = sinon.spy();
+
+                connection.on('error', onError);
+                connection.subscribeChannel('pizza', notify, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                receive('pizza', 'application/x-gzip-json', new Buffer('not gzip'));
+
+                res.statusCode.should.equal(400);
+                notify.should.not.have.been.called;
+                onError.should.have.been.calledOnce;
+            });
+        });
+
+        describe('schemas', function() {
+            let res;
+
+            beforeEach(function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    schemas: {
+                        pizza: {
+                            type: 'object',
+                            required: ['size'],
+                            properties: { size: { enum: ['small', 'large'] } }
+                        }
+                    }
+                });
+                establishConnection();
+                requests = [];
+
+                res = {
+                    statusCode: 0,
+                    end: sinon.spy()
+                };
+            });
+
+            it('should publish valid content', function() {
+                connection.publishMessage('pizza', { size: 'large' }, sinon.spy());
+
+                requests.length.should.equal(1);
+            });
+
+            it('should refuse invalid content with the failing paths', function() {
+                let error;
+
+                try {
+                    connection.publishMessage('pizza', { size: 'huge' }, sinon.spy());
+                }
+                catch( e ) {
+                    error = e;
+                }
+
+                requests.length.should.equal(0);
+                error.name.should.equal('ValidationError');
+                error.errors.should.deep.equal([{ path: '$.size', message: 'must be one of "small", "large"' }]);
+            });
+
+            it('should reject the promise for invalid content', function() {
+                return connection.publishMessage('pizza', {}).then(() => {
+                    throw new Error('Expected a rejection');
+                }, (error) => {
+                    error.message.should.equal('Invalid content for channel pizza: $.size is required');
+                });
+            });
+
+            it('should validate batches', function() {
+                should.throw(() => {
+                    connection.publishBatch([
+                        { channel: 'pizza', content: { size: 'small' } },
+                        { channel: 'pizza', content: { size: 'huge' } }
+                    ], sinon.spy());
+                }, 'Invalid content for channel pizza');
+
+                requests.length.should.equal(0);
+            });
+
+            it('should not validate other channels', function() {
+                connection.publishMessage('pasta', { size: 'huge' }, sinon.spy());
+
+                requests.length.should.equal(1);
+            });
+
+            it('should let schemas be set and removed', function() {
+                connection.setSchema('pasta', { type: 'string' });
+                should.throw(() => connection.publishMessage('pasta', 1, sinon.spy()), 'Invalid content for channel pasta');
+
+                connection.setSchema('pasta', null);
+                connection.publishMessage('pasta', 1, sinon.spy());
+                requests.length.should.equal(1);
+            });
+
+            it('should refuse schemas that are not objects', function() {
+                should.throw(() => connection.setSchema('pasta', 'string'), 'A schema must be an object');
+            });
+
+            it('should refuse invalid messages with a 400 and an event', function() {
+                let notify = sinon.spy();
+                let onInvalid = sinon.spy();
+
+                connection.on('invalidMessage', onInvalid);
+                connection.subscribeChannel('pizza', notify, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection._handleMessage({ url: '/spidymq/pizza', body: { size: 'huge' } }, res);
+
+                res.statusCode.should.equal(400);
+                notify.should.not.have.been.called;
+                onInvalid.should.have.been.calledWith('pizza', { size: 'huge' });
+                onInvalid.args[0][2].errors[0].path.should.equal('$.size');
+            });
+
+            it('should hand valid messages to the subscriber', function() {
+                let notify = sinon.spy();
+
+                connection.subscribeChannel('pizza', notify, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection._handleMessage({ url: '/spidymq/pizza', body: { size: 'small' } }, res);
+
+                res.statusCode.should.equal(200);
+                notify.should.have.been.calledWith({ size: 'small' });
+            });
+        });
+
+        describe('pattern subscriptions', function() {
+            let res;
+
+            beforeEach(function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0
+                });
+                establishConnection();
+                requests = [];
+
+                res = {
+                    statusCode: 0,
+                    end: sinon.spy()
+                };
+            });
+
+            let channels = [
+                { name: 'orders.us.created' },
+                { name: 'orders.eu.created' },
+                { name: 'orders.us.deleted' },
+                { name: 'pizza' }
+            ];
+
+            function subscribeRequests() {
+                return requests.filter((request) => /\/subscribe$/.test(request.options.url));
+            }
+
+            function unsubscribeRequests() {
+                return requests.filter((request) => /\/unsubscribe$/.test(request.options.url));
+            }
+
+            // Subscribes to a pattern, answering the channel listing and every subscription
+            function subscribePattern(channelPattern, notify, done) {
+                connection.subscribeChannel(channelPattern, notify, done || sinon.spy());
+                requests[requests.length - 1].callback(null, { statusCode: 200 }, channels);
+                subscribeRequests().forEach((request) => request.callbacks.response({ statusCode: 200 }));
+                requests = [];
+            }
+
+            function receive(channel) {
+                connection._handleMessage({ url: '/spidymq/' + channel, body: { pizza: 'yum yum' } }, res);
+            }
+
+            it('should refuse malformed patterns', function() {
+                should.throw(() => connection.subscribeChannel('orders.*x', sinon.spy(), sinon.spy()), 'Invalid channel name');
+            });
+
+            it('should refuse publishing to a pattern', function() {
+                should.throw(() => connection.publishMessage('orders.*', {}, sinon.spy()), 'Invalid channel name');
+            });
+
+            it('should subscribe to every matching channel', function() {
+                let done = sinon.spy();
+
+                connection.subscribeChannel('orders.*.created', sinon.spy(), done);
+                requests[0].method.should.equal('GET');
+                requests[0].options.url.should.match(/\/channels$/);
+                requests[0].callback(null, { statusCode: 200 }, channels);
+
+                subscribeRequests().map((request) => request.options.body.name)
+                    .should.deep.equal(['orders.us.created', 'orders.eu.created']);
+                subscribeRequests()[0].options.body.notifyUrl.should.equal('http://localhost:3001/spidymq/orders.us.created');
+
+                done.should.not.have.been.called;
+                subscribeRequests().forEach((request) => request.callbacks.response({ statusCode: 200 }));
+                done.should.have.been.calledWith(null, ['orders.us.created', 'orders.eu.created']);
+            });
+
+            it('should fail when the channels can not be listed', function() {
+                let done = sinon.spy();
+
+                connection.subscribeChannel('orders.#', sinon.spy(), done);
+                requests[0].callback(null, { statusCode: 500 });
+
+                done.args[0][0].statusCode.should.equal(500);
+                connection.subscribeChannel('orders.#', sinon.spy(), sinon.spy());
+            });
+
+            it('should refuse subscribing the same notify function to a pattern twice', function() {
+                let notify = sinon.spy();
+
+                subscribePattern('orders.#', notify);
+
+                should.throw(() => connection.subscribeChannel('orders.#', notify, sinon.spy()), 'Already subscribed to this channel');
+            });
+
+            it('should dispatch messages to every matching subscriber', function() {
+                let exact = sinon.spy();
+                let created = sinon.spy();
+                let all = sinon.spy();
+                let pizza = sinon.spy();
+
+                subscribePattern('orders.*.created', created);
+                subscribePattern('orders.#', all);
+                connection.subscribeChannel('pizza', pizza, sinon.spy());
+                connection.subscribeChannel('orders.us.created', exact, sinon.spy());
+
+                receive('orders.us.created');
+
+                exact.should.have.been.calledWith({ pizza: 'yum yum' });
+                created.should.have.been.calledWith({ pizza: 'yum yum' });
+                all.should.have.been.calledWith({ pizza: 'yum yum' });
+                pizza.should.not.have.been.called;
+                res.statusCode.should.equal(200);
+            });
+
+            it('should only subscribe once to channels several patterns match', function() {
+                subscribePattern('orders.*.created', sinon.spy());
+                connection.subscribeChannel('orders.#', sinon.spy(), sinon.spy());
+                requests[0].callback(null, { statusCode: 200 }, channels);
+
+                subscribeRequests().map((request) => request.options.body.name).should.deep.equal(['orders.us.deleted']);
+            });
+
+            it('should respond with a retryable status when a matching subscriber fails', function() {
+                subscribePattern('orders.#', () => {
+                    throw new Error('Nope');
+                });
+                subscribePattern('orders.*.created', sinon.spy());
+
+                receive('orders.us.created');
+
+                res.statusCode.should.equal(503);
+            });
+
+            it('should subscribe to matching channels it creates', function() {
+                subscribePattern('orders.#', sinon.spy());
+
+                connection.createChannel('orders.ca.created', {}, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+
+                subscribeRequests().map((request) => request.options.body.name).should.deep.equal(['orders.ca.created']);
+            });
+
+            it('should subscribe again to matching channels that are deleted and created again', function() {
+                subscribePattern('orders.#', sinon.spy());
+
+                connection.deleteChannel('orders.us.created', sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection.createChannel('orders.us.created', {}, sinon.spy());
+                requests[1].callbacks.response({ statusCode: 200 });
+
+                subscribeRequests().map((request) => request.options.body.name).should.deep.equal(['orders.us.created']);
+            });
+
+            it('should pick up new channels when resubscribing', function() {
+                subscribePattern('orders.*.created', sinon.spy());
+
+                connection.resubscribe(sinon.spy());
+                subscribeRequests().length.should.equal(2);
+                subscribeRequests().forEach((request) => request.callbacks.response({ statusCode: 200 }));
+
+                let listing = requests.filter((request) => request.method === 'GET')[0];
+                listing.callback(null, { statusCode: 200 }, channels.concat({ name: 'orders.ca.created' }));
+
+                subscribeRequests().length.should.equal(3);
+                subscribeRequests()[2].options.body.name.should.equal('orders.ca.created');
+            });
+
+            it('should unsubscribe from the channels a pattern matched', function() {
+                let done = sinon.spy();
+
+                subscribePattern('orders.#', sinon.spy());
+                connection.subscribeChannel('orders.us.created', sinon.spy(), sinon.spy());
+                subscribePattern('orders.*.deleted', sinon.spy());
+
+                connection.unsubscribeChannel('orders.#', done);
+
+                unsubscribeRequests().map((request) => request.options.body.name).should.deep.equal(['orders.eu.created']);
+                unsubscribeRequests()[0].callbacks.response({ statusCode: 200 });
+                done.should.have.been.calledWith(null, true);
+
+                receive('orders.eu.created');
+                res.statusCode.should.equal(400);
+            });
+
+            it('should keep the server subscription of a channel a pattern still matches', function() {
+                let done = sinon.spy();
+
+                subscribePattern('orders.#', sinon.spy());
+                connection.subscribeChannel('orders.us.created', sinon.spy(), sinon.spy());
+                requests = [];
+
+                connection.unsubscribeChannel('orders.us.created', done);
+
+                requests.length.should.equal(0);
+                done.should.have.been.calledWith(null, true);
+            });
+
+            it('should unsubscribe from pattern channels when disconnecting', function() {
+                subscribePattern('orders.*.created', sinon.spy());
+
+                connection.disconnect();
+
+                unsubscribeRequests().map((request) => request.options.body.name)
+                    .should.deep.equal(['orders.us.created', 'orders.eu.created']);
+            });
+        });
+
+        describe('multiple handlers', function() {
+            let res;
+
+            beforeEach(function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0
+                });
+                establishConnection();
+                requests = [];
+
+                res = {
+                    statusCode: 0,
+                    end: sinon.spy()
+                };
+            });
+
+            function receive(channel) {
+                connection._handleMessage({ url: '/spidymq/' + channel, body: { pizza: 'yum yum' } }, res);
+            }
+
+            it('should only subscribe on the server for the first handler', function() {
+                let first = sinon.spy();
+                let second = sinon.spy();
+
+                connection.subscribeChannel('pizza', sinon.spy(), first);
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection.subscribeChannel('pizza', sinon.spy(), second);
+
+                requests.length.should.equal(1);
+                first.should.have.been.calledWith(null, true);
+                second.should.have.been.calledWith(null, true);
+            });
+
+            it('should have later handlers wait on the first subscription', function() {
+                let first = sinon.spy();
+                let second = sinon.spy();
+
+                connection.subscribeChannel('pizza', sinon.spy(), first);
+                connection.subscribeChannel('pizza', sinon.spy(), second);
+                second.should.not.have.been.called;
+
+                requests[0].callbacks.response({ statusCode: 500 });
+
+                requests.length.should.equal(1);
+                first.args[0][0].message.should.equal('Server error');
+                second.args[0][0].message.should.equal('Server error');
+
+                receive('pizza');
+                res.statusCode.should.equal(400);
+            });
+
+            it('should hand messages to every handler', function() {
+                let first = sinon.spy();
+                let second = sinon.spy();
+
+                connection.subscribeChannel('pizza', first, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection.subscribeChannel('pizza', second, sinon.spy());
+                receive('pizza');
+
+                first.should.have.been.calledWith({ pizza: 'yum yum' });
+                second.should.have.been.calledWith({ pizza: 'yum yum' });
+                res.statusCode.should.equal(200);
+            });
+
+            it('should still hand messages to the other handlers when one fails', function() {
+                let onError = sinon.spy();
+                let second = sinon.spy();
+
+                connection.on('error', onError);
+                connection.subscribeChannel('pizza', () => {
+                    throw new Error('Nope');
+                }, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection.subscribeChannel('pizza', second, sinon.spy());
+                receive('pizza');
+
+                second.should.have.been.calledWith({ pizza: 'yum yum' });
+                onError.should.have.been.calledOnce;
+                res.statusCode.should.equal(503);
+            });
+
+            it('should not hand a redelivered message to the handlers that already processed it', function() {
+                let attempts = 0;
+                let second = sinon.spy();
+                let body = { spidymq: 1, id: 'abc123', timestamp: 1460000000000, headers: {}, content: 'large' };
+
+                connection.subscribeChannel('pizza', () => {
+                    attempts++;
+
+                    if( attempts === 1 ) {
+                        throw new Error('Oven cold');
+                    }
+                }, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection.subscribeChannel('pizza', second, sinon.spy());
+                connection.on('error', () => {});
+
+                connection._handleMessage({ url: '/spidymq/pizza', body: body }, res);
+                res.statusCode.should.equal(503);
+
+                connection._handleMessage({ url: '/spidymq/pizza', body: body }, res);
+                res.statusCode.should.equal(200);
+                attempts.should.equal(2);
+                second.should.have.been.calledOnce;
+
+                // Once everybody has processed it, a message with the same id is new again
+                connection._handleMessage({ url: '/spidymq/pizza', body: body }, res);
+                attempts.should.equal(3);
+                second.should.have.been.calledTwice;
+            });
+
+            it('should remove a single handler without unsubscribing on the server', function() {
+                let first = sinon.spy();
+                let second = sinon.spy();
+                let done = sinon.spy();
+
+                connection.subscribeChannel('pizza', first, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection.subscribeChannel('pizza', second, sinon.spy());
+                connection.unsubscribeChannel('pizza', { handler: first }, done);
+
+                requests.length.should.equal(1);
+                done.should.have.been.calledWith(null, true);
+
+                receive('pizza');
+                first.should.not.have.been.called;
+                second.should.have.been.called;
+            });
+
+            it('should unsubscribe on the server when the last handler is removed', function() {
+                let first = sinon.spy();
+                let second = sinon.spy();
+
+                connection.subscribeChannel('pizza', first, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection.subscribeChannel('pizza', second, sinon.spy());
+                connection.unsubscribeChannel('pizza', { handler: first }, sinon.spy());
+                connection.unsubscribeChannel('pizza', { handler: second }, sinon.spy());
+
+                requests.length.should.equal(2);
+                requests[1].options.url.should.match(/\/unsubscribe$/);
+            });
+
+            it('should remove every handler without a handle', function() {
+                connection.subscribeChannel('pizza', sinon.spy(), sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection.subscribeChannel('pizza', sinon.spy(), sinon.spy());
+                connection.unsubscribeChannel('pizza', sinon.spy());
+
+                requests.length.should.equal(2);
+                receive('pizza');
+                res.statusCode.should.equal(400);
+            });
+
+            it('should refuse to remove a handler it does not have', function() {
+                connection.subscribeChannel('pizza', sinon.spy(), sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+
+                should.throw(() => connection.unsubscribeChannel('pizza', { handler: sinon.spy() }, sinon.spy()),
+                    'Not subscribed to this channel with this handler');
+                should.throw(() => connection.unsubscribeChannel('oven', { handler: sinon.spy() }, sinon.spy()),
+                    'Not subscribed to this channel with this handler');
+                requests.length.should.equal(1);
+            });
+
+            it('should remove responders and dead-letter replays by what they were given', function() {
+                let handler = sinon.spy();
+                let second = sinon.spy();
+
+                connection.respond('pizza', handler, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                connection.replayDeadLetters('pizza', sinon.spy());
+                connection.subscribeChannel('pizza', second, sinon.spy());
+
+                should.throw(() => connection.respond('pizza', handler, sinon.spy()),
+                    'Already subscribed to this channel with this notify function');
+
+                connection.unsubscribeChannel('pizza', { handler: handler }, sinon.spy());
+                connection.unsubscribeChannel('pizza', { handler: connection.replayDeadLetter }, sinon.spy());
+
+                requests.length.should.equal(1);
+                receive('pizza');
+                handler.should.not.have.been.called;
+                second.should.have.been.called;
+                res.statusCode.should.equal(200);
+            });
+
+            it('should support several handlers per pattern', function() {
+                let first = sinon.spy();
+                let second = sinon.spy();
+
+                connection.subscribeChannel('orders.#', first, sinon.spy());
+                requests[0].callback(null, { statusCode: 200 }, [{ name: 'orders.us' }]);
+                requests[1].callbacks.response({ statusCode: 200 });
+                connection.subscribeChannel('orders.#', second, sinon.spy());
+                connection.unsubscribeChannel('orders.#', { handler: first }, sinon.spy());
+
+                requests.length.should.equal(2);
+                receive('orders.us');
+                first.should.not.have.been.called;
+                second.should.have.been.called;
+            });
+        });
+
+        describe('middleware', function() {
+            let res;
+
+            beforeEach(function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    envelope: true
+                });
+                establishConnection();
+                requests = [];
+
+                res = {
+                    statusCode: 0,
+                    end: sinon.spy()
+                };
+            });
+
+            function flush() {
+                return new Promise((resolve) => setImmediate(resolve));
+            }
+
+            function receive(channel) {
+                connection._handleMessage({ url: '/spidymq/' + channel, body: { size: 'large' } }, res);
+            }
+
+            it('should refuse unknown chains', function() {
+                should.throw(() => connection.use('sideways', () => {}), 'Unknown middleware chain: sideways');
+            });
+
+            it('should refuse middleware that is not a function', function() {
+                should.throw(() => connection.use('inbound', {}), 'Middleware must be a function');
+            });
+
+            describe('outbound', function() {
+                it('should run in order before publishing', function() {
+                    connection
+                        .use('outbound', (message) => {
+                            message.headers.traceId = 'abc';
+                        })
+                        .use('outbound', (message) => {
+                            message.content = Object.assign({ traced: message.headers.traceId }, message.content);
+                        });
+
+                    connection.publishMessage('pizza', { size: 'large' }, sinon.spy());
+
+                    let body = requests[0].options.body;
+                    body.channel.should.equal('pizza');
+                    body.content.headers.should.deep.equal({ traceId: 'abc' });
+                    body.content.content.should.deep.equal({ traced: 'abc', size: 'large' });
+                });
+
+                it('should support async steps', function() {
+                    let done = sinon.spy();
+
+                    connection.use('outbound', (message, next) => {
+                        setImmediate(() => {
+                            message.content = 'redacted';
+                            next();
+                        });
+                    });
+                    connection.use('outbound', (message) => Promise.resolve());
+
+                    connection.publishMessage('pizza', { card: '4111' }, done);
+                    requests.length.should.equal(0);
+
+                    return flush().then(() => flush()).then(() => {
+                        requests[0].options.body.content.content.should.equal('redacted');
+                        requests[0].callbacks.response({ statusCode: 200 });
+                        done.should.have.been.calledWith(null, true);
+                    });
+                });
+
+                it('should let middleware stop a message', function() {
+                    let done = sinon.spy();
+                    let after = sinon.spy();
+
+                    connection.use('outbound', () => false);
+                    connection.use('outbound', after);
+                    connection.publishMessage('pizza', { size: 'large' }, done);
+
+                    requests.length.should.equal(0);
+                    after.should.not.have.been.called;
+                    done.should.have.been.calledWith(null, false);
+                });
+
+                it('should let middleware reject a message', function() {
+                    connection.use('outbound', () => Promise.reject(new Error('No pineapple')));
+
+                    return connection.publishMessage('pizza', { topping: 'pineapple' }).then(() => {
+                        throw new Error('Expected a rejection');
+                    }, (error) => {
+                        error.message.should.equal('No pineapple');
+                        requests.length.should.equal(0);
+                    });
+                });
+
+                it('should run for each message of a batch', function() {
+                    let done = sinon.spy();
+
+                    connection.use('outbound', (message) => message.content !== 2);
+                    connection.publishMessages('pizza', [1, 2, 3], done);
+
+                    requests.map((request) => request.options.body.content.content).should.deep.equal([1, 3]);
+                    requests.forEach((request) => request.callbacks.response({ statusCode: 200 }));
+                    done.args[0][1].map((result) => result.result).should.deep.equal([true, false, true]);
+                });
+
+                it('should run for requests', function() {
+                    connection.use('outbound', (message) => {
+                        message.headers.traceId = 'abc';
+                    });
+                    connection.request('pizza', { size: 'large' }, sinon.spy());
+                    requests[0].callbacks.response({ statusCode: 200 });
+                    requests[1].callbacks.response({ statusCode: 200 });
+
+                    requests[2].options.body.content.headers.traceId.should.equal('abc');
+                    requests[2].options.body.content.headers.correlationId.should.be.a('string');
+                });
+            });
+
+            describe('inbound', function() {
+                let notify;
+
+                beforeEach(function() {
+                    notify = sinon.spy();
+                    connection.subscribeChannel('pizza', notify, sinon.spy());
+                    requests[0].callbacks.response({ statusCode: 200 });
+                });
+
+                it('should run before the subscriber and may change the message', function() {
+                    connection.use('inbound', (message) => {
+                        message.content.size.should.equal('large');
+                        message.channel.should.equal('pizza');
+                        message.content = { size: 'small' };
+                    });
+                    receive('pizza');
+
+                    notify.args[0][0].content.should.deep.equal({ size: 'small' });
+                    res.statusCode.should.equal(200);
+                });
+
+                it('should support async steps', function() {
+                    connection.use('inbound', () => new Promise((resolve) => setImmediate(resolve)));
+                    receive('pizza');
+
+                    notify.should.not.have.been.called;
+
+                    return flush().then(() => flush()).then(() => {
+                        notify.should.have.been.called;
+                        res.statusCode.should.equal(200);
+                    });
+                });
+
+                it('should acknowledge messages that middleware stops', function() {
+                    connection.use('inbound', (message, next) => next(null, false));
+                    receive('pizza');
+
+                    notify.should.not.have.been.called;
+                    res.statusCode.should.equal(200);
+                });
+
+                it('should respond with a retryable status when middleware fails', function() {
+                    let onError = sinon.spy();
+
+                    connection.on('error', onError);
+                    connection.use('inbound', () => {
+                        throw new Error('Tracing is down');
+                    });
+                    receive('pizza');
+
+                    notify.should.not.have.been.called;
+                    onError.should.have.been.calledOnce;
+                    res.statusCode.should.equal(503);
+                });
+
+                it('should respond with the status code of the error middleware rejects with', function() {
+                    connection.use('inbound', (message, next) => {
+                        let error = new Error('Forbidden topping');
+                        error.statusCode = 400;
+                        next(error);
+                    });
+                    receive('pizza');
+
+                    notify.should.not.have.been.called;
+                    res.statusCode.should.equal(400);
+                });
+
+                it('should not run for channels without subscribers', function() {
+                    let middleware = sinon.spy();
+
+                    connection.use('inbound', middleware);
+                    receive('pasta');
+
+                    middleware.should.not.have.been.called;
+                    res.statusCode.should.equal(400);
+                });
+            });
+        });
+
+        describe('signed deliveries', function() {
+            let signature = require('../lib/signature');
+            let notify;
+            let res;
+
+            beforeEach(function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    signingKeys: ['new', 'old']
+                });
+                establishConnection();
+                requests = [];
+
+                notify = sinon.spy();
+                connection.subscribeChannel('pizza', notify, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+
+                res = {
+                    statusCode: 0,
+                    end: sinon.spy()
+                };
+            });
+
+            function deliver(headers) {
+                connection._handleMessage({
+                    url: '/spidymq/pizza',
+                    headers: headers,
+                    body: { size: 'large' },
+                    rawBody: new Buffer('{"size":"large"}')
+                }, res);
+            }
+
+            function signedWith(key, timestamp) {
+                let headers = {};
+
+                headers[signature.TIMESTAMP_HEADER] = String(timestamp);
+                headers[signature.SIGNATURE_HEADER] = signature.sign(key, timestamp, 'pizza', '{"size":"large"}');
+
+                return headers;
+            }
+
+            it('should refuse signing keys that are not strings', function() {
+                should.throw(() => new Connection('http://localhost:3000/', { signingKeys: ['ok', ''] }),
+                    'Signing keys must be non-empty strings');
+            });
+
+            it('should hand the current key to the server when subscribing', function() {
+                requests[0].options.body.signingKey.should.equal('new');
+            });
+
+            it('should not send a key without signing keys', function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0
+                });
+                establishConnection();
+                requests = [];
+
+                connection.subscribeChannel('pizza', sinon.spy(), sinon.spy());
+
+                requests[0].options.body.should.not.have.property('signingKey');
+            });
+
+            it('should keep the raw body for checking signatures', function() {
+                let req = {};
+
+                connection.router.use.args[1][1].verify(req, {}, new Buffer('{}'));
+
+                req.rawBody.toString().should.equal('{}');
+            });
+
+            it('should accept deliveries signed with the current key', function() {
+                deliver(signedWith('new', Date.now()));
+
+                res.statusCode.should.equal(200);
+                notify.should.have.been.calledWith({ size: 'large' });
+            });
+
+            it('should accept deliveries signed with an older key', function() {
+                deliver(signedWith('old', Date.now()));
+
+                res.statusCode.should.equal(200);
+            });
+
+            it('should refuse unsigned deliveries with a 401', function() {
+                let onUnauthorized = sinon.spy();
+
+                connection.on('unauthorized', onUnauthorized);
+                deliver({});
+
+                res.statusCode.should.equal(401);
+                res.end.should.have.been.called;
+                notify.should.not.have.been.called;
+                onUnauthorized.should.have.been.calledWith('pizza', 'Missing signature');
+            });
+
+            it('should refuse deliveries signed with an unknown key', function() {
+                deliver(signedWith('stolen', Date.now()));
+
+                res.statusCode.should.equal(401);
+                notify.should.not.have.been.called;
+            });
+
+            it('should refuse replayed deliveries once they are stale', function() {
+                deliver(signedWith('new', Date.now() - 600000));
+
+                res.statusCode.should.equal(401);
+                notify.should.not.have.been.called;
+            });
+
+            it('should check bodies parsed elsewhere by serializing them again', function() {
+                connection._handleMessage({
+                    url: '/spidymq/pizza',
+                    headers: signedWith('new', Date.now()),
+                    body: { size: 'large' }
+                }, res);
+
+                res.statusCode.should.equal(200);
+            });
+        });
+
+        describe('credentials and TLS', function() {
+            function connect(config) {
+                connection = new Connection('http://localhost:3000/', Object.assign({
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0
+                }, config));
+                establishConnection();
+            }
+
+            function flush() {
+                return new Promise((resolve) => setImmediate(resolve));
+            }
+
+            it('should refuse both a token and an API key', function() {
+                should.throw(() => new Connection('http://localhost:3000/', { token: 'abc', apiKey: 'def' }),
+                    'Use either a token or an API key, not both');
+            });
+
+            it('should send a static token with every request', function() {
+                connect({ token: 'abc' });
+
+                requests[0].options.headers.Authorization.should.equal('Bearer abc');
+
+                requests = [];
+                connection.createChannel('pizza', {}, sinon.spy());
+                connection.listChannels(sinon.spy());
+
+                requests[0].options.headers.Authorization.should.equal('Bearer abc');
+                requests[0].options.body.name.should.equal('pizza');
+                requests[1].options.headers.Authorization.should.equal('Bearer abc');
+                requests[1].options.json.should.be.true;
+            });
+
+            it('should send an API key in its header', function() {
+                connect({ apiKey: 'def', apiKeyHeader: 'X-Pizza-Key' });
+                requests = [];
+
+                connection.publishMessage('pizza', { size: 'large' }, sinon.spy());
+
+                requests[0].options.headers['X-Pizza-Key'].should.equal('def');
+            });
+
+            it('should keep the other headers of a request', function() {
+                connect({ apiKey: 'def', channelCodecs: { pizza: 'text' } });
+                requests = [];
+
+                connection.publishMessage('pizza', 'large', sinon.spy());
+
+                requests[0].options.headers.should.deep.equal({ 'content-type': 'text/plain', 'X-API-Key': 'def' });
+            });
+
+            it('should ask a token provider before every request', function() {
+                let tokens = ['first', 'second'];
+                let provider = sinon.spy(() => Promise.resolve(tokens.shift()));
+
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    token: provider
+                });
+                connection.connect(sinon.spy());
+
+                requests.length.should.equal(0);
+
+                return flush().then(() => {
+                    requests[0].options.headers.Authorization.should.equal('Bearer first');
+                    requests[0].callbacks.response({ statusCode: 200 });
+
+                    connection.createChannel('pizza', {}, sinon.spy());
+                    return flush();
+                }).then(() => {
+                    requests[1].options.headers.Authorization.should.equal('Bearer second');
+                    provider.should.have.been.calledTwice;
+                });
+            });
+
+            it('should accept providers that take a callback', function() {
+                connect({ token: (done) => done(null, 'abc') });
+
+                requests[0].options.headers.Authorization.should.equal('Bearer abc');
+            });
+
+            it('should fail requests when the provider fails', function() {
+                let done = sinon.spy();
+
+                let tokens = ['abc'];
+
+                connect({
+                    token: () => {
+                        if( tokens.length === 0 ) {
+                            throw new Error('Token service down');
+                        }
+
+                        return tokens.shift();
+                    }
+                });
+                requests = [];
+
+                connection.createChannel('pizza', {}, done);
+
+                requests.length.should.equal(0);
+                done.args[0][0].message.should.equal('Unable to get credentials for the SpidyMQ server');
+                done.args[0][0].cause.message.should.equal('Token service down');
+            });
+
+            it('should report credentials the server rejects', function() {
+                let done = sinon.spy();
+
+                connect({ token: 'abc' });
+                requests = [];
+
+                connection.createChannel('pizza', {}, done);
+                requests[0].callbacks.response({ statusCode: 401 });
+
+                done.args[0][0].message.should.equal('Unauthorized');
+                done.args[0][0].statusCode.should.equal(401);
+            });
+
+            it('should fail to connect when the server rejects the credentials', function() {
+                let done = sinon.spy();
+
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    apiKey: 'def'
+                });
+                connection.connect(done);
+                requests[0].callbacks.response({ statusCode: 403 });
+
+                done.args[0][0].message.should.equal('Unauthorized');
+                done.args[0][0].statusCode.should.equal(403);
+                connection.getState().should.equal('disconnected');
+            });
+
+            it('should fail to connect when the provider fails', function() {
+                let done = sinon.spy();
+
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    token: () => {
+                        throw new Error('Token service down');
+                    }
+                });
+                connection.connect(done);
+
+                done.args[0][0].message.should.equal('Unable to get credentials for the SpidyMQ server');
+                connection.getState().should.equal('disconnected');
+            });
+
+            it('should apply TLS and proxy settings to every endpoint', function() {
+                connect({
+                    tls: { ca: 'ca-bundle', cert: 'client-cert', key: 'client-key', rejectUnauthorized: true },
+                    proxy: 'http://proxy:8080'
+                });
+
+                connection.createChannel('pizza', {}, sinon.spy());
+                connection.getChannel('pizza', sinon.spy());
+                connection.deleteChannel('pizza', sinon.spy());
+
+                requests.length.should.equal(4);
+                requests.forEach((request) => {
+                    request.options.ca.should.equal('ca-bundle');
+                    request.options.cert.should.equal('client-cert');
+                    request.options.key.should.equal('client-key');
+                    request.options.rejectUnauthorized.should.be.true;
+                    request.options.proxy.should.equal('http://proxy:8080');
+                    request.options.should.not.have.property('passphrase');
+                });
+            });
+
+            it('should send no credentials without any', function() {
+                connect({});
+
+                requests[0].options.should.not.have.property('headers');
+                requests[0].options.should.not.have.property('proxy');
+            });
+        });
+
+        describe('dead letters', function() {
+            let clock;
+            let res;
+
+            beforeEach(function() {
+                clock = sinon.useFakeTimers(5000);
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    handlerTimeout: 0
+                });
+                establishConnection();
+                requests = [];
+
+                res = {
+                    statusCode: 0,
+                    end: sinon.spy()
+                };
+            });
+
+            afterEach(function() {
+                clock.restore();
+            });
+
+            function subscribe(notifyFn, deadLetter) {
+                connection.subscribeChannel('pizza', notifyFn, { deadLetter: deadLetter }, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+                requests = [];
+            }
+
+            function receive(body) {
+                connection._handleMessage({ url: '/spidymq/pizza', body: body || { size: 'large' } }, res);
+            }
+
+            it('should refuse both a channel and a handler', function() {
+                should.throw(() => subscribe(sinon.spy(), { channel: 'pizza.dead', handler: sinon.spy() }),
+                    'Dead letters go to a channel or a handler, not both');
+            });
+
+            it('should refuse invalid dead-letter channels', function() {
+                should.throw(() => subscribe(sinon.spy(), { channel: 'pizza dead' }), 'Invalid channel name: pizza dead');
+            });
+
+            it('should refuse handlers that are not functions', function() {
+                should.throw(() => subscribe(sinon.spy(), { handler: 'log' }), 'The dead letter handler must be a function');
+            });
+
+            it('should retry failed messages after a delay', function() {
+                let notify = sinon.stub();
+                notify.onFirstCall().throws(new Error('Oven cold'));
+
+                subscribe(notify, { retries: 2, retryDelay: 500 });
+                receive();
+
+                notify.should.have.been.calledOnce;
+                res.end.should.not.have.been.called;
+
+                clock.tick(500);
+
+                notify.should.have.been.calledTwice;
+                res.statusCode.should.equal(200);
+            });
+
+            it('should refuse messages still failing after the retries without a channel or handler', function() {
+                let notify = sinon.stub().throws(new Error('Oven cold'));
+
+                subscribe(notify, { retries: 1, retryDelay: 500 });
+                receive();
+                clock.tick(500);
+
+                notify.should.have.been.calledTwice;
+                res.statusCode.should.equal(503);
+            });
+
+            it('should give up on retries that would take longer than the handler timeout', function() {
+                let notify = sinon.stub().throws(new Error('Oven cold'));
+
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    handlerTimeout: 900
+                });
+                establishConnection();
+                requests = [];
+
+                subscribe(notify, { retries: 5, retryDelay: 500, channel: 'pizza.dead' });
+                receive();
+                clock.tick(500);
+
+                notify.should.have.been.calledTwice;
+                requests.length.should.equal(1);
+                requests[0].options.body.channel.should.equal('pizza.dead');
+                requests[0].options.body.content.attempts.should.equal(2);
+            });
+
+            it('should only give the last attempt what is left of the handler timeout', function() {
+                let onError = sinon.spy();
+                let notify = sinon.stub();
+                notify.onFirstCall().throws(new Error('Oven cold'));
+                notify.onSecondCall().returns(new Promise(() => {}));
+
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    handlerTimeout: 1200
+                });
+                establishConnection();
+                requests = [];
+                connection.on('error', onError);
+
+                subscribe(notify, { retries: 1, retryDelay: 500 });
+                receive();
+                clock.tick(500);
+                clock.tick(699);
+                res.end.should.not.have.been.called;
+
+                clock.tick(1);
+                res.statusCode.should.equal(503);
+                onError.args[1][0].message.should.equal('Timed out waiting for the message to be acknowledged');
+            });
+
+            it('should publish dead letters to the dead-letter channel', function() {
+                let onDeadLetter = sinon.spy();
+                let error = new Error('Oven cold');
+                error.code = 'ECOLD';
+
+                connection.on('deadLetter', onDeadLetter);
+                subscribe(sinon.stub().throws(error), { retries: 1, retryDelay: 500, channel: 'pizza.dead' });
+                receive();
+                clock.tick(500);
+
+                requests.length.should.equal(1);
+                requests[0].options.body.channel.should.equal('pizza.dead');
+                requests[0].options.body.content.should.deep.equal({
+                    channel: 'pizza',
+                    id: null,
+                    timestamp: null,
+                    producerId: null,
+                    headers: {},
+                    content: { size: 'large' },
+                    error: { message: 'Oven cold', code: 'ECOLD' },
+                    attempts: 2,
+                    failedAt: 5500
+                });
+                onDeadLetter.should.have.been.calledWith('pizza', requests[0].options.body.content);
+                res.end.should.not.have.been.called;
+
+                requests[0].callbacks.response({ statusCode: 200 });
+
+                res.statusCode.should.equal(200);
+            });
+
+            it('should keep the envelope of the message', function() {
+                let message = { spidymq: 1, id: 'abc', timestamp: 1000, producerId: 'oven', headers: { hot: 'yes' },
+                    content: 'large' };
+
+                subscribe(sinon.stub().throws(new Error('Oven cold')), { channel: 'pizza.dead' });
+                receive(message);
+
+                let deadLetter = requests[0].options.body.content;
+                deadLetter.id.should.equal('abc');
+                deadLetter.timestamp.should.equal(1000);
+                deadLetter.producerId.should.equal('oven');
+                deadLetter.headers.should.deep.equal({ hot: 'yes' });
+                deadLetter.content.should.equal('large');
+            });
+
+            it('should refuse the message when the dead letter can not be published', function() {
+                subscribe(sinon.stub().throws(new Error('Oven cold')), { channel: 'pizza.dead' });
+                receive();
+
+                requests[0].callbacks.response({ statusCode: 500 });
+
+                res.statusCode.should.equal(503);
+            });
+
+            it('should hand dead letters to the handler', function() {
+                let handler = sinon.spy(() => Promise.resolve());
+
+                subscribe(sinon.stub().throws(new Error('Oven cold')), { handler: handler });
+                receive();
+
+                handler.should.have.been.calledOnce;
+                handler.args[0][0].content.should.deep.equal({ size: 'large' });
+                handler.args[0][0].attempts.should.equal(1);
+                requests.length.should.equal(0);
+
+                return Promise.resolve().then(() => {
+                    res.statusCode.should.equal(200);
+                });
+            });
+
+            it('should refuse the message when the handler fails', function() {
+                let handler = (deadLetter, done) => done(new Error('Disk full'));
+
+                subscribe(sinon.stub().throws(new Error('Oven cold')), { handler: handler });
+                receive();
+
+                res.statusCode.should.equal(503);
+            });
+
+            describe('#replayDeadLetter', function() {
+                let Message = require('../lib/envelope').Message;
+                let deadLetter;
+
+                beforeEach(function() {
+                    deadLetter = {
+                        channel: 'pizza',
+                        headers: { hot: 'yes' },
+                        content: { size: 'large' },
+                        error: { message: 'Oven cold', code: null },
+                        attempts: 1
+                    };
+                });
+
+                it('should publish the message to its original channel', function() {
+                    let done = sinon.spy();
+
+                    connection.replayDeadLetter(deadLetter, done);
+
+                    requests[0].options.body.should.deep.equal({ channel: 'pizza', content: { size: 'large' } });
+                    requests[0].callbacks.response({ statusCode: 200 });
+                    done.should.have.been.calledWith(null, true);
+                });
+
+                it('should keep the original headers with envelopes', function() {
+                    connection = new Connection('http://localhost:3000/', {
+                        serverUrl: 'http://localhost:3001/',
+                        heartbeatInterval: 0,
+                        envelope: true
+                    });
+                    establishConnection();
+                    requests = [];
+
+                    connection.replayDeadLetter(new Message({ channel: 'pizza.dead', content: deadLetter }), sinon.spy());
+
+                    requests[0].options.body.channel.should.equal('pizza');
+                    requests[0].options.body.content.headers.should.deep.equal({ hot: 'yes' });
+                    requests[0].options.body.content.content.should.deep.equal({ size: 'large' });
+                });
+
+                it('should refuse anything else', function() {
+                    should.throw(() => connection.replayDeadLetter({ size: 'large' }, sinon.spy()), 'Not a dead letter');
+                });
+            });
+
+            describe('#replayDeadLetters', function() {
+                it('should replay every dead letter arriving on the channel', function() {
+                    connection.replayDeadLetters('pizza.dead', sinon.spy());
+                    requests[0].options.body.name.should.equal('pizza.dead');
+                    requests[0].callbacks.response({ statusCode: 200 });
+
+                    connection._handleMessage({
+                        url: '/spidymq/pizza.dead',
+                        body: { channel: 'pizza', headers: {}, content: { size: 'large' } }
+                    }, res);
+
+                    requests[1].options.body.should.deep.equal({ channel: 'pizza', content: { size: 'large' } });
+                    res.end.should.not.have.been.called;
+
+                    requests[1].callbacks.response({ statusCode: 200 });
+
+                    return Promise.resolve().then(() => {
+                        res.statusCode.should.equal(200);
+                    });
+                });
+            });
+        });
+
+        describe('concurrency limits', function() {
+            let acks;
+            let notify;
+
+            beforeEach(function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    handlerTimeout: 0
+                });
+                establishConnection();
+                requests = [];
+
+                acks = [];
+                notify = (order, ack) => acks.push(ack);
+            });
+
+            function subscribe(notifyFn, options) {
+                connection.subscribeChannel('pizza', notifyFn, options, sinon.spy());
+                requests[requests.length - 1].callbacks.response({ statusCode: 200 });
+            }
+
+            function receive() {
+                let res = {
+                    statusCode: 0,
+                    end: sinon.spy(),
+                    setHeader: sinon.spy()
+                };
+
+                connection._handleMessage({ url: '/spidymq/pizza', body: { size: 'large' } }, res);
+
+                return res;
+            }
+
+            it('should refuse an invalid maxConcurrent', function() {
+                should.throw(() => subscribe(notify, { maxConcurrent: 0 }), 'maxConcurrent must be a positive integer');
+            });
+
+            it('should not limit subscriptions without a maxConcurrent', function() {
+                subscribe(notify);
+
+                for( let i = 0; i < 20; i++ ) {
+                    receive().end.should.not.have.been.called;
+                }
+
+                acks.length.should.equal(20);
+            });
+
+            it('should hold messages beyond maxConcurrent in the queue', function() {
+                subscribe(notify, { maxConcurrent: 2, maxQueued: 1 });
+
+                let responses = [receive(), receive(), receive()];
+
+                acks.length.should.equal(2);
+
+                acks[0]();
+                responses[0].statusCode.should.equal(200);
+                acks.length.should.equal(3);
+
+                acks[1]();
+                acks[2]();
+                responses[1].statusCode.should.equal(200);
+                responses[2].statusCode.should.equal(200);
+            });
+
+            it('should ask SpidyMQ to back off once the queue is full', function() {
+                let onThrottled = sinon.spy();
+
+                connection.on('throttled', onThrottled);
+                subscribe(notify, { maxConcurrent: 1, retryAfter: 5 });
+                receive();
+
+                let res = receive();
+
+                res.statusCode.should.equal(429);
+                res.setHeader.should.have.been.calledWith('Retry-After', '5');
+                res.end.should.have.been.called;
+                acks.length.should.equal(1);
+                onThrottled.should.have.been.calledWith('pizza', { size: 'large' });
+            });
+
+            it('should take messages again once a slot frees up', function() {
+                subscribe(notify, { maxConcurrent: 1 });
+                receive();
+                acks[0]();
+
+                receive().statusCode.should.not.equal(429);
+                acks.length.should.equal(2);
+            });
+
+            it('should free the slot when the notify function fails', function() {
+                subscribe(sinon.stub().throws(new Error('Database down')), { maxConcurrent: 1 });
+
+                receive().statusCode.should.equal(503);
+                receive().statusCode.should.equal(503);
+            });
+
+            it('should drop queued messages that outlive the handler timeout', function() {
+                let clock = sinon.useFakeTimers(5000);
+                let onError = sinon.spy();
+
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    handlerTimeout: 1200
+                });
+                establishConnection();
+                connection.on('error', onError);
+
+                subscribe(notify, { maxConcurrent: 1, maxQueued: 1 });
+                let responses = [receive(), receive()];
+
+                clock.tick(1000);
+                responses[1].end.should.not.have.been.called;
+
+                // The first message times out, which frees its slot too late for the queued one
+                clock.tick(200);
+                responses[0].statusCode.should.equal(503);
+                responses[1].statusCode.should.equal(503);
+                onError.args[1][0].message.should.equal('Timed out waiting for a turn to handle the message');
+                acks.length.should.equal(1);
+
+                clock.restore();
+            });
+
+            it('should answer for queued messages once the handler timeout runs out', function() {
+                let clock = sinon.useFakeTimers(5000);
+                let store = { add: () => new Promise(() => {}), remove: () => Promise.resolve() };
+
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0,
+                    handlerTimeout: 1200
+                });
+                establishConnection();
+                connection.on('error', () => {});
+
+                // A store that never answers holds on to the slot
+                subscribe(notify, { maxConcurrent: 1, maxQueued: 1, dedupe: { key: () => 'large', store: store } });
+                receive();
+                clock.tick(500);
+                let res = receive();
+
+                clock.tick(1199);
+                res.end.should.not.have.been.called;
+
+                clock.tick(1);
+                res.statusCode.should.equal(503);
+                acks.length.should.equal(0);
+
+                clock.restore();
+            });
+
+            it('should refuse the message for every handler when one of them is full', function() {
+                let other = sinon.spy();
+
+                subscribe(notify, { maxConcurrent: 1 });
+                connection.subscribeChannel('pizza', other, sinon.spy());
+                receive();
+
+                receive().statusCode.should.equal(429);
+                other.should.have.been.calledOnce;
+            });
+        });
+
+        describe('de-duplication', function() {
+            let notify;
+
+            beforeEach(function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://localhost:3001/',
+                    heartbeatInterval: 0
+                });
+                establishConnection();
+                requests = [];
+
+                notify = sinon.spy();
+            });
+
+            function subscribe(notifyFn, dedupe) {
+                connection.subscribeChannel('pizza', notifyFn, { dedupe: dedupe }, sinon.spy());
+                requests[0].callbacks.response({ statusCode: 200 });
+            }
+
+            function receive(body) {
+                let res = {
+                    statusCode: 0,
+                    end: sinon.spy()
+                };
+
+                connection._handleMessage({ url: '/spidymq/pizza', body: body }, res);
+
+                return res;
+            }
+
+            function envelope(id, content) {
+                return { spidymq: 1, id: id, timestamp: 1000, producerId: 'oven', headers: {}, content: content };
+            }
+
+            it('should refuse a key that is not a function', function() {
+                should.throw(() => subscribe(notify, { key: 'id' }), 'The dedupe key must be a function');
+            });
+
+            it('should refuse incomplete stores', function() {
+                should.throw(() => subscribe(notify, { store: { add: () => true } }),
+                    'A dedupe store needs add and remove functions');
+            });
+
+            it('should acknowledge duplicates without notifying', function() {
+                let onDuplicate = sinon.spy();
+
+                connection.on('duplicate', onDuplicate);
+                subscribe(notify, true);
+
+                receive(envelope('abc', 'large')).statusCode.should.equal(200);
+                receive(envelope('abc', 'large')).statusCode.should.equal(200);
+                receive(envelope('def', 'small')).statusCode.should.equal(200);
+
+                notify.should.have.been.calledTwice;
+                onDuplicate.should.have.been.calledOnce;
+                onDuplicate.should.have.been.calledWith('pizza', 'large');
+            });
+
+            it('should not de-duplicate messages without an id', function() {
+                subscribe(notify, true);
+
+                receive({ size: 'large' });
+                receive({ size: 'large' });
+
+                notify.should.have.been.calledTwice;
+            });
+
+            it('should not de-duplicate without the option', function() {
+                subscribe(notify);
+
+                receive(envelope('abc', 'large'));
+                receive(envelope('abc', 'large'));
+
+                notify.should.have.been.calledTwice;
+            });
+
+            it('should use the key function', function() {
+                subscribe(notify, { key: (message) => message.content.orderId });
+
+                receive({ orderId: 1 });
+                receive({ orderId: 1, retried: true });
+                receive({ orderId: 2 });
+
+                notify.should.have.been.calledTwice;
+            });
+
+            it('should process a message again after it failed', function() {
+                let notify = sinon.stub();
+                notify.onFirstCall().throws(new Error('Database down'));
+
+                subscribe(notify, true);
+
+                receive(envelope('abc', 'large')).statusCode.should.equal(503);
+                receive(envelope('abc', 'large')).statusCode.should.equal(200);
+
+                notify.should.have.been.calledTwice;
+            });
+
+            it('should use the store given, keyed by channel', function() {
+                let store = {
+                    add: sinon.spy(() => Promise.resolve(false)),
+                    remove: sinon.spy()
+                };
+
+                subscribe(notify, { store: store, ttl: 5000 });
+                let res = receive(envelope('abc', 'large'));
+
+                store.add.should.have.been.calledWith('pizza:abc', 5000);
+
+                return Promise.resolve().then(() => {
+                    res.statusCode.should.equal(200);
+                    notify.should.not.have.been.called;
+                });
+            });
+
+            it('should hold keys for the handler timeout until the message is processed', function() {
+                let store = {
+                    add: sinon.spy((key, ttl, done) => done(null, true)),
+                    remove: sinon.spy((key, done) => done())
+                };
+                let clock = sinon.useFakeTimers(5000);
+                let ack;
+
+                subscribe((order, done) => {
+                    ack = done;
+                }, { store: store, ttl: 3600000 });
+                let res = receive(envelope('abc', 'large'));
+
+                store.add.should.have.been.calledOnce;
+                store.add.should.have.been.calledWith('pizza:abc', 30000);
+
+                ack();
+
+                store.remove.should.have.been.calledWith('pizza:abc');
+                store.add.should.have.been.calledTwice;
+                store.add.args[1].slice(0, 2).should.deep.equal(['pizza:abc', 3600000]);
+                store.remove.should.have.been.calledBefore(store.add.secondCall);
+                res.statusCode.should.equal(200);
+
+                clock.restore();
+            });
+
+            it('should refuse the message when the store fails', function() {
+                let store = {
+                    add: (key, ttl, done) => done(new Error('Redis down')),
+                    remove: (key, done) => done()
+                };
+
+                subscribe(notify, { store: store });
+
+                receive(envelope('abc', 'large')).statusCode.should.equal(503);
+                notify.should.not.have.been.called;
+            });
+        });
+
+        describe('standalone listener', function() {
+            const http = require('http');
+
+            // Waits for the listener to bind and ask after the server's health
+            function connect(done) {
+                connection.connect(done);
+
+                return new Promise((resolve) => {
+                    let check = () => requests.length > 0 ? resolve() : setTimeout(check, 1);
+                    check();
+                });
+            }
+
+            function post(path) {
+                return new Promise((resolve, reject) => {
+                    http.request({
+                        host: '127.0.0.1',
+                        port: connection.server.address().port,
+                        method: 'POST',
+                        path: path
+                    }, resolve).on('error', reject).end();
+                });
+            }
+
+            beforeEach(function() {
+                requests = [];
+                connection = new Connection('http://localhost:3000/', {
+                    listen: { port: 0, host: '127.0.0.1' },
+                    heartbeatInterval: 0
+                });
+            });
+
+            afterEach(function() {
+                if( connection.server ) {
+                    connection.server.close();
+                }
+            });
+
+            it('should not be producer-only', function() {
+                connection.isProducerOnly().should.be.false;
+                connection.router.should.exist;
+                should.not.exist(connection.server);
+            });
+
+            it('should start listening when connecting', function() {
+                let done = sinon.spy();
+
+                return connect(done).then(() => {
+                    connection.server.address().port.should.be.above(0);
+                    requests[0].callbacks.response({ statusCode: 200 });
+                    done.should.have.been.calledWith(null, true);
+                });
+            });
+
+            it('should derive the url messages are sent to from the bound address', function() {
+                return connect(sinon.spy()).then(() => {
+                    requests[0].callbacks.response({ statusCode: 200 });
+                    connection.subscribeChannel('pizza', sinon.spy(), sinon.spy());
+
+                    requests[1].options.body.notifyUrl.should.equal(
+                        'http://127.0.0.1:' + connection.server.address().port + '/spidymq/pizza');
+                });
+            });
+
+            it('should derive the url again when reconnecting on another port', function() {
+                let taken = http.createServer();
+                let port;
+
+                return connect(sinon.spy())
+                    .then(() => {
+                        requests[0].callbacks.response({ statusCode: 200 });
+                        port = connection.server.address().port;
+
+                        return connection.disconnect();
+                    })
+                    .then(() => {
+                        // Keep the old port so the listener can't get it back
+                        return new Promise((resolve) => taken.listen(port, '127.0.0.1', resolve));
+                    })
+                    .then(() => {
+                        requests = [];
+                        return connect(sinon.spy());
+                    })
+                    .then(() => {
+                        requests[0].callbacks.response({ statusCode: 200 });
+                        connection.subscribeChannel('pizza', sinon.spy(), sinon.spy());
+                        taken.close();
+
+                        connection.server.address().port.should.not.equal(port);
+                        requests[1].options.body.notifyUrl.should.equal(
+                            'http://127.0.0.1:' + connection.server.address().port + '/spidymq/pizza');
+                    });
+            });
+
+            it('should prefer the server url when one is given', function() {
+                connection = new Connection('http://localhost:3000/', {
+                    serverUrl: 'http://worker.internal/',
+                    listen: { port: 0, host: '127.0.0.1' },
+                    heartbeatInterval: 0
+                });
+
+                return connect(sinon.spy()).then(() => {
+                    requests[0].callbacks.response({ statusCode: 200 });
+                    connection.subscribeChannel('pizza', sinon.spy(), sinon.spy());
+
+                    requests[1].options.body.notifyUrl.should.equal('http://worker.internal/spidymq/pizza');
+                });
+            });
+
+            it('should serve the router', function() {
+                return connect(sinon.spy()).then(() => {
+                    connection.router = sinon.spy((req, res) => {
+                        res.statusCode = 200;
+                        res.end();
+                    });
+
+                    return post('/spidymq/pizza');
+                }).then((response) => {
+                    response.statusCode.should.equal(200);
+                    connection.router.args[0][0].url.should.equal('/spidymq/pizza');
+                });
+            });
+
+            it('should answer requests the router has no route for with a 404', function() {
+                return connect(sinon.spy()).then(() => {
+                    connection.router = (req, res, next) => next();
+
+                    return post('/elsewhere');
+                }).then((response) => {
+                    response.statusCode.should.equal(404);
+                });
+            });
+
+            it('should answer requests the router fails on with the status of the error', function() {
+                return connect(sinon.spy()).then(() => {
+                    connection.router = (req, res, next) => {
+                        let error = new Error('Unexpected token');
+                        error.status = 400;
+                        next(error);
+                    };
+
+                    return post('/spidymq/pizza');
+                }).then((response) => {
+                    response.statusCode.should.equal(400);
+                    connection.router = (req, res, next) => next(new Error('Oven on fire'));
+
+                    return post('/spidymq/pizza');
+                }).then((response) => {
+                    response.statusCode.should.equal(500);
+                });
+            });
+
+            it('should stop listening when the server is down', function() {
+                let done = sinon.spy();
+
+                return connect(done).then(() => {
+                    requests[0].callbacks.error(new Error('ECONNREFUSED'));
+
+                    should.not.exist(connection.server);
+                    connection.getState().should.equal('disconnected');
+                });
+            });
+
+            it('should fail to connect when the port is taken', function() {
+                let taken = http.createServer();
+
+                return new Promise((resolve) => taken.listen(0, '127.0.0.1', resolve)).then(() => {
+                    connection = new Connection('http://localhost:3000/', {
+                        listen: { port: taken.address().port, host: '127.0.0.1' },
+                        heartbeatInterval: 0
+                    });
+
+                    return connection.connect();
+                }).then(() => {
+                    throw new Error('Expected connecting to fail');
+                }, (error) => {
+                    error.message.should.equal('Unable to listen for messages');
+                    error.code.should.equal('EADDRINUSE');
+                    connection.getState().should.equal('disconnected');
+                    requests.length.should.equal(0);
+                }).then(() => taken.close(), (error) => {
+                    taken.close();
+                    throw error;
+                });
+            });
+
+            it('should close the server when disconnecting', function() {
+                let server;
+
+                return connect(sinon.spy()).then(() => {
+                    requests[0].callbacks.response({ statusCode: 200 });
+                    server = connection.server;
+
+                    return connection.disconnect();
+                }).then(() => {
+                    should.not.exist(connection.server);
+                    server.listening.should.be.false;
+                });
+            });
+        });
+
+        describe('#_handleMessage', function() {
+            let req;
+            let res;
+
+            beforeEach(function() {
+                req = {
+                    url: '/spidymq/test',
+                    body: {
+                        pizza: 'yum yum'
+                    }
+                };
+                res = {
+                    statusCode: 0,
+                    end: sinon.spy()
+                };
+
+                establishConnection();
+            });
+
+            function subscribe(notifyFn) {
+                connection.subscribeChannel('test', notifyFn, sinon.spy());
+                requestCallbacks.response({ statusCode: 200 });
+            }
+
+            it('should respond with a retryable status when not connected', function() {
+                let notify = sinon.spy();
+
+                subscribe(notify);
+                connection.disconnect();
+                connection._handleMessage(req, res);
+
+                res.statusCode.should.equal(503);
+                res.end.should.have.been.called;
+                notify.should.not.have.been.called;
+            });
+
+            it('should respond with a 400 for channels without a subscriber', function() {
+                connection._handleMessage(req, res);
+
+                res.statusCode.should.equal(400);
+                res.end.should.have.been.called;
+            });
+
+            it('should acknowledge once a synchronous notify function returns', function() {
+                subscribe(sinon.spy());
+                connection._handleMessage(req, res);
+
+                res.statusCode.should.equal(200);
+                res.end.should.have.been.called;
+            });
+
+            it('should respond with a retryable status when the notify function throws', function() {
+                subscribe(sinon.stub().throws(new Error('Database down')));
+                connection._handleMessage(req, res);
+
+                res.statusCode.should.equal(503);
+                res.end.should.have.been.called;
+            });
+
+            it('should wait for the ack callback', function() {
+                let ack;
+
+                subscribe((message, done) => { ack = done; });
+                connection._handleMessage(req, res);
+                res.end.should.not.have.been.called;
+
+                ack();
+
+                res.statusCode.should.equal(200);
+                res.end.should.have.been.calledOnce;
+            });
+
+            it('should respond with a retryable status when the ack callback reports an error', function() {
+                subscribe((message, done) => done(new Error('Nope')));
+                connection._handleMessage(req, res);
+
+                res.statusCode.should.equal(503);
+                res.end.should.have.been.calledOnce;
+            });
+
+            it('should acknowledge when the returned promise resolves', function() {
+                subscribe(() => Promise.resolve());
+                connection._handleMessage(req, res);
+                res.end.should.not.have.been.called;
+
+                return Promise.resolve().then(() => {
+                    res.statusCode.should.equal(200);
+                    res.end.should.have.been.calledOnce;
+                });
+            });
+
+            it('should respond with a retryable status when the returned promise rejects', function() {
+                subscribe(() => Promise.reject(new Error('Nope')));
+                connection._handleMessage(req, res);
+
+                return Promise.resolve().then(() => {
+                    res.statusCode.should.equal(503);
+                    res.end.should.have.been.calledOnce;
+                });
+            });
+
+            describe('when the notify function does not acknowledge in time', function() {
+                let clock;
+
+                beforeEach(function() {
+                    clock = sinon.useFakeTimers();
+                });
+
+                afterEach(function() {
+                    clock.restore();
+                });
+
+                it('should respond with a retryable status', function() {
+                    let ack;
+
+                    subscribe((message, done) => { ack = done; });
+                    connection._handleMessage(req, res);
+
+                    clock.tick(30000);
+
+                    res.statusCode.should.equal(503);
+                    res.end.should.have.been.calledOnce;
+
+                    ack();
+                    res.end.should.have.been.calledOnce;
+                });
+
+                it('should respect the configured handler timeout', function() {
+                    connection = new Connection('http://localhost:3000/', {
+                        serverUrl: 'http://localhost:3001/',
+                        handlerTimeout: 100
+                    });
+                    establishConnection();
+
+                    subscribe((message, done) => {});
+                    connection._handleMessage(req, res);
+
+                    clock.tick(99);
+                    res.end.should.not.have.been.called;
+
+                    clock.tick(1);
+                    res.statusCode.should.equal(503);
+                    res.end.should.have.been.calledOnce;
+                });
+            });
+        });
+
+        describe('events', function() {
+            let req;
+            let res;
+
+            beforeEach(function() {
+                req = {
+                    url: '/spidymq/test',
+                    body: {
+                        pizza: 'yum yum'
+                    }
+                };
+                res = {
+                    statusCode: 0,
+                    end: sinon.spy()
+                };
+            });
+
+            it('should emit connect and disconnect', function() {
+                let onConnect = sinon.spy();
+                let onDisconnect = sinon.spy();
+
+                connection.on('connect', onConnect);
+                connection.on('disconnect', onDisconnect);
+
+                establishConnection();
+                onConnect.should.have.been.calledOnce;
+
+                connection.disconnect();
+                onDisconnect.should.have.been.calledOnce;
+            });
+
+            it('should emit reconnecting and connect as heartbeats fail and recover', function() {
+                let clock = sinon.useFakeTimers();
+                let onConnect = sinon.spy();
+                let onReconnecting = sinon.spy();
+
+                establishConnection();
+                connection.on('connect', onConnect);
+                connection.on('reconnecting', onReconnecting);
+
+                clock.tick(10000);
+                requestCallbacks.error(new Error('ECONNREFUSED'));
+                clock.tick(10000);
+                requestCallbacks.error(new Error('ECONNREFUSED'));
+                clock.tick(10000);
+                requestCallbacks.error(new Error('ECONNREFUSED'));
+                clock.tick(10000);
+                requestCallbacks.response({ statusCode: 200 });
+                clock.restore();
+
+                onReconnecting.should.have.been.calledOnce;
+                onConnect.should.have.been.calledOnce;
+            });
+
+            it('should emit subscribed and unsubscribed', function() {
+                let onSubscribed = sinon.spy();
+                let onUnsubscribed = sinon.spy();
+
+                connection.on('subscribed', onSubscribed);
+                connection.on('unsubscribed', onUnsubscribed);
+                establishConnection();
+
+                connection.subscribeChannel('test', sinon.spy(), sinon.spy());
+                requestCallbacks.response({ statusCode: 200 });
+                onSubscribed.should.have.been.calledWith('test', true);
+
+                connection.unsubscribeChannel('test', sinon.spy());
+                requestCallbacks.response({ statusCode: 304 });
+                onUnsubscribed.should.have.been.calledWith('test', false);
+            });
+
+            it('should not emit subscribed when subscribing fails', function() {
+                let onSubscribed = sinon.spy();
+
+                connection.on('subscribed', onSubscribed);
+                establishConnection();
+
+                connection.subscribeChannel('test', sinon.spy(), sinon.spy());
+                requestCallbacks.response({ statusCode: 400 });
+
+                onSubscribed.should.not.have.been.called;
+            });
+
+            it('should emit publish', function() {
+                let onPublish = sinon.spy();
+                let content = { pizza: 'yum yum' };
+
+                connection.on('publish', onPublish);
+                establishConnection();
+
+                connection.publishMessage('test', content, sinon.spy());
+                requestCallbacks.response({ statusCode: 200 });
+
+                onPublish.should.have.been.calledWith('test', content, true);
+            });
+
+            it('should emit message', function() {
+                let onMessage = sinon.spy();
+
+                connection.on('message', onMessage);
+                establishConnection();
+                connection.subscribeChannel('test', sinon.spy(), sinon.spy());
+                requestCallbacks.response({ statusCode: 200 });
+
+                connection._handleMessage(req, res);
+
+                onMessage.should.have.been.calledWith('test', req.body);
+            });
+
+            it('should emit unknownChannel for channels without a subscriber', function() {
+                let onUnknownChannel = sinon.spy();
+
+                connection.on('unknownChannel', onUnknownChannel);
+                establishConnection();
+
+                connection._handleMessage(req, res);
+
+                onUnknownChannel.should.have.been.calledWith('test', req.body);
+                res.statusCode.should.equal(400);
+            });
+
+            it('should emit an error when a notify function fails', function() {
+                let onError = sinon.spy();
+                let error = new Error('Database down');
+
+                connection.on('error', onError);
+                establishConnection();
+                connection.subscribeChannel('test', sinon.stub().throws(error), sinon.spy());
+                requestCallbacks.response({ statusCode: 200 });
+
+                connection._handleMessage(req, res);
+
+                onError.should.have.been.calledWith(error);
+            });
+
+            it('should not throw errors nobody is listening for', function() {
+                establishConnection();
+                connection.subscribeChannel('test', sinon.stub().throws(new Error('Database down')), sinon.spy());
+                requestCallbacks.response({ statusCode: 200 });
+
+                connection._handleMessage(req, res);
+
+                res.statusCode.should.equal(503);
+            });
+        });
+
+        describe('when no callback is given', function() {
+            it('should resolve connect', function() {
+                let promise = connection.connect();
+                requestCallbacks.response({ statusCode: 200 });
+
+                return promise.then((result) => {
+                    result.should.be.true;
+                    connection.isConnected().should.be.true;
+                });
+            });
+
+            it('should reject connect when already connected', function() {
+                establishConnection();
+
+                return connection.connect().then(
+                    () => { throw new Error('Expected a rejection'); },
+                    (error) => error.message.should.equal('Connection already established')
+                );
+            });
+
+            it('should resolve disconnect', function() {
+                establishConnection();
+
+                return connection.disconnect().then((result) => {
+                    result.should.be.true;
+                    connection.isConnected().should.be.false;
+                });
+            });
+
+            it('should reject validation failures instead of throwing', function() {
+                establishConnection();
+
+                return connection.publishMessage('test', null).then(
+                    () => { throw new Error('Expected a rejection'); },
+                    (error) => error.message.should.equal('Cannot publish null or undefined content')
+                );
+            });
+
+            it('should reject when not connected', function() {
+                return connection.createChannel('test').then(
+                    () => { throw new Error('Expected a rejection'); },
+                    (error) => error.message.should.equal('Connection not established')
+                );
+            });
+
+            it('should resolve with the server outcome', function() {
+                establishConnection();
+
+                let promise = connection.createChannel('test', { type: 'broadcast' });
+                requestCallbacks.response({ statusCode: 304 });
+
+                return promise.then((result) => result.should.be.false);
+            });
+
+            it('should reject server failures', function() {
+                establishConnection();
+
+                let promise = connection.subscribeChannel('test', sinon.spy());
+                requestCallbacks.response({ statusCode: 500 });
+
+                return promise.then(
+                    () => { throw new Error('Expected a rejection'); },
+                    (error) => error.message.should.equal('Server error')
+                );
+            });
+
+            it('should reject request errors', function() {
+                establishConnection();
+
+                let promise = connection.unsubscribeChannel('test');
+                requestCallbacks.error(new Error('ECONNREFUSED'));
+
+                return promise.then(
+                    () => { throw new Error('Expected a rejection'); },
+                    (error) => error.message.should.equal('Unable to unsubscribe from channel')
+                );
+            });
+        });
     });
 });
\ No newline at end of file
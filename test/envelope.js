@@ -0,0 +1,95 @@
+"use strict";
+
+const chai = require('chai');
+const sinon = require('sinon');
+const envelope = require('../lib/envelope');
+
+const should = chai.should();
+
+describe('envelope', function() {
+    describe('#wrap', function() {
+        let clock;
+
+        beforeEach(function() {
+            clock = sinon.useFakeTimers(1460000000000);
+        });
+
+        afterEach(function() {
+            clock.restore();
+        });
+
+        it('should wrap content with an id, timestamp, producer id and headers', function() {
+            let wrapped = envelope.wrap({ pizza: 'yum yum' }, {
+                producerId: 'pizzeria',
+                headers: { crust: 'thin' }
+            });
+
+            wrapped.spidymq.should.equal(envelope.VERSION);
+            wrapped.id.should.match(/^[0-9a-f]{32}$/);
+            wrapped.timestamp.should.equal(1460000000000);
+            wrapped.producerId.should.equal('pizzeria');
+            wrapped.headers.should.deep.equal({ crust: 'thin' });
+            wrapped.content.should.deep.equal({ pizza: 'yum yum' });
+        });
+
+        it('should not share headers with the caller', function() {
+            let headers = { crust: 'thin' };
+            let wrapped = envelope.wrap('pizza', { headers: headers });
+
+            wrapped.headers.size = 'large';
+            headers.should.deep.equal({ crust: 'thin' });
+        });
+
+        it('should generate unique ids', function() {
+            envelope.wrap('pizza').id.should.not.equal(envelope.wrap('pizza').id);
+        });
+    });
+
+    describe('#isEnvelope', function() {
+        it('should recognize envelopes', function() {
+            envelope.isEnvelope(envelope.wrap('pizza')).should.be.true;
+        });
+
+        it('should not mistake raw payloads for envelopes', function() {
+            envelope.isEnvelope({ pizza: 'yum yum' }).should.be.false;
+            envelope.isEnvelope('pizza').should.be.false;
+            envelope.isEnvelope(null).should.be.false;
+        });
+    });
+
+    describe('#unwrap', function() {
+        it('should turn an envelope into a message', function() {
+            let wrapped = envelope.wrap('pizza', { producerId: 'pizzeria', headers: { crust: 'thin' } });
+            let message = envelope.unwrap(wrapped, 'orders');
+
+            message.should.be.an.instanceof(envelope.Message);
+            message.channel.should.equal('orders');
+            message.id.should.equal(wrapped.id);
+            message.timestamp.should.equal(wrapped.timestamp);
+            message.producerId.should.equal('pizzeria');
+            message.headers.should.deep.equal({ crust: 'thin' });
+            message.content.should.equal('pizza');
+        });
+
+        it('should turn a raw payload into a message without metadata', function() {
+            let message = envelope.unwrap({ pizza: 'yum yum' }, 'orders');
+
+            message.channel.should.equal('orders');
+            should.equal(message.id, null);
+            should.equal(message.timestamp, null);
+            should.equal(message.producerId, null);
+            message.headers.should.deep.equal({});
+            message.content.should.deep.equal({ pizza: 'yum yum' });
+        });
+    });
+
+    describe('#contentOf', function() {
+        it('should return the content of an envelope', function() {
+            envelope.contentOf(envelope.wrap('pizza')).should.equal('pizza');
+        });
+
+        it('should return raw payloads as they are', function() {
+            envelope.contentOf('pizza').should.equal('pizza');
+        });
+    });
+});
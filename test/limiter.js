@@ -0,0 +1,81 @@
+"use strict";
+
+const chai = require('chai');
+const Limiter = require('../lib/limiter');
+
+const should = chai.should();
+
+describe('Limiter', function() {
+    function hold(releases) {
+        return (release) => releases.push(release);
+    }
+
+    it('should require a positive integer maxConcurrent', function() {
+        should.throw(() => new Limiter({}), 'maxConcurrent must be a positive integer');
+        should.throw(() => new Limiter({ maxConcurrent: 0 }), 'maxConcurrent must be a positive integer');
+        should.throw(() => new Limiter({ maxConcurrent: 1.5 }), 'maxConcurrent must be a positive integer');
+    });
+
+    it('should refuse a negative maxQueued', function() {
+        should.throw(() => new Limiter({ maxConcurrent: 1, maxQueued: -1 }), 'maxQueued must be a positive integer or 0');
+    });
+
+    it('should run tasks up to the limit straight away', function() {
+        let limiter = new Limiter({ maxConcurrent: 2 });
+        let releases = [];
+
+        limiter.run(hold(releases)).should.be.true;
+        limiter.run(hold(releases)).should.be.true;
+
+        releases.length.should.equal(2);
+        limiter.running().should.equal(2);
+        limiter.isFull().should.be.true;
+    });
+
+    it('should turn tasks away once full', function() {
+        let limiter = new Limiter({ maxConcurrent: 1 });
+        let releases = [];
+
+        limiter.run(hold(releases));
+
+        limiter.run(hold(releases)).should.be.false;
+        releases.length.should.equal(1);
+    });
+
+    it('should queue tasks and start them in order as slots free up', function() {
+        let limiter = new Limiter({ maxConcurrent: 1, maxQueued: 2 });
+        let order = [];
+        let releases = [];
+        let task = (name) => (release) => {
+            order.push(name);
+            releases.push(release);
+        };
+
+        limiter.run(task('first'));
+        limiter.run(task('second'));
+        limiter.run(task('third'));
+
+        limiter.queued().should.equal(2);
+        limiter.isFull().should.be.true;
+        limiter.run(task('fourth')).should.be.false;
+
+        releases[0]();
+        order.should.deep.equal(['first', 'second']);
+        limiter.queued().should.equal(1);
+        limiter.isFull().should.be.false;
+
+        releases[1]();
+        order.should.deep.equal(['first', 'second', 'third']);
+    });
+
+    it('should ignore releasing a slot twice', function() {
+        let limiter = new Limiter({ maxConcurrent: 1 });
+        let releases = [];
+
+        limiter.run(hold(releases));
+        releases[0]();
+        releases[0]();
+
+        limiter.running().should.equal(0);
+    });
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const MemoryStore = require('../lib/memory-store');
+
+chai.should();
+chai.use(sinonChai);
+
+describe('MemoryStore', function() {
+    let clock;
+    let store;
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers();
+        store = new MemoryStore();
+    });
+
+    afterEach(function() {
+        clock.restore();
+    });
+
+    it('should add keys it has not seen', function() {
+        let done = sinon.spy();
+
+        store.add('abc', 1000, done);
+
+        done.should.have.been.calledWith(null, true);
+        store.size().should.equal(1);
+    });
+
+    it('should refuse keys it already holds', function() {
+        let done = sinon.spy();
+
+        store.add('abc', 1000, sinon.spy());
+        store.add('abc', 1000, done);
+
+        done.should.have.been.calledWith(null, false);
+    });
+
+    it('should forget keys once they expire', function() {
+        let done = sinon.spy();
+
+        store.add('abc', 1000, sinon.spy());
+        clock.tick(1000);
+        store.add('abc', 1000, done);
+
+        done.should.have.been.calledWith(null, true);
+    });
+
+    it('should clear out expired keys', function() {
+        store.add('abc', 1000, sinon.spy());
+        store.add('def', 1000, sinon.spy());
+        clock.tick(500);
+        store.add('ghi', 1000, sinon.spy());
+        clock.tick(500);
+        store.add('jkl', 1000, sinon.spy());
+
+        store.size().should.equal(2);
+    });
+
+    it('should remove keys', function() {
+        let done = sinon.spy();
+
+        store.add('abc', 1000, sinon.spy());
+        store.remove('abc', sinon.spy());
+        store.add('abc', 1000, done);
+
+        done.should.have.been.calledWith(null, true);
+    });
+});
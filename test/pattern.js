@@ -0,0 +1,47 @@
+"use strict";
+
+const chai = require('chai');
+const pattern = require('../lib/pattern');
+
+chai.should();
+
+describe('pattern', function() {
+    describe('#isPattern', function() {
+        it('should spot wildcard segments', function() {
+            pattern.isPattern('orders.*.created').should.be.true;
+            pattern.isPattern('orders.#').should.be.true;
+        });
+
+        it('should not mistake plain names for patterns', function() {
+            pattern.isPattern('orders.us.created').should.be.false;
+        });
+    });
+
+    describe('#matches', function() {
+        it('should match a name without wildcards only to itself', function() {
+            pattern.matches('orders.us', 'orders.us').should.be.true;
+            pattern.matches('orders.us', 'orders.eu').should.be.false;
+        });
+
+        it('should match exactly one segment with *', function() {
+            pattern.matches('orders.*.created', 'orders.us.created').should.be.true;
+            pattern.matches('orders.*.created', 'orders.created').should.be.false;
+            pattern.matches('orders.*.created', 'orders.us.east.created').should.be.false;
+        });
+
+        it('should match any number of segments with #', function() {
+            pattern.matches('orders.#', 'orders').should.be.true;
+            pattern.matches('orders.#', 'orders.us').should.be.true;
+            pattern.matches('orders.#', 'orders.us.created').should.be.true;
+            pattern.matches('orders.#', 'refunds.us').should.be.false;
+        });
+
+        it('should match # in the middle and at the start of a pattern', function() {
+            pattern.matches('orders.#.created', 'orders.created').should.be.true;
+            pattern.matches('orders.#.created', 'orders.us.east.created').should.be.true;
+            pattern.matches('orders.#.created', 'orders.us.deleted').should.be.false;
+            pattern.matches('#.created', 'orders.us.created').should.be.true;
+            pattern.matches('#', 'anything.at.all').should.be.true;
+        });
+    });
+});
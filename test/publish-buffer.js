@@ -0,0 +1,129 @@
+"use strict";
+
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PublishBuffer = require('../lib/publish-buffer');
+
+const should = chai.should();
+
+describe('PublishBuffer', function() {
+    function message(content) {
+        return { channel: 'test', content: content };
+    }
+
+    it('should reject unknown overflow policies', function() {
+        should.throw(() => new PublishBuffer({ overflow: 'drop-everything' }));
+    });
+
+    it('should hold messages in order', function() {
+        let buffer = new PublishBuffer();
+        let first = message(1);
+        let second = message(2);
+
+        buffer.isEmpty().should.be.true;
+        buffer.push(first);
+        buffer.push(second);
+
+        buffer.size().should.equal(2);
+        buffer.peek().should.equal(first);
+
+        buffer.remove(first).should.be.true;
+        buffer.peek().should.equal(second);
+    });
+
+    it('should report messages that are no longer held', function() {
+        let buffer = new PublishBuffer();
+
+        buffer.remove(message(1)).should.be.false;
+    });
+
+    describe('when full', function() {
+        it('should drop the oldest message by default', function() {
+            let buffer = new PublishBuffer({ limit: 2 });
+            let first = message(1);
+
+            buffer.push(first);
+            buffer.push(message(2));
+
+            buffer.push(message(3)).should.equal(first);
+            buffer.size().should.equal(2);
+            buffer.peek().content.should.equal(2);
+        });
+
+        it('should drop the newest message if asked', function() {
+            let buffer = new PublishBuffer({ limit: 1, overflow: 'drop-newest' });
+            let second = message(2);
+
+            buffer.push(message(1));
+
+            buffer.push(second).should.equal(second);
+            buffer.size().should.equal(1);
+            buffer.peek().content.should.equal(1);
+        });
+
+        it('should reject the message if asked', function() {
+            let buffer = new PublishBuffer({ limit: 1, overflow: 'reject' });
+
+            buffer.push(message(1));
+
+            should.throw(() => buffer.push(message(2)), 'Publish buffer is full');
+            buffer.size().should.equal(1);
+        });
+    });
+
+    describe('with a spool', function() {
+        let spoolPath;
+
+        beforeEach(function() {
+            spoolPath = path.join(os.tmpdir(), 'spidymq-buffer-' + process.pid + '-' + Date.now() + '.log');
+        });
+
+        afterEach(function() {
+            try {
+                fs.unlinkSync(spoolPath);
+            }
+            catch( error ) {
+                // The test never wrote to the spool
+            }
+        });
+
+        it('should restore messages that were never removed', function() {
+            let buffer = new PublishBuffer({ spoolPath: spoolPath });
+            let first = message(1);
+
+            buffer.push(first);
+            buffer.push(message(2));
+            buffer.push(message(3));
+            buffer.remove(first);
+
+            let restored = new PublishBuffer({ spoolPath: spoolPath });
+
+            restored.size().should.equal(2);
+            restored.peek().content.should.equal(2);
+        });
+
+        it('should not reuse the ids of restored messages', function() {
+            let buffer = new PublishBuffer({ spoolPath: spoolPath });
+
+            buffer.push(message(1));
+
+            let restored = new PublishBuffer({ spoolPath: spoolPath });
+            let second = message(2);
+
+            restored.push(second);
+            second.id.should.not.equal(restored.peek().id);
+        });
+
+        it('should empty the spool once everything is removed', function() {
+            let buffer = new PublishBuffer({ spoolPath: spoolPath });
+            let first = message(1);
+
+            buffer.push(first);
+            buffer.remove(first);
+
+            fs.readFileSync(spoolPath, 'utf8').should.equal('');
+        });
+    });
+});
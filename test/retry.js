@@ -0,0 +1,162 @@
+"use strict";
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const retry = require('../lib/retry');
+
+chai.should();
+chai.use(sinonChai);
+
+describe('retry', function() {
+    describe('#createPolicy', function() {
+        it('should not retry by default', function() {
+            retry.createPolicy().maxAttempts.should.equal(1);
+        });
+
+        it('should override the base policy', function() {
+            let base = retry.createPolicy(null, { maxAttempts: 5, minDelay: 50 });
+            let policy = retry.createPolicy(base, { minDelay: 200 });
+
+            policy.maxAttempts.should.equal(5);
+            policy.minDelay.should.equal(200);
+            base.minDelay.should.equal(50);
+        });
+
+        it('should turn retries off when given false', function() {
+            let base = retry.createPolicy(null, { maxAttempts: 5 });
+
+            retry.createPolicy(base, false).maxAttempts.should.equal(1);
+        });
+    });
+
+    describe('#isRetryable', function() {
+        let policy;
+
+        beforeEach(function() {
+            policy = retry.createPolicy();
+        });
+
+        function errorWith(properties) {
+            return Object.assign(new Error('Failed'), properties);
+        }
+
+        it('should retry server errors', function() {
+            retry.isRetryable(policy, errorWith({ statusCode: 503 })).should.be.true;
+        });
+
+        it('should not retry status codes the policy does not list', function() {
+            retry.isRetryable(policy, errorWith({ statusCode: 501 })).should.be.false;
+        });
+
+        it('should never retry 400-class responses', function() {
+            policy = retry.createPolicy(null, { retryableStatusCodes: [400, 429] });
+
+            retry.isRetryable(policy, errorWith({ statusCode: 400 })).should.be.false;
+            retry.isRetryable(policy, errorWith({ statusCode: 429 })).should.be.false;
+        });
+
+        it('should retry request errors with a retryable code', function() {
+            retry.isRetryable(policy, errorWith({ code: 'ECONNRESET' })).should.be.true;
+        });
+
+        it('should not retry other request errors', function() {
+            retry.isRetryable(policy, errorWith({ code: 'ENOTFOUND' })).should.be.false;
+            retry.isRetryable(policy, errorWith({})).should.be.false;
+        });
+    });
+
+    describe('#backoffDelay', function() {
+        let policy;
+
+        beforeEach(function() {
+            policy = retry.createPolicy(null, { minDelay: 100, maxDelay: 1000, factor: 2, jitter: 0.5 });
+            sinon.stub(Math, 'random');
+        });
+
+        afterEach(function() {
+            Math.random.restore();
+        });
+
+        it('should grow exponentially', function() {
+            Math.random.returns(0);
+
+            retry.backoffDelay(policy, 2).should.equal(100);
+            retry.backoffDelay(policy, 3).should.equal(200);
+            retry.backoffDelay(policy, 4).should.equal(400);
+        });
+
+        it('should not exceed the maximum delay', function() {
+            Math.random.returns(0);
+
+            retry.backoffDelay(policy, 10).should.equal(1000);
+        });
+
+        it('should randomize part of the delay', function() {
+            Math.random.returns(1);
+
+            retry.backoffDelay(policy, 3).should.equal(100);
+        });
+    });
+
+    describe('#withRetry', function() {
+        let clock;
+        let policy;
+
+        beforeEach(function() {
+            clock = sinon.useFakeTimers();
+            policy = retry.createPolicy(null, { maxAttempts: 3, minDelay: 100, jitter: 0 });
+        });
+
+        afterEach(function() {
+            clock.restore();
+        });
+
+        it('should report success straight away', function() {
+            let cb = sinon.spy();
+
+            retry.withRetry(policy, (done) => done(null, 'result'), cb);
+
+            cb.should.have.been.calledWith(null, 'result');
+        });
+
+        it('should retry until the operation succeeds', function() {
+            let cb = sinon.spy();
+            let operation = sinon.stub();
+
+            operation.onFirstCall().yields(Object.assign(new Error('Server error'), { statusCode: 500 }));
+            operation.onSecondCall().yields(null, true);
+
+            retry.withRetry(policy, operation, cb);
+            cb.should.not.have.been.called;
+
+            clock.tick(100);
+
+            operation.should.have.been.calledTwice;
+            cb.should.have.been.calledWith(null, true);
+        });
+
+        it('should give up after the maximum attempts', function() {
+            let cb = sinon.spy();
+            let operation = sinon.stub().yields(Object.assign(new Error('Server error'), { statusCode: 500 }));
+
+            retry.withRetry(policy, operation, cb);
+            clock.tick(10000);
+
+            operation.should.have.been.calledThrice;
+            cb.should.have.been.calledOnce;
+            cb.args[0][0].attempts.should.equal(3);
+        });
+
+        it('should not retry errors that are not retryable', function() {
+            let cb = sinon.spy();
+            let operation = sinon.stub().yields(Object.assign(new Error('Bad request'), { statusCode: 400 }));
+
+            retry.withRetry(policy, operation, cb);
+            clock.tick(10000);
+
+            operation.should.have.been.calledOnce;
+            cb.args[0][0].attempts.should.equal(1);
+        });
+    });
+});
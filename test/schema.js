@@ -0,0 +1,102 @@
+"use strict";
+
+const chai = require('chai');
+const schema = require('../lib/schema');
+
+chai.should();
+
+describe('schema', function() {
+    describe('#validate', function() {
+        let pizza = {
+            type: 'object',
+            required: ['size', 'toppings'],
+            additionalProperties: false,
+            properties: {
+                size: { enum: ['small', 'medium', 'large'] },
+                toppings: {
+                    type: 'array',
+                    maxItems: 3,
+                    items: { type: 'string', minLength: 1 }
+                },
+                slices: { type: 'integer', minimum: 4, maximum: 12 },
+                note: { type: ['string', 'null'], pattern: '^[a-z ]*$' }
+            }
+        };
+
+        it('should accept valid values', function() {
+            schema.validate(pizza, {
+                size: 'large',
+                toppings: ['cheese'],
+                slices: 8,
+                note: null
+            }).should.deep.equal([]);
+        });
+
+        it('should report the path of every failure', function() {
+            schema.validate(pizza, {
+                size: 'huge',
+                toppings: ['cheese', ''],
+                slices: 2.5,
+                crust: 'thin'
+            }).should.deep.equal([
+                { path: '$.size', message: 'must be one of "small", "medium", "large"' },
+                { path: '$.toppings[1]', message: 'must be at least 1 characters long' },
+                { path: '$.slices', message: 'must be of type integer' },
+                { path: '$.crust', message: 'is not allowed' }
+            ]);
+        });
+
+        it('should report missing properties', function() {
+            schema.validate(pizza, { size: 'small' }).should.deep.equal([
+                { path: '$.toppings', message: 'is required' }
+            ]);
+        });
+
+        it('should check the type of the value itself', function() {
+            schema.validate(pizza, 'pizza').should.deep.equal([
+                { path: '$', message: 'must be of type object' }
+            ]);
+        });
+
+        it('should treat integers as numbers', function() {
+            schema.validate({ type: 'number' }, 3).should.deep.equal([]);
+        });
+
+        it('should check limits and patterns', function() {
+            schema.validate(pizza, {
+                size: 'small',
+                toppings: ['a', 'b', 'c', 'd'],
+                slices: 16,
+                note: 'NO ONIONS'
+            }).map((error) => error.path).should.deep.equal(['$.toppings', '$.slices', '$.note']);
+        });
+
+        it('should check additional properties against a schema', function() {
+            schema.validate({ additionalProperties: { type: 'number' } }, { a: 1, b: 'two' }).should.deep.equal([
+                { path: '$.b', message: 'must be of type number' }
+            ]);
+        });
+
+        it('should support const and anyOf', function() {
+            schema.validate({ const: 'pizza' }, 'pasta')[0].message.should.equal('must equal "pizza"');
+            schema.validate({ anyOf: [{ type: 'string' }, { type: 'number' }] }, 1).should.deep.equal([]);
+            schema.validate({ anyOf: [{ type: 'string' }, { type: 'number' }] }, true).length.should.equal(1);
+        });
+    });
+
+    describe('ValidationError', function() {
+        it('should list the failing paths in its message', function() {
+            let error = new schema.ValidationError('pizza', [
+                { path: '$.size', message: 'is required' },
+                { path: '$.toppings', message: 'must be of type array' }
+            ]);
+
+            error.should.be.an.instanceof(Error);
+            error.name.should.equal('ValidationError');
+            error.code.should.equal('EVALIDATION');
+            error.channel.should.equal('pizza');
+            error.errors.length.should.equal(2);
+            error.message.should.equal('Invalid content for channel pizza: $.size is required, $.toppings must be of type array');
+        });
+    });
+});
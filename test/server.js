@@ -0,0 +1,359 @@
+"use strict";
+
+const chai = require('chai');
+const http = require('http');
+const mockery = require('mockery');
+
+const should = chai.should();
+
+describe('Server', function() {
+    let Server;
+    let Connection;
+    let server;
+    let baseUrl;
+    let connections;
+
+    // The connection tests leave a copy of the connection wired to their mocks in the module cache, so these tests
+    // load everything afresh
+    before(function() {
+        mockery.disable();
+        mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+
+        Server = require('../lib/server');
+        Connection = require('../lib/connection');
+    });
+
+    after(function() {
+        mockery.disable();
+        mockery.enable();
+    });
+
+    beforeEach(function(done) {
+        connections = [];
+        server = new Server({ retryDelay: 10 });
+        server.listen((error, url) => {
+            baseUrl = url;
+            done(error);
+        });
+    });
+
+    afterEach(function(done) {
+        Promise.all(connections.map((connection) => connection.disconnect().catch(() => null))).then(() => {
+            server.close(done);
+        });
+    });
+
+    // Connects a consumer that runs its own listener
+    function connect(config) {
+        let connection = new Connection(baseUrl, Object.assign({
+            listen: { port: 0, host: '127.0.0.1' },
+            heartbeatInterval: 0
+        }, config));
+
+        connections.push(connection);
+
+        return connection.connect().then(() => connection);
+    }
+
+    // Resolves with the next `count` messages a notify function receives
+    function collect(count) {
+        let received = [];
+        let notify;
+        let all = new Promise((resolve) => {
+            notify = (message) => {
+                received.push(message);
+
+                if( received.length === count ) {
+                    resolve(received);
+                }
+            };
+        });
+
+        return { notify: notify, all: all };
+    }
+
+    // Sends a request with a JSON body, or with the body as it is when `raw` is set
+    function send(method, path, body, raw) {
+        return new Promise((resolve, reject) => {
+            let address = server.server.address();
+            let req = http.request({
+                host: address.address,
+                port: address.port,
+                method: method,
+                path: path,
+                headers: { 'content-type': 'application/json' }
+            }, (res) => {
+                let chunks = [];
+
+                res.on('data', (chunk) => chunks.push(chunk));
+                res.on('end', () => resolve({ statusCode: res.statusCode, body: Buffer.concat(chunks).toString() }));
+            });
+
+            req.on('error', reject);
+            req.end(body === undefined || raw ? body : JSON.stringify(body));
+        });
+    }
+
+    it('should listen on a free port', function() {
+        baseUrl.should.match(/^http:\/\/127\.0\.0\.1:\d+$/);
+        server.url().should.equal(baseUrl);
+    });
+
+    it('should answer health checks with its instance', function() {
+        return connect().then((connection) => {
+            connection.isConnected().should.be.true;
+        });
+    });
+
+    it('should create channels once', function() {
+        return connect().then((connection) => {
+            return connection.createChannel('pizza', { type: 'broadcast' })
+                .then((result) => {
+                    result.should.be.true;
+                    return connection.createChannel('pizza', { type: 'broadcast' });
+                })
+                .then((result) => {
+                    result.should.be.false;
+                    return connection.createChannel('pizza', { type: 'round-robin' });
+                })
+                .then(() => {
+                    throw new Error('Expected a different type to be refused');
+                }, (error) => {
+                    error.statusCode.should.equal(400);
+                });
+        });
+    });
+
+    it('should list, describe and delete channels', function() {
+        return connect().then((connection) => {
+            return connection.createChannel('pizza', {})
+                .then(() => connection.listChannels())
+                .then((channels) => {
+                    channels.should.deep.equal([{ name: 'pizza', type: 'round-robin', subscribers: 0 }]);
+                    return connection.getChannel('pizza');
+                })
+                .then((channel) => {
+                    channel.type.should.equal('round-robin');
+                    return connection.deleteChannel('pizza');
+                })
+                .then(() => connection.getChannel('pizza'))
+                .then(() => {
+                    throw new Error('Expected the channel to be gone');
+                }, (error) => {
+                    error.statusCode.should.equal(404);
+                });
+        });
+    });
+
+    it('should refuse messages for channels that do not exist', function() {
+        return connect().then((connection) => connection.publishMessage('pizza', { size: 'large' })).then(() => {
+            throw new Error('Expected the message to be refused');
+        }, (error) => {
+            error.statusCode.should.equal(400);
+        });
+    });
+
+    it('should answer unknown paths with a 404', function() {
+        return send('GET', '/pizza').then((response) => {
+            response.statusCode.should.equal(404);
+        });
+    });
+
+    it('should answer bodies it cannot parse with their status', function() {
+        return Promise.all([
+            send('POST', '/message', '{bad', true),
+            send('POST', '/message', JSON.stringify({ channel: 'pizza', content: 'x'.repeat(1100000) }), true)
+        ]).then((responses) => {
+            responses.map((response) => response.statusCode).should.deep.equal([400, 413]);
+        });
+    });
+
+    it('should deliver messages to subscribers', function() {
+        let messages = collect(2);
+
+        return connect().then((connection) => {
+            return connection.createChannel('pizza', {})
+                .then(() => connection.subscribeChannel('pizza', messages.notify))
+                .then(() => connection.publishMessage('pizza', { size: 'large' }))
+                .then(() => connection.publishMessages('pizza', [{ size: 'small' }]))
+                .then(() => messages.all);
+        }).then((received) => {
+            received.should.deep.equal([{ size: 'large' }, { size: 'small' }]);
+        });
+    });
+
+    it('should take batches of messages', function() {
+        let messages = collect(3);
+
+        return connect({ batchEndpoint: true }).then((connection) => {
+            return connection.createChannel('pizza', {})
+                .then(() => connection.subscribeChannel('pizza', messages.notify))
+                .then(() => connection.publishMessages('pizza', [1, 2, 3]))
+                .then(() => messages.all);
+        }).then((received) => {
+            received.should.deep.equal([1, 2, 3]);
+        });
+    });
+
+    it('should deliver messages using other codecs', function() {
+        let messages = collect(1);
+
+        return connect({ channelCodecs: { pizza: 'gzip-json' } }).then((connection) => {
+            return connection.createChannel('pizza', {})
+                .then(() => connection.subscribeChannel('pizza', messages.notify))
+                .then(() => connection.publishMessage('pizza', { size: 'large' }))
+                .then(() => messages.all);
+        }).then((received) => {
+            received.should.deep.equal([{ size: 'large' }]);
+        });
+    });
+
+    it('should hold messages until someone subscribes', function() {
+        let messages = collect(1);
+
+        return connect().then((connection) => {
+            return connection.createChannel('pizza', {})
+                .then(() => connection.publishMessage('pizza', 'waiting'))
+                .then(() => connection.subscribeChannel('pizza', messages.notify))
+                .then(() => messages.all);
+        }).then((received) => {
+            received.should.deep.equal(['waiting']);
+        });
+    });
+
+    it('should take turns on round-robin channels', function() {
+        let messages = collect(4);
+        let first = [];
+        let second = [];
+
+        return Promise.all([connect(), connect()]).then((pair) => {
+            return pair[0].createChannel('pizza', { type: 'round-robin' })
+                .then(() => pair[0].subscribeChannel('pizza', (message) => {
+                    first.push(message);
+                    messages.notify(message);
+                }))
+                .then(() => pair[1].subscribeChannel('pizza', (message) => {
+                    second.push(message);
+                    messages.notify(message);
+                }))
+                .then(() => pair[0].publishMessages('pizza', [1, 2, 3, 4]))
+                .then(() => messages.all);
+        }).then(() => {
+            first.length.should.equal(2);
+            second.length.should.equal(2);
+        });
+    });
+
+    it('should hand every message to every subscriber of broadcast channels', function() {
+        let first = collect(2);
+        let second = collect(2);
+
+        return Promise.all([connect(), connect()]).then((pair) => {
+            return pair[0].createChannel('pizza', { type: 'broadcast' })
+                .then(() => pair[0].subscribeChannel('pizza', first.notify))
+                .then(() => pair[1].subscribeChannel('pizza', second.notify))
+                .then(() => pair[0].publishMessages('pizza', [1, 2]))
+                .then(() => Promise.all([first.all, second.all]));
+        }).then((received) => {
+            received[0].should.deep.equal([1, 2]);
+            received[1].should.deep.equal([1, 2]);
+        });
+    });
+
+    it('should retry deliveries the subscriber fails on', function() {
+        let attempts = 0;
+        let delivered = new Promise((resolve) => server.once('delivered', resolve));
+
+        return connect().then((connection) => {
+            return connection.createChannel('pizza', {})
+                .then(() => connection.subscribeChannel('pizza', () => {
+                    attempts++;
+
+                    if( attempts < 3 ) {
+                        throw new Error('Oven cold');
+                    }
+                }))
+                .then(() => connection.publishMessage('pizza', 'large'))
+                .then(() => delivered);
+        }).then(() => {
+            attempts.should.equal(3);
+        });
+    });
+
+    it('should not retry deliveries that fail after it closed', function() {
+        let attempts = 0;
+        let failed;
+        let closed = new Promise((resolve) => {
+            failed = resolve;
+        });
+
+        return connect().then((connection) => {
+            return connection.createChannel('pizza', {})
+                .then(() => connection.subscribeChannel('pizza', () => {
+                    attempts++;
+                    server.close();
+                    setTimeout(failed, 50);
+
+                    throw new Error('Oven cold');
+                }))
+                .then(() => connection.publishMessage('pizza', 'large'))
+                .then(() => closed);
+        }).then(() => {
+            attempts.should.equal(1);
+            server._timers.should.deep.equal([]);
+        });
+    });
+
+    it('should give up on deliveries the subscriber refuses', function() {
+        let undelivered = new Promise((resolve) => server.once('undelivered', (channel, message, error) => {
+            resolve(error);
+        }));
+
+        return connect({ schemas: { pizza: { type: 'string' } } }).then((connection) => {
+            return connection.createChannel('pizza', {})
+                .then(() => connection.subscribeChannel('pizza', () => {}))
+                .then(() => {
+                    // Sneak an invalid message past the producer's own schema check
+                    return send('POST', '/message', { channel: 'pizza', content: 42 });
+                })
+                .then(() => undelivered);
+        }).then((error) => {
+            error.statusCode.should.equal(400);
+        });
+    });
+
+    it('should sign deliveries for subscribers with a signing key', function() {
+        let messages = collect(1);
+
+        return connect({ signingKeys: ['secret'] }).then((connection) => {
+            return connection.createChannel('pizza', {})
+                .then(() => connection.subscribeChannel('pizza', messages.notify))
+                .then(() => connection.publishMessage('pizza', 'large'))
+                .then(() => messages.all);
+        }).then((received) => {
+            received.should.deep.equal(['large']);
+        });
+    });
+
+    it('should carry requests and replies', function() {
+        return connect().then((connection) => {
+            return connection.createChannel('oven', {})
+                .then(() => connection.respond('oven', (order) => 'baked ' + order))
+                .then(() => connection.request('oven', 'pizza'));
+        }).then((reply) => {
+            reply.should.equal('baked pizza');
+        });
+    });
+
+    it('should stop pushing to subscribers that unsubscribed', function() {
+        return connect().then((connection) => {
+            return connection.createChannel('pizza', {})
+                .then(() => connection.subscribeChannel('pizza', () => {}))
+                .then(() => connection.unsubscribeChannel('pizza'))
+                .then(() => connection.getChannel('pizza'));
+        }).then((channel) => {
+            channel.subscribers.should.equal(0);
+            should.exist(server.server);
+        });
+    });
+});
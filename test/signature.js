@@ -0,0 +1,77 @@
+"use strict";
+
+const chai = require('chai');
+const crypto = require('crypto');
+const signature = require('../lib/signature');
+
+chai.should();
+
+describe('signature', function() {
+    let body = '{"pizza":"yum yum"}';
+
+    function headers(key, timestamp, channelName) {
+        let result = {};
+
+        result[signature.TIMESTAMP_HEADER] = String(timestamp);
+        result[signature.SIGNATURE_HEADER] = signature.sign(key, timestamp, channelName || 'pizza', body);
+
+        return result;
+    }
+
+    describe('#sign', function() {
+        it('should sign the timestamp, channel and body with HMAC-SHA256', function() {
+            let expected = crypto.createHmac('sha256', 'secret').update('1000.pizza.' + body).digest('hex');
+
+            signature.sign('secret', 1000, 'pizza', body).should.equal('sha256=' + expected);
+        });
+
+        it('should sign Buffers the same as strings', function() {
+            signature.sign('secret', 1000, 'pizza', new Buffer(body))
+                .should.equal(signature.sign('secret', 1000, 'pizza', body));
+        });
+    });
+
+    describe('#verify', function() {
+        it('should accept genuine deliveries', function() {
+            (signature.verify(['secret'], headers('secret', Date.now()), 'pizza', body, 1000) === null).should.be.true;
+        });
+
+        it('should accept deliveries signed with any active key', function() {
+            let signed = headers('old', Date.now());
+
+            (signature.verify(['new', 'old'], signed, 'pizza', body, 1000) === null).should.be.true;
+        });
+
+        it('should refuse unsigned deliveries', function() {
+            signature.verify(['secret'], {}, 'pizza', body, 1000).should.equal('Missing signature');
+        });
+
+        it('should refuse deliveries signed with another key', function() {
+            signature.verify(['secret'], headers('guess', Date.now()), 'pizza', body, 1000)
+                .should.equal('Invalid signature');
+        });
+
+        it('should refuse deliveries moved to another channel', function() {
+            signature.verify(['secret'], headers('secret', Date.now(), 'pasta'), 'pizza', body, 1000)
+                .should.equal('Invalid signature');
+        });
+
+        it('should refuse deliveries with a changed body', function() {
+            signature.verify(['secret'], headers('secret', Date.now()), 'pizza', '{"pizza":"yuck"}', 1000)
+                .should.equal('Invalid signature');
+        });
+
+        it('should refuse stale deliveries', function() {
+            signature.verify(['secret'], headers('secret', Date.now() - 5000), 'pizza', body, 1000)
+                .should.equal('Stale signature');
+        });
+
+        it('should refuse timestamps that are not numbers', function() {
+            let signed = headers('secret', Date.now());
+
+            signed[signature.TIMESTAMP_HEADER] = 'yesterday';
+
+            signature.verify(['secret'], signed, 'pizza', body, 1000).should.equal('Stale signature');
+        });
+    });
+});
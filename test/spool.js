@@ -0,0 +1,82 @@
+"use strict";
+
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Spool = require('../lib/spool');
+
+const should = chai.should();
+
+describe('Spool', function() {
+    let spoolPath;
+    let spool;
+
+    beforeEach(function() {
+        spoolPath = path.join(os.tmpdir(), 'spidymq-spool-' + process.pid + '-' + Date.now() + '.log');
+        spool = new Spool(spoolPath);
+    });
+
+    afterEach(function() {
+        try {
+            fs.unlinkSync(spoolPath);
+        }
+        catch( error ) {
+            // The test never wrote to the spool
+        }
+    });
+
+    it('should require a file path', function() {
+        should.throw(() => new Spool());
+    });
+
+    it('should load nothing when the file does not exist', function() {
+        spool.load().should.deep.equal([]);
+    });
+
+    it('should load appended messages in order', function() {
+        spool.append({ id: 1, channel: 'test', content: { slice: 1 }, done: function() {} });
+        spool.append({ id: 2, channel: 'test', content: { slice: 2 } });
+
+        new Spool(spoolPath).load().should.deep.equal([
+            { id: 1, channel: 'test', content: { slice: 1 } },
+            { id: 2, channel: 'test', content: { slice: 2 } }
+        ]);
+    });
+
+    it('should load Buffers back as Buffers', function() {
+        spool.append({ id: 1, channel: 'photos', content: new Buffer([1, 2, 3]) });
+
+        let entries = new Spool(spoolPath).load();
+
+        Buffer.isBuffer(entries[0].content).should.be.true;
+        entries[0].content.should.deep.equal(new Buffer([1, 2, 3]));
+    });
+
+    it('should not load removed messages', function() {
+        spool.append({ id: 1, channel: 'test', content: 'first' });
+        spool.append({ id: 2, channel: 'test', content: 'second' });
+        spool.remove(1);
+
+        spool.load().should.deep.equal([
+            { id: 2, channel: 'test', content: 'second' }
+        ]);
+    });
+
+    it('should empty the file when cleared', function() {
+        spool.append({ id: 1, channel: 'test', content: 'first' });
+        spool.clear();
+
+        fs.readFileSync(spoolPath, 'utf8').should.equal('');
+        spool.load().should.deep.equal([]);
+    });
+
+    it('should ignore a partially written last line', function() {
+        spool.append({ id: 1, channel: 'test', content: 'first' });
+        fs.appendFileSync(spoolPath, '{"id":2,"chan');
+
+        spool.load().should.deep.equal([
+            { id: 1, channel: 'test', content: 'first' }
+        ]);
+    });
+});